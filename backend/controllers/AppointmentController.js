@@ -5,6 +5,8 @@ const Insurance = require('../models/Insurance');
 const Visa = require('../models/Visa');
 const Tax = require('../models/Tax');
 const EmailService = require('../services/EmailService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
 
 // Get all appointments with pagination and filtering
 const getAllAppointments = async (req, res) => {
@@ -14,35 +16,19 @@ const getAllAppointments = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Filter based on user role
-    const userId = req.user.payload.id;
-    const user = await User.findById(userId);
+    // Base filter: everything with appointment:viewAll, otherwise appointments
+    // the user is a client of or staffing
+    const filter = await PermissionService.can(req.user.payload, 'appointment:viewAll')
+      ? {}
+      : await PermissionService.getScopeFilter(req.user.payload, 'appointment:view');
 
-    if (!user) {
-      return res.status(404).json({
+    if (!filter) {
+      return res.status(403).json({
         success: false,
-        message: 'User not found'
+        message: 'Access denied. You do not have permission to view appointments'
       });
     }
 
-    // Base filter
-    let filter = {};
-
-    // Regular users can only see their appointments
-    if (user.role !== 'ADMIN' && user.role !== 'AGENT' && user.role !== 'SUPPORT') {
-      filter.client = userId;
-    } 
-    // Staff can see appointments they're assigned to
-    else if (user.role === 'AGENT' || user.role === 'SUPPORT') {
-      filter = {
-        $or: [
-          { staff: userId },
-          { client: userId }
-        ]
-      };
-    }
-    // Admins can see all appointments
-
     // Additional filters
     if (req.query.status) {
       filter.status = req.query.status;
@@ -96,15 +82,6 @@ const getAllAppointments = async (req, res) => {
 const getAppointmentById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
 
     const appointment = await Appointment.findById(id)
       .populate('client', 'username email phone')
@@ -118,11 +95,10 @@ const getAppointmentById = async (req, res) => {
     }
 
     // Check permissions - only client, assigned staff, or admin can view details
-    const isAdmin = user.role === 'ADMIN';
-    const isClient = appointment.client._id.toString() === userId;
-    const isAssignedStaff = appointment.staff._id.toString() === userId;
+    const canView = await PermissionService.can(req.user.payload, 'appointment:viewAll') ||
+      await PermissionService.can(req.user.payload, 'appointment:view', appointment);
     
-    if (!isAdmin && !isClient && !isAssignedStaff) {
+    if (!canView) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view this appointment'
@@ -248,6 +224,12 @@ const requestAppointment = async (req, res) => {
 
     const savedAppointment = await newAppointment.save();
 
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Appointment',
+      after: savedAppointment
+    });
+
     // Populate client and staff information for email notifications
     const populatedAppointment = await Appointment.findById(savedAppointment._id)
       .populate('client', 'username email phone')
@@ -285,7 +267,6 @@ const updateAppointment = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const userId = req.user.payload.id;
     
     // Find the appointment
     const appointment = await Appointment.findById(id);
@@ -298,18 +279,7 @@ const updateAppointment = async (req, res) => {
     }
 
     // Check permissions
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const isAdmin = user.role === 'ADMIN';
-    const isAssignedStaff = appointment.staff.toString() === userId;
-    
-    if (!isAdmin && !isAssignedStaff) {
+    if (!await PermissionService.can(req.user.payload, 'appointment:update', appointment)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this appointment'
@@ -325,8 +295,8 @@ const updateAppointment = async (req, res) => {
       'location', 'status', 'reminders'
     ];
     
-    // Admin can also reassign staff
-    if (isAdmin) {
+    // Users allowed to reassign can also change the staff member
+    if (await PermissionService.can(req.user.payload, 'appointment:reassign')) {
       allowedUpdates.push('staff');
     }
 
@@ -349,6 +319,13 @@ const updateAppointment = async (req, res) => {
     ).populate('client', 'username email phone')
       .populate('staff', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Appointment',
+      before: appointment,
+      after: updatedAppointment
+    });
+
     // Send notifications if status changed
     if (previousStatus !== updatedAppointment.status) {
       try {
@@ -398,11 +375,10 @@ const cancelAppointment = async (req, res) => {
     }
 
     // Check permissions
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
     const isClient = appointment.client._id.toString() === userId;
     const isAssignedStaff = appointment.staff._id.toString() === userId;
     
-    if (!isAdmin && !isClient && !isAssignedStaff) {
+    if (!await PermissionService.can(req.user.payload, 'appointment:cancel', appointment)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to cancel this appointment'
@@ -417,6 +393,8 @@ const cancelAppointment = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(appointment);
+
     // Store previous status
     const previousStatus = appointment.status;
 
@@ -427,6 +405,14 @@ const cancelAppointment = async (req, res) => {
     
     await appointment.save();
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'Appointment',
+      before,
+      after: appointment,
+      metadata: { reason }
+    });
+
     // Send cancellation notifications
     try {
       // Notify client (if staff cancelled)
@@ -561,8 +547,8 @@ const reassignAppointment = async (req, res) => {
     const { id } = req.params;
     const { staffId } = req.body;
     
-    // Only admin can reassign
-    if (!req.user.payload.isAdmin && req.user.payload.role !== 'ADMIN') {
+    // Only users holding appointment:reassign can reassign
+    if (!await PermissionService.can(req.user.payload, 'appointment:reassign')) {
       return res.status(403).json({
         success: false,
         message: 'Only admin can reassign appointments'
@@ -587,6 +573,8 @@ const reassignAppointment = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(appointment);
+
     // Store previous staff
     const previousStaffId = appointment.staff;
 
@@ -596,6 +584,13 @@ const reassignAppointment = async (req, res) => {
     
     await appointment.save();
 
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'Appointment',
+      before,
+      after: appointment
+    });
+
     const updatedAppointment = await Appointment.findById(id)
       .populate('client', 'username email phone')
       .populate('staff', 'username email phone');
@@ -651,7 +646,6 @@ const changeStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
-    const userId = req.user.payload.id;
     
     // Check if status is valid
     const validStatuses = ['SCHEDULED', 'COMPLETED', 'CANCELLED', 'RESCHEDULED'];
@@ -672,18 +666,7 @@ const changeStatus = async (req, res) => {
     }
 
     // Check permissions
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const isAdmin = user.role === 'ADMIN';
-    const isAssignedStaff = appointment.staff.toString() === userId;
-    
-    if (!isAdmin && !isAssignedStaff) {
+    if (!await PermissionService.can(req.user.payload, 'appointment:changeStatus', appointment)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to change this appointment status'
@@ -698,6 +681,8 @@ const changeStatus = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(appointment);
+
     // Store previous status
     const previousStatus = appointment.status;
 
@@ -713,6 +698,13 @@ const changeStatus = async (req, res) => {
     
     await appointment.save();
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'Appointment',
+      before,
+      after: appointment
+    });
+
     const updatedAppointment = await Appointment.findById(id)
       .populate('client', 'username email phone')
       .populate('staff', 'username email phone');
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const Attachment = require('../models/Attachment');
+const AttachmentService = require('../services/AttachmentService');
+
+// Download an attachment, for the people who can see what it is attached to
+const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({ fileName: req.params.fileName });
+
+    // Files you may not open are reported as missing
+    if (!attachment || !await AttachmentService.canAccess(req.user.payload, attachment)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const filePath = AttachmentService.getPath(attachment);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing'
+      });
+    }
+
+    // Always a download with the type recorded at upload, never rendered inline
+    res.download(filePath, attachment.originalName, {
+      headers: {
+        'Content-Type': attachment.mimeType,
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  downloadAttachment
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Search the audit log with pagination and filtering
+const getAuditLogs = async (req, res) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.entityType) {
+      filter.entityType = req.query.entityType;
+    }
+
+    if (req.query.entityId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.entityId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid entity ID'
+        });
+      }
+      filter.entityId = req.query.entityId;
+    }
+
+    if (req.query.actor) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.actor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actor ID'
+        });
+      }
+      filter.actor = req.query.actor;
+    }
+
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+
+    if (req.query.requestId) {
+      filter.requestId = req.query.requestId;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.created_at = {};
+      if (req.query.startDate) filter.created_at.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.created_at.$lte = new Date(req.query.endDate);
+    }
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'username email role')
+      .populate('impersonatedUser', 'username email role')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      logs
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+// Get the full change history of a single entity, oldest first
+const getEntityHistory = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid entity ID'
+      });
+    }
+
+    const history = await AuditLog.find({ entityType, entityId })
+      .populate('actor', 'username email role')
+      .populate('impersonatedUser', 'username email role')
+      .sort({ created_at: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching entity history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch entity history',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getEntityHistory
+};
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const CannedResponse = require('../models/CannedResponse');
+const Ticket = require('../models/Ticket');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const CannedResponseService = require('../services/CannedResponseService');
+
+const CATEGORIES = CannedResponse.schema.path('category').enumValues;
+
+// Load a canned response the caller can see. Personal responses of other
+// staff are reported as missing rather than forbidden.
+const findVisibleResponse = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const response = await CannedResponse.findById(id);
+  return response && CannedResponseService.isVisibleTo(response, userId) ? response : null;
+};
+
+// Shared responses need cannedResponse:manageShared; personal ones the given action
+const canChange = async (user, action, response) => {
+  if (response.shared) {
+    return PermissionService.can(user, 'cannedResponse:manageShared');
+  }
+  return PermissionService.can(user, action, response);
+};
+
+// Get the canned responses available to the current staff member
+const getCannedResponses = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const filter = CannedResponseService.getVisibleFilter(userId);
+
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+
+    if (req.query.scope === 'shared') {
+      filter.shared = true;
+    } else if (req.query.scope === 'personal') {
+      filter.shared = false;
+      filter.owner = userId;
+    }
+
+    if (req.query.search) {
+      filter.title = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const responses = await CannedResponse.find(filter)
+      .populate('owner', 'username email')
+      .sort({ category: 1, usageCount: -1, title: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: responses.length,
+      responses
+    });
+  } catch (error) {
+    console.error('Error fetching canned responses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned responses',
+      error: error.message
+    });
+  }
+};
+
+// Get a canned response by ID
+const getCannedResponseById = async (req, res) => {
+  try {
+    const response = await findVisibleResponse(req.params.id, req.user.payload.id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    await response.populate('owner', 'username email');
+
+    res.status(200).json({
+      success: true,
+      response
+    });
+  } catch (error) {
+    console.error('Error fetching canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned response',
+      error: error.message
+    });
+  }
+};
+
+// Create a canned response, personal by default
+const createCannedResponse = async (req, res) => {
+  try {
+    const { title, content, category = 'GENERAL', shared = false } = req.body;
+
+    if (!title || !content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and content are required'
+      });
+    }
+
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
+      });
+    }
+
+    if (shared && !await PermissionService.can(req.user.payload, 'cannedResponse:manageShared')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to create shared canned responses'
+      });
+    }
+
+    const response = await CannedResponse.create({
+      title,
+      content,
+      category,
+      shared: Boolean(shared),
+      owner: req.user.payload.id
+    });
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'CannedResponse',
+      after: response
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Canned response created successfully',
+      response
+    });
+  } catch (error) {
+    console.error('Error creating canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create canned response',
+      error: error.message
+    });
+  }
+};
+
+// Update a canned response
+const updateCannedResponse = async (req, res) => {
+  try {
+    const { title, content, category, shared } = req.body;
+
+    const response = await findVisibleResponse(req.params.id, req.user.payload.id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    // Publishing or unpublishing counts as changing a shared response
+    const sharingChanges = shared !== undefined && Boolean(shared) !== response.shared;
+    const allowed = await canChange(req.user.payload, 'cannedResponse:update', response) &&
+      (!sharingChanges || await PermissionService.can(req.user.payload, 'cannedResponse:manageShared'));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this canned response'
+      });
+    }
+
+    if (category && !CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
+      });
+    }
+
+    const before = response.toObject();
+
+    if (title) response.title = title;
+    if (content) response.content = content;
+    if (category) response.category = category;
+    if (shared !== undefined) response.shared = Boolean(shared);
+    response.updated_at = Date.now();
+    await response.save();
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'CannedResponse',
+      before,
+      after: response
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response updated successfully',
+      response
+    });
+  } catch (error) {
+    console.error('Error updating canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update canned response',
+      error: error.message
+    });
+  }
+};
+
+// Delete a canned response
+const deleteCannedResponse = async (req, res) => {
+  try {
+    const response = await findVisibleResponse(req.params.id, req.user.payload.id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    if (!await canChange(req.user.payload, 'cannedResponse:delete', response)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this canned response'
+      });
+    }
+
+    await CannedResponse.findByIdAndDelete(response._id);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'CannedResponse',
+      before: response
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete canned response',
+      error: error.message
+    });
+  }
+};
+
+// Show a canned response filled in for a ticket, before sending it
+const previewCannedResponse = async (req, res) => {
+  try {
+    const { ticketId } = req.query;
+
+    const response = await findVisibleResponse(req.params.id, req.user.payload.id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid ticketId is required'
+      });
+    }
+
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket || !await PermissionService.can(req.user.payload, 'ticket:reply', ticket)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    const { content, missing } = await CannedResponseService.render(response, ticket, req.user.payload.id);
+
+    res.status(200).json({
+      success: true,
+      content,
+      missingPlaceholders: missing
+    });
+  } catch (error) {
+    console.error('Error previewing canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview canned response',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCannedResponses,
+  getCannedResponseById,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  previewCannedResponse
+};
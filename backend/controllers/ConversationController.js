@@ -0,0 +1,522 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const ConversationService = require('../services/ConversationService');
+
+const PARTICIPANT_FIELDS = 'username email avatar role';
+
+// Load a conversation the caller may see: one they take part in, or any with
+// conversation:viewAll. Others are reported as missing.
+const findVisibleConversation = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const conversation = await Conversation.findById(id);
+  if (!conversation) return null;
+
+  const canView = await PermissionService.can(user, 'conversation:viewAll') ||
+    await PermissionService.can(user, 'conversation:view', conversation);
+  return canView ? conversation : null;
+};
+
+const sendConversationNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Conversation not found'
+});
+
+const sendNotParticipant = (res) => res.status(403).json({
+  success: false,
+  message: 'Only participants can do this in a conversation'
+});
+
+// Check a list of user IDs and load the users, reporting unknown ones
+const loadUsers = async (userIds) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return { error: 'participantIds must be a non-empty array of user IDs' };
+  }
+
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'participantIds must be valid user IDs' };
+  }
+
+  const users = await User.find({ _id: { $in: ids } }).select('_id');
+  if (users.length !== ids.length) {
+    return { error: 'One or more participants were not found' };
+  }
+
+  return { ids };
+};
+
+// Get your conversations, most recent first. Archived ones are listed with ?archived=true.
+const getConversations = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      participants: { $elemMatch: { user: userId, archived: req.query.archived === 'true' } }
+    };
+
+    if (req.query.recordType) {
+      filter['record.type'] = req.query.recordType;
+    }
+    if (req.query.recordId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.recordId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid record ID'
+        });
+      }
+      filter['record.id'] = req.query.recordId;
+    }
+
+    const conversations = await Conversation.find(filter)
+      .populate('participants.user', PARTICIPANT_FIELDS)
+      .populate('lastMessage.sender', 'username')
+      .sort({ updated_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Conversation.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      conversations
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversations',
+      error: error.message
+    });
+  }
+};
+
+// Get a conversation with its participants
+const getConversationById = async (req, res) => {
+  try {
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+
+    await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation',
+      error: error.message
+    });
+  }
+};
+
+// Start a conversation. One other participant without a title or record
+// opens (or reuses) the direct conversation with them; anything else is a
+// group conversation.
+const createConversation = async (req, res) => {
+  try {
+    const { participantIds, title, record } = req.body || {};
+    const userId = String(req.user.payload.id);
+
+    const loaded = await loadUsers(participantIds);
+    if (loaded.error) {
+      return res.status(400).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+    const others = loaded.ids.filter(id => id !== userId);
+
+    if (others.length === 1 && !title && !record) {
+      const conversation = await ConversationService.findOrCreateDirect(userId, others[0]);
+      await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+      return res.status(200).json({
+        success: true,
+        conversation
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'conversation:createGroup')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to start group conversations'
+      });
+    }
+
+    if (others.length === 0 || others.length + 1 > ConversationService.MAX_PARTICIPANTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group conversation needs between 2 and ${ConversationService.MAX_PARTICIPANTS} participants`
+      });
+    }
+
+    let linkedRecord;
+    if (record) {
+      const found = await ConversationService.findRecord(record);
+      if (found.error) {
+        return res.status(400).json({
+          success: false,
+          message: found.error
+        });
+      }
+      const canView = await PermissionService.can(req.user.payload, found.target.viewAllAction) ||
+        await PermissionService.can(req.user.payload, found.target.viewAction, found.record);
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to discuss this record'
+        });
+      }
+      linkedRecord = { type: record.type, id: found.record._id };
+    }
+
+    const conversation = await Conversation.create({
+      type: 'GROUP',
+      title,
+      participants: [userId, ...others].map(user => ({ user })),
+      record: linkedRecord,
+      created_by: userId
+    });
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Conversation',
+      after: conversation
+    });
+
+    ConversationService.emitToParticipants(conversation, 'conversation:new', { conversationId: conversation._id }, userId);
+
+    await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation created successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to create conversation',
+      error: error.message
+    });
+  }
+};
+
+// Get the messages of a conversation, newest first
+const getConversationMessages = async (req, res) => {
+  try {
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    // Deleted-for-everyone messages stay as tombstones; deleted-for-me ones go
+    const filter = { conversation: conversation._id, deletedFor: { $ne: req.user.payload.id } };
+
+    const messages = await Message.find(filter)
+      .populate('sender', 'username email avatar')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Message.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      messages
+    });
+  } catch (error) {
+    console.error('Error fetching conversation messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation messages',
+      error: error.message
+    });
+  }
+};
+
+// Send a message to a conversation you take part in
+const sendConversationMessage = async (req, res) => {
+  try {
+    const { content } = req.body;
+    const userId = req.user.payload.id;
+
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+    if (!ConversationService.getParticipant(conversation, userId)) {
+      return sendNotParticipant(res);
+    }
+
+    const message = await ConversationService.sendMessage(conversation, userId, { content });
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Message',
+      after: message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: message
+    });
+  } catch (error) {
+    console.error('Error sending conversation message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: error.message
+    });
+  }
+};
+
+// Mark everything in a conversation as read for you
+const markConversationRead = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+    if (!ConversationService.getParticipant(conversation, userId)) {
+      return sendNotParticipant(res);
+    }
+
+    const readAt = await ConversationService.markRead(conversation, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      readAt
+    });
+  } catch (error) {
+    console.error('Error marking conversation as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark conversation as read',
+      error: error.message
+    });
+  }
+};
+
+// Mute or archive a conversation for yourself
+const updateConversationSettings = async (req, res) => {
+  try {
+    const { muted, archived } = req.body || {};
+    const userId = req.user.payload.id;
+
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+
+    const participant = ConversationService.getParticipant(conversation, userId);
+    if (!participant) {
+      return sendNotParticipant(res);
+    }
+
+    if ((muted !== undefined && typeof muted !== 'boolean') || (archived !== undefined && typeof archived !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'muted and archived must be true or false'
+      });
+    }
+
+    if (muted !== undefined) participant.muted = muted;
+    if (archived !== undefined) participant.archived = archived;
+    await conversation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation settings updated successfully',
+      participant
+    });
+  } catch (error) {
+    console.error('Error updating conversation settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update conversation settings',
+      error: error.message
+    });
+  }
+};
+
+// Add people to a group conversation
+const addParticipants = async (req, res) => {
+  try {
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+
+    if (conversation.type !== 'GROUP') {
+      return res.status(400).json({
+        success: false,
+        message: 'Participants can only be changed in group conversations'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'conversation:manageParticipants', conversation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add participants to this conversation'
+      });
+    }
+
+    const loaded = await loadUsers(req.body?.participantIds);
+    if (loaded.error) {
+      return res.status(400).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+
+    const added = loaded.ids.filter(id => !ConversationService.getParticipant(conversation, id));
+    if (conversation.participants.length + added.length > ConversationService.MAX_PARTICIPANTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A conversation can have at most ${ConversationService.MAX_PARTICIPANTS} participants`
+      });
+    }
+
+    const before = AuditService.toSnapshot(conversation);
+    added.forEach(user => conversation.participants.push({ user }));
+    conversation.updated_at = Date.now();
+    await conversation.save();
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Conversation',
+      before,
+      after: conversation,
+      metadata: { added }
+    });
+
+    ConversationService.emitToParticipants(conversation, 'conversation:participants', {
+      conversationId: conversation._id,
+      added
+    }, req.user.payload.id);
+
+    await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: 'Participants added successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Error adding conversation participants:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add participants',
+      error: error.message
+    });
+  }
+};
+
+// Remove someone from a group conversation. Anyone may leave on their own.
+const removeParticipant = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = String(req.user.payload.id);
+
+    const conversation = await findVisibleConversation(req.params.id, req.user.payload);
+    if (!conversation) {
+      return sendConversationNotFound(res);
+    }
+
+    if (conversation.type !== 'GROUP') {
+      return res.status(400).json({
+        success: false,
+        message: 'Participants can only be changed in group conversations'
+      });
+    }
+
+    const leaving = userId === currentUserId;
+    if (!leaving && !await PermissionService.can(req.user.payload, 'conversation:manageParticipants', conversation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove participants from this conversation'
+      });
+    }
+
+    if (!ConversationService.getParticipant(conversation, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found'
+      });
+    }
+
+    // Tell everyone, including the person removed, before they lose access
+    ConversationService.emitToParticipants(conversation, 'conversation:participants', {
+      conversationId: conversation._id,
+      removed: [userId]
+    }, currentUserId);
+
+    const before = AuditService.toSnapshot(conversation);
+    conversation.participants = conversation.participants.filter(participant => participant.user.toString() !== userId);
+    conversation.updated_at = Date.now();
+    await conversation.save();
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Conversation',
+      before,
+      after: conversation,
+      metadata: { removed: [userId] }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? 'You left the conversation' : 'Participant removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing conversation participant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove participant',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getConversations,
+  getConversationById,
+  createConversation,
+  getConversationMessages,
+  sendConversationMessage,
+  markConversationRead,
+  updateConversationSettings,
+  addParticipants,
+  removeParticipant
+};
@@ -1,5 +1,8 @@
 const Insurance = require('../models/Insurance');
 const User = require('../models/User');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const InternalNoteService = require('../services/InternalNoteService');
 
 // Get all insurance policies with pagination and filtering
 const getAllPolicies = async (req, res) => {
@@ -9,16 +12,16 @@ const getAllPolicies = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Basic filtering options
-    const filter = {};
-    
-    // Admins and agents can see all, users can only see their own
-    const userId = req.user?.payload?.id;
-    const isAdmin = req.user?.payload?.isAdmin || req.user?.payload?.role === 'ADMIN';
-    const isAgent = req.user?.payload?.role === 'AGENT';
-    
-    if (!isAdmin && !isAgent) {
-      filter.policyholder = userId;
+    // Staff with insurance:viewAll see everything, others only the policies in their scope
+    const filter = await PermissionService.can(req.user.payload, 'insurance:viewAll')
+      ? {}
+      : await PermissionService.getScopeFilter(req.user.payload, 'insurance:view');
+
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view insurance policies'
+      });
     }
     
     // Additional filters from query params
@@ -54,13 +57,16 @@ const getAllPolicies = async (req, res) => {
     // Get total count for pagination info
     const total = await Insurance.countDocuments(filter);
 
+    // Beneficiary details stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'insurance:viewSensitive', policies);
+
     res.status(200).json({
       success: true,
       count: policies.length,
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      policies
+      policies: visible
     });
   } catch (error) {
     console.error('Error fetching insurance policies:', error);
@@ -76,9 +82,6 @@ const getAllPolicies = async (req, res) => {
 const getPolicyById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.payload?.id;
-    const isAdmin = req.user?.payload?.isAdmin || req.user?.payload?.role === 'ADMIN';
-    const isAgent = req.user?.payload?.role === 'AGENT';
 
     const policy = await Insurance.findById(id)
       .populate('policyholder', 'username email phone address')
@@ -91,8 +94,11 @@ const getPolicyById = async (req, res) => {
       });
     }
 
-    // Check permissions - only allow access to own policies unless admin/agent
-    if (!isAdmin && !isAgent && policy.policyholder._id.toString() !== userId) {
+    // Check permissions - only allow access to own policies unless allowed to view all
+    const canView = await PermissionService.can(req.user.payload, 'insurance:viewAll') ||
+      await PermissionService.can(req.user.payload, 'insurance:view', policy);
+
+    if (!canView) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own insurance policies'
@@ -121,17 +127,15 @@ const createPolicy = async (req, res) => {
       coverageDetails, status, documents 
     } = req.body;
 
-    // Default to current user if policyholderUserId not provided or not admin/agent
+    // Default to current user if policyholderUserId not provided or not staff
     const creatorId = req.user.payload.id;
-    const creatorRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || creatorRole === 'ADMIN';
-    const isAgent = creatorRole === 'AGENT';
+    const canCreateForOthers = await PermissionService.can(req.user.payload, 'insurance:createForOthers');
     
     // Determine policyholder
     let policyholderId = creatorId;
     
     // If admin or agent is creating for someone else
-    if ((isAdmin || isAgent) && policyholderUserId) {
+    if (canCreateForOthers && policyholderUserId) {
       // Check if the specified policyholder exists
       const policyholderExists = await User.findById(policyholderUserId);
       if (!policyholderExists) {
@@ -156,11 +160,17 @@ const createPolicy = async (req, res) => {
       coverageDetails,
       status: status || 'PENDING',
       documents: documents || [],
-      agent: (isAdmin || isAgent) ? creatorId : undefined
+      agent: canCreateForOthers ? creatorId : undefined
     });
 
     const savedPolicy = await newPolicy.save();
 
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Insurance',
+      after: savedPolicy
+    });
+
     // Populate the response data
     const populatedPolicy = await Insurance.findById(savedPolicy._id)
       .populate('policyholder', 'username email phone')
@@ -186,10 +196,6 @@ const updatePolicy = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isAgent = userRole === 'AGENT';
 
     // Find the policy
     const policy = await Insurance.findById(id);
@@ -202,26 +208,23 @@ const updatePolicy = async (req, res) => {
     }
 
     // Check if user has permission to update
-    const isPolicyholder = policy.policyholder.toString() === userId;
-    const isAssignedAgent = policy.agent && policy.agent.toString() === userId;
-
-    if (!isPolicyholder && !isAssignedAgent && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'insurance:update', policy)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this insurance policy'
       });
     }
 
-    // Define allowed fields based on role
+    // Define allowed fields based on permissions
     let allowedUpdates = [];
     
-    if (isAdmin || isAgent) {
+    if (await PermissionService.can(req.user.payload, 'insurance:manage', policy)) {
       // Admins and agents can update all fields
       allowedUpdates = [
         'type', 'provider', 'policyholder', 'beneficiaries',
         'coverageDetails', 'status', 'documents', 'agent'
       ];
-    } else if (isPolicyholder) {
+    } else {
       // Policyholders can only update limited fields
       allowedUpdates = ['beneficiaries', 'documents'];
     }
@@ -245,6 +248,13 @@ const updatePolicy = async (req, res) => {
     ).populate('policyholder', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Insurance',
+      before: policy,
+      after: updatedPolicy
+    });
+
     res.status(200).json({
       success: true,
       message: 'Insurance policy updated successfully',
@@ -264,8 +274,6 @@ const updatePolicy = async (req, res) => {
 const deletePolicy = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
     // Find the policy
     const policy = await Insurance.findById(id);
@@ -277,8 +285,8 @@ const deletePolicy = async (req, res) => {
       });
     }
 
-    // Only admins can delete policies
-    if (!isAdmin) {
+    // Only users holding insurance:delete can delete policies
+    if (!await PermissionService.can(req.user.payload, 'insurance:delete', policy)) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can delete insurance policies'
@@ -287,6 +295,13 @@ const deletePolicy = async (req, res) => {
 
     // Delete the policy
     await Insurance.findByIdAndDelete(id);
+    await InternalNoteService.deleteNotesFor('Insurance', [id]);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'Insurance',
+      before: policy
+    });
 
     res.status(200).json({
       success: true,
@@ -313,10 +328,13 @@ const getUserPolicies = async (req, res) => {
       .populate('agent', 'username email phone')
       .sort({ created_at: -1 });
 
+    // Beneficiary details stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'insurance:viewSensitive', policies);
+
     res.status(200).json({
       success: true,
       count: policies.length,
-      policies
+      policies: visible
     });
   } catch (error) {
     console.error('Error fetching user insurance policies:', error);
@@ -334,10 +352,9 @@ const assignAgent = async (req, res) => {
     const { id } = req.params;
     const { agentId } = req.body;
     const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
-    // Only admins can assign agents
-    if (!isAdmin) {
+    // Only users holding insurance:assign can assign agents
+    if (!await PermissionService.can(req.user.payload, 'insurance:assign')) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can assign agents to policies'
@@ -381,6 +398,13 @@ const assignAgent = async (req, res) => {
     ).populate('policyholder', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'Insurance',
+      before: policy,
+      after: updatedPolicy
+    });
+
     res.status(200).json({
       success: true,
       message: agentId ? 'Agent assigned successfully' : 'Agent removed successfully',
@@ -401,10 +425,6 @@ const changeStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isAgent = userRole === 'AGENT';
 
     // Check if status is valid
     const validStatuses = ['ACTIVE', 'PENDING', 'EXPIRED', 'CANCELLED'];
@@ -426,9 +446,7 @@ const changeStatus = async (req, res) => {
     }
 
     // Check if user has permission to update status
-    const isAssignedAgent = policy.agent && policy.agent.toString() === userId;
-
-    if (!isAssignedAgent && !isAdmin && !isAgent) {
+    if (!await PermissionService.can(req.user.payload, 'insurance:changeStatus', policy)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this policy status'
@@ -443,6 +461,13 @@ const changeStatus = async (req, res) => {
     ).populate('policyholder', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'Insurance',
+      before: policy,
+      after: updatedPolicy
+    });
+
     res.status(200).json({
       success: true,
       message: 'Insurance policy status updated successfully',
@@ -463,7 +488,6 @@ const addBeneficiary = async (req, res) => {
   try {
     const { id } = req.params;
     const { name, relationship, percentage } = req.body;
-    const userId = req.user.payload.id;
     
     // Find the policy
     const policy = await Insurance.findById(id);
@@ -475,11 +499,8 @@ const addBeneficiary = async (req, res) => {
       });
     }
 
-    // Check if user is the policyholder or admin
-    const isPolicyholder = policy.policyholder.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    
-    if (!isPolicyholder && !isAdmin) {
+    // Check if user may manage this policy's beneficiaries
+    if (!await PermissionService.can(req.user.payload, 'insurance:manageBeneficiaries', policy)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update beneficiaries'
@@ -494,6 +515,8 @@ const addBeneficiary = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(policy);
+
     // Add new beneficiary
     const newBeneficiary = { name, relationship, percentage };
     policy.beneficiaries.push(newBeneficiary);
@@ -511,6 +534,13 @@ const addBeneficiary = async (req, res) => {
     
     await policy.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Insurance',
+      before,
+      after: policy
+    });
+
     const updatedPolicy = await Insurance.findById(id)
       .populate('policyholder', 'username email phone')
       .populate('agent', 'username email phone');
@@ -534,7 +564,6 @@ const addBeneficiary = async (req, res) => {
 const removeBeneficiary = async (req, res) => {
   try {
     const { id, beneficiaryIndex } = req.params;
-    const userId = req.user.payload.id;
     const idx = parseInt(beneficiaryIndex);
     
     // Find the policy
@@ -547,11 +576,8 @@ const removeBeneficiary = async (req, res) => {
       });
     }
 
-    // Check if user is the policyholder or admin
-    const isPolicyholder = policy.policyholder.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    
-    if (!isPolicyholder && !isAdmin) {
+    // Check if user may manage this policy's beneficiaries
+    if (!await PermissionService.can(req.user.payload, 'insurance:manageBeneficiaries', policy)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update beneficiaries'
@@ -566,12 +592,21 @@ const removeBeneficiary = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(policy);
+
     // Remove the beneficiary
     policy.beneficiaries.splice(idx, 1);
     policy.updated_at = Date.now();
     
     await policy.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Insurance',
+      before,
+      after: policy
+    });
+
     const updatedPolicy = await Insurance.findById(id)
       .populate('policyholder', 'username email phone')
       .populate('agent', 'username email phone');
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const InternalNote = require('../models/InternalNote');
+const User = require('../models/User');
+const EmailService = require('../services/EmailService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const InternalNoteService = require('../services/InternalNoteService');
+
+// Load the record a note request is about and check the caller may see it.
+// Returns { target, record } or { status, message } describing the failure.
+const findNoteTarget = async (user, entityType, entityId) => {
+  const target = InternalNoteService.NOTE_TARGETS[entityType];
+  if (!target) {
+    return {
+      status: 400,
+      message: `Invalid record type. Must be one of: ${Object.keys(InternalNoteService.NOTE_TARGETS).join(', ')}`
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(entityId)) {
+    return { status: 400, message: 'Invalid record ID' };
+  }
+
+  const record = await target.model.findById(entityId);
+  if (!record) {
+    return { status: 404, message: 'Record not found' };
+  }
+
+  if (!await PermissionService.can(user, target.viewAction, record)) {
+    return { status: 403, message: 'Access denied. You cannot view this record' };
+  }
+
+  return { target, record };
+};
+
+// Email the staff mentioned in a note, skipping the author and anyone already told
+const notifyMentions = async (note, mentioned, alreadyNotified, authorId, target) => {
+  const recipients = mentioned.filter(user =>
+    user._id.toString() !== authorId && !alreadyNotified.includes(user._id.toString())
+  );
+  if (recipients.length === 0) return;
+
+  const author = await User.findById(authorId).select('username');
+  for (const recipient of recipients) {
+    await EmailService.notifyNoteMention(note, recipient, author, target.path);
+  }
+};
+
+// Get the internal notes on a record (staff only)
+const getNotes = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    const { target, status, message } = await findNoteTarget(req.user.payload, entityType, entityId);
+    if (!target) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const notes = await InternalNote.find({ entityType: target.entityType, entityId })
+      .populate('author', 'username email role')
+      .populate('mentions', 'username email role')
+      .sort({ created_at: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      notes
+    });
+  } catch (error) {
+    console.error('Error fetching internal notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch internal notes',
+      error: error.message
+    });
+  }
+};
+
+// Add an internal note to a record (staff only)
+const createNote = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const content = (req.body.content || '').trim();
+    const userId = req.user.payload.id;
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note content is required'
+      });
+    }
+
+    const { target, status, message } = await findNoteTarget(req.user.payload, entityType, entityId);
+    if (!target) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const mentioned = await InternalNoteService.resolveMentions(content);
+
+    const note = await InternalNote.create({
+      entityType: target.entityType,
+      entityId,
+      author: userId,
+      content,
+      mentions: mentioned.map(user => user._id)
+    });
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'InternalNote',
+      after: note,
+      metadata: { record: { entityType: target.entityType, entityId } }
+    });
+
+    await notifyMentions(note, mentioned, [], userId, target);
+
+    const populatedNote = await InternalNote.findById(note._id)
+      .populate('author', 'username email role')
+      .populate('mentions', 'username email role');
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      note: populatedNote
+    });
+  } catch (error) {
+    console.error('Error creating internal note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note',
+      error: error.message
+    });
+  }
+};
+
+// Edit an internal note (its author, or staff holding note:update)
+const updateNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const content = (req.body.content || '').trim();
+    const userId = req.user.payload.id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID'
+      });
+    }
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note content is required'
+      });
+    }
+
+    const note = await InternalNote.findById(id);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'note:update', note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only edit your own notes'
+      });
+    }
+
+    const before = note.toObject();
+    const previousMentions = note.mentions.map(mention => mention.toString());
+    const mentioned = await InternalNoteService.resolveMentions(content);
+
+    note.content = content;
+    note.mentions = mentioned.map(user => user._id);
+    note.edited = true;
+    note.updated_at = Date.now();
+    await note.save();
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'InternalNote',
+      before,
+      after: note
+    });
+
+    const target = Object.values(InternalNoteService.NOTE_TARGETS)
+      .find(candidate => candidate.entityType === note.entityType);
+    await notifyMentions(note, mentioned, previousMentions, userId, target);
+
+    const populatedNote = await InternalNote.findById(note._id)
+      .populate('author', 'username email role')
+      .populate('mentions', 'username email role');
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated successfully',
+      note: populatedNote
+    });
+  } catch (error) {
+    console.error('Error updating internal note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update note',
+      error: error.message
+    });
+  }
+};
+
+// Delete an internal note (its author, or staff holding note:delete)
+const deleteNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID'
+      });
+    }
+
+    const note = await InternalNote.findById(id);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'note:delete', note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only delete your own notes'
+      });
+    }
+
+    await InternalNote.findByIdAndDelete(id);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'InternalNote',
+      before: note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting internal note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete note',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotes,
+  createNote,
+  updateNote,
+  deleteNote
+};
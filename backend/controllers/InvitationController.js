@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const JwtService = require('../services/JwtService');
+const EmailService = require('../services/EmailService');
+const AuditService = require('../services/AuditService');
+
+const STAFF_ROLES = Invitation.schema.path('role').enumValues;
+const SPECIALISATIONS = Invitation.schema.path('specialisations').caster.enumValues;
+
+// Resolve the pending invitation behind an invite link, or null if the link
+// is invalid, superseded, revoked, used or expired
+const getInvitationFromToken = async (token) => {
+  let decoded;
+  try {
+    decoded = await JwtService.verifyToken(token, JwtService.INVITATION_TOKEN);
+  } catch (err) {
+    return null;
+  }
+
+  const { invitationId, tokenId } = decoded.payload;
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) return null;
+
+  const invitation = await Invitation.findById(invitationId).select('+tokenId');
+  if (!invitation || invitation.tokenId !== tokenId || invitation.status !== 'PENDING' ||
+      invitation.expiresAt < Date.now()) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// Invite a staff member by email (admin only)
+const createInvitation = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
+    const specialisations = [...new Set(req.body.specialisations || [])];
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    if (specialisations.some(specialisation => !SPECIALISATIONS.includes(specialisation))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid specialisations. Must be any of: ${SPECIALISATIONS.join(', ')}`
+      });
+    }
+
+    // Holding user:invite must not be a way to mint new administrators
+    if (role === 'ADMIN' && !req.user.payload.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can invite administrators'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    // A new invitation replaces any earlier one still pending for the address
+    await Invitation.updateMany(
+      { email, status: 'PENDING' },
+      { status: 'REVOKED', revokedAt: Date.now(), revokedBy: req.user.payload.id, updated_at: Date.now() }
+    );
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      specialisations,
+      tokenId: crypto.randomUUID(),
+      invitedBy: req.user.payload.id,
+      expiresAt: Date.now() + JwtService.INVITATION_TOKEN_TTL_HOURS * 60 * 60 * 1000
+    });
+
+    const invitationToken = await JwtService.generalInvitationToken({
+      invitationId: invitation._id,
+      tokenId: invitation.tokenId
+    });
+
+    const inviter = await User.findById(req.user.payload.id).select('username');
+    await EmailService.sendStaffInvitationEmail(invitation, invitationToken, inviter);
+
+    await AuditService.record(req, {
+      action: 'INVITATION_SENT',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      metadata: { email, role, specialisations }
+    });
+
+    const response = invitation.toJSON();
+    delete response.tokenId;
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invitation: response
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation',
+      error: error.message
+    });
+  }
+};
+
+// List invitations, pending ones by default (admin only)
+const getInvitations = async (req, res) => {
+  try {
+    const status = req.query.status || 'PENDING';
+
+    const invitations = await Invitation.find({ status })
+      .populate('invitedBy', 'username email')
+      .populate('acceptedUser', 'username email')
+      .sort({ created_at: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations: invitations.map(invitation => ({
+        ...invitation.toJSON(),
+        expired: invitation.status === 'PENDING' && invitation.expiresAt < Date.now()
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      error: error.message
+    });
+  }
+};
+
+// Revoke a pending invitation (admin only)
+const revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID'
+      });
+    }
+
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'PENDING') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status.toLowerCase()}`
+      });
+    }
+
+    invitation.status = 'REVOKED';
+    invitation.revokedAt = Date.now();
+    invitation.revokedBy = req.user.payload.id;
+    invitation.updated_at = Date.now();
+    await invitation.save();
+
+    await AuditService.record(req, {
+      action: 'INVITATION_REVOKED',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      metadata: { email: invitation.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: error.message
+    });
+  }
+};
+
+// Show what an invite link is for, so the signup form can be prefilled
+const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await getInvitationFromToken(req.query.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        specialisations: invitation.specialisations,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitation',
+      error: error.message
+    });
+  }
+};
+
+// Accept an invitation: create the staff account with the chosen password
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, username, password, address, phone } = req.body;
+
+    const invitation = await getInvitationFromToken(token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ email: invitation.email }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already exists'
+      });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Following the emailed link proves the address, so no verification step
+    const newUser = new User({
+      username,
+      email: invitation.email,
+      password: hashedPassword,
+      address,
+      phone,
+      role: invitation.role,
+      isAdmin: invitation.role === 'ADMIN',
+      specialisations: invitation.specialisations,
+      emailVerified: true,
+      emailVerifiedAt: Date.now()
+    });
+
+    const savedUser = await newUser.save();
+
+    invitation.status = 'ACCEPTED';
+    invitation.acceptedAt = Date.now();
+    invitation.acceptedUser = savedUser._id;
+    invitation.updated_at = Date.now();
+    await invitation.save();
+
+    await AuditService.recordChange(req, {
+      action: 'INVITATION_ACCEPTED',
+      entityType: 'User',
+      after: savedUser,
+      actor: savedUser._id,
+      metadata: { invitation: invitation._id, invitedBy: invitation.invitedBy }
+    });
+
+    // No session is started here: staff sign in normally so the two-factor
+    // policy for their role applies from the first login
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now sign in',
+      user: {
+        id: savedUser._id,
+        username: savedUser.username,
+        email: savedUser.email,
+        role: savedUser.role,
+        specialisations: savedUser.specialisations
+      }
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+};
@@ -1,5 +1,12 @@
 const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
 const User = require('../models/User');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const SocketService = require('../services/SocketService');
+const ConversationService = require('../services/ConversationService');
+const AttachmentService = require('../services/AttachmentService');
+const MessageSearchService = require('../services/MessageSearchService');
 
 // Get all messages with pagination and filtering
 const getAllMessages = async (req, res) => {
@@ -9,15 +16,21 @@ const getAllMessages = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    
-    // Filtering - users can only see their own messages, admins can see all
-    const filter = {};
-    if (!isAdmin) {
-      filter.$or = [{ sender: userId }, { recipient: userId }];
+    // Filtering - users can only see their own messages, message:viewAll sees all
+    const filter = await PermissionService.can(req.user.payload, 'message:viewAll')
+      ? {}
+      : await PermissionService.getScopeFilter(req.user.payload, 'message:view');
+
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view messages'
+      });
     }
 
+    // Messages the user deleted for themselves are gone from their view
+    filter.deletedFor = { $ne: req.user.payload.id };
+
     // Additional filters
     if (req.query.sender) {
       filter.sender = req.query.sender;
@@ -60,6 +73,53 @@ const getAllMessages = async (req, res) => {
   }
 };
 
+// Search the messages the user can see. With scope=all, users holding
+// message:viewAll search every conversation; those searches are audited.
+const searchMessages = async (req, res) => {
+  try {
+    const result = await MessageSearchService.searchMessages(req.user.payload, req.query);
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors
+      });
+    }
+
+    if (result.forbidden) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to search all messages'
+      });
+    }
+
+    if (result.allMessages) {
+      const { q, scope, page, limit, ...filters } = req.query;
+      await AuditService.record(req, {
+        action: 'MESSAGE_SEARCH',
+        entityType: 'Message',
+        metadata: { q, filters, total: result.total, page: result.page }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: result.results.length,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+      currentPage: result.page,
+      results: result.results
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search messages',
+      error: error.message
+    });
+  }
+};
+
 // Get message conversation between two users
 const getConversation = async (req, res) => {
   try {
@@ -75,19 +135,18 @@ const getConversation = async (req, res) => {
       });
     }
 
-    // Get messages between the two users
-    const messages = await Message.find({
-      $or: [
-        { sender: currentUserId, recipient: userId },
-        { sender: userId, recipient: currentUserId }
-      ]
-    })
-    .populate('sender', 'username email avatar')
-    .populate('recipient', 'username email avatar')
-    .sort({ created_at: 1 });
+    // Messages of the direct conversation between the two users
+    const conversation = await ConversationService.findDirect(currentUserId, userId);
+    const messages = conversation
+      ? await Message.find({ conversation: conversation._id, deletedFor: { $ne: currentUserId } })
+        .populate('sender', 'username email avatar')
+        .populate('recipient', 'username email avatar')
+        .sort({ created_at: 1 })
+      : [];
 
     res.status(200).json({
       success: true,
+      conversationId: conversation ? conversation._id : null,
       count: messages.length,
       messages
     });
@@ -105,10 +164,8 @@ const getConversation = async (req, res) => {
 const getMessageById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
-    const message = await Message.findById(id)
+    const message = await Message.findOne({ _id: id, deletedFor: { $ne: req.user.payload.id } })
       .populate('sender', 'username email avatar')
       .populate('recipient', 'username email avatar');
 
@@ -119,8 +176,11 @@ const getMessageById = async (req, res) => {
       });
     }
 
-    // Check permissions - only allow access to own messages unless admin
-    if (!isAdmin && message.sender.toString() !== userId && message.recipient.toString() !== userId) {
+    // Check permissions - only allow access to own messages unless allowed to view all
+    const canView = await PermissionService.can(req.user.payload, 'message:viewAll') ||
+      await PermissionService.can(req.user.payload, 'message:view', message);
+
+    if (!canView) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own messages'
@@ -144,7 +204,7 @@ const getMessageById = async (req, res) => {
 // Create new message
 const createMessage = async (req, res) => {
   try {
-    const { recipientId, content, attachments } = req.body;
+    const { recipientId, content } = req.body;
     const senderId = req.user.payload.id;
 
     // Check if recipient exists
@@ -156,22 +216,15 @@ const createMessage = async (req, res) => {
       });
     }
 
-    // Create message
-    const newMessage = new Message({
-      sender: senderId,
-      recipient: recipientId,
-      content,
-      attachments: attachments || [],
-      isRead: false,
-      created_at: Date.now()
-    });
-
-    const savedMessage = await newMessage.save();
+    // Direct messages go to the two-party conversation between sender and recipient
+    const conversation = await ConversationService.findOrCreateDirect(senderId, recipientId);
+    const populatedMessage = await ConversationService.sendMessage(conversation, senderId, { content });
 
-    // Populate the response data
-    const populatedMessage = await Message.findById(savedMessage._id)
-      .populate('sender', 'username email avatar')
-      .populate('recipient', 'username email avatar');
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Message',
+      after: populatedMessage
+    });
 
     res.status(201).json({
       success: true,
@@ -192,8 +245,6 @@ const createMessage = async (req, res) => {
 const markAsRead = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
     // Find the message
     const message = await Message.findById(id);
@@ -206,22 +257,38 @@ const markAsRead = async (req, res) => {
     }
 
     // Check if user has permission to mark message as read
-    if (!isAdmin && message.recipient.toString() !== userId) {
+    if (!await PermissionService.can(req.user.payload, 'message:markRead', message)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to mark this message as read'
       });
     }
 
-    // Update the message
+    // Reading a message also means it was delivered; keep the first read time
+    const readAt = message.readAt || new Date();
     const updatedMessage = await Message.findByIdAndUpdate(
       id,
-      { isRead: true },
+      { isRead: true, readAt, deliveredAt: message.deliveredAt || readAt },
       { new: true, runValidators: true }
     )
     .populate('sender', 'username email avatar')
     .populate('recipient', 'username email avatar');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Message',
+      before: message,
+      after: updatedMessage
+    });
+
+    if (message.conversation) {
+      await ConversationService.syncUnreadCount(message.conversation, message.recipient);
+    }
+
+    // Read receipt for the sender, and the new count for the reader's other clients
+    SocketService.emitToUser(message.sender, 'message:read', { messageId: message._id, readAt });
+    await SocketService.pushUnreadCount(message.recipient);
+
     res.status(200).json({
       success: true,
       message: 'Message marked as read successfully',
@@ -237,12 +304,71 @@ const markAsRead = async (req, res) => {
   }
 };
 
-// Delete message
+// Edit a message within the edit window; the previous content goes to the edit history
+const editMessage = async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    // Check if user has permission to edit
+    if (!await PermissionService.can(req.user.payload, 'message:edit', message)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this message'
+      });
+    }
+
+    if (!ConversationService.isEditable(message)) {
+      return res.status(400).json({
+        success: false,
+        message: message.deletedAt
+          ? 'A deleted message cannot be edited'
+          : `Messages can only be edited within ${ConversationService.EDIT_WINDOW_MINUTES} minutes of sending`
+      });
+    }
+
+    if (req.body.content === message.content) {
+      return res.status(200).json({
+        success: true,
+        message: 'Message unchanged',
+        data: message
+      });
+    }
+
+    const updatedMessage = await ConversationService.editMessage(message, req.body.content);
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Message',
+      before: message,
+      after: updatedMessage
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message edited successfully',
+      data: updatedMessage
+    });
+  } catch (error) {
+    console.error('Error editing message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message',
+      error: error.message
+    });
+  }
+};
+
+// Delete a message for everyone: it stays in the conversation as a tombstone
 const deleteMessage = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
     // Find the message
     const message = await Message.findById(id);
@@ -255,19 +381,33 @@ const deleteMessage = async (req, res) => {
     }
 
     // Check if user has permission to delete
-    if (!isAdmin && message.sender.toString() !== userId) {
+    if (!await PermissionService.can(req.user.payload, 'message:delete', message)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this message'
       });
     }
 
-    // Delete the message
-    await Message.findByIdAndDelete(id);
+    if (message.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message has already been deleted'
+      });
+    }
+
+    const tombstone = await ConversationService.deleteForEveryone(message, req.user.payload.id);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'Message',
+      before: message,
+      after: tombstone
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Message deleted successfully'
+      message: 'Message deleted successfully',
+      data: tombstone
     });
   } catch (error) {
     console.error('Error deleting message:', error);
@@ -279,17 +419,88 @@ const deleteMessage = async (req, res) => {
   }
 };
 
-// Add attachment to message
+// Delete a message from your own view only; the other participants keep it
+const deleteMessageForMe = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const message = await Message.findOne({ _id: req.params.id, deletedFor: { $ne: userId } });
+
+    // Only someone who can see the message can hide it
+    const canView = message && (
+      await PermissionService.can(req.user.payload, 'message:view', message) ||
+      (message.conversation && await Conversation.exists({ _id: message.conversation, 'participants.user': userId }))
+    );
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    await ConversationService.deleteForMe(message, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message deleted for you'
+    });
+  } catch (error) {
+    console.error('Error deleting message for user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete message',
+      error: error.message
+    });
+  }
+};
+
+// Get the earlier versions of a message, including content deleted for everyone
+const getMessageHistory = async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.id)
+      .select('+editHistory')
+      .populate('sender', 'username email avatar')
+      .populate('recipient', 'username email avatar')
+      .populate('deletedBy', 'username email');
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'message:viewHistory', message)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view the history of this message'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    console.error('Error fetching message history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message history',
+      error: error.message
+    });
+  }
+};
+
+// Upload attachments to a message. Files of a failed request are removed
+// again by the upload middleware.
 const addAttachment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { attachmentUrl } = req.body;
-    const userId = req.user.payload.id;
     
-    if (!attachmentUrl) {
+    if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Attachment URL is required'
+        message: 'At least one file is required'
       });
     }
 
@@ -304,18 +515,36 @@ const addAttachment = async (req, res) => {
     }
 
     // Check if user has permission to add attachments
-    if (message.sender.toString() !== userId) {
+    if (!await PermissionService.can(req.user.payload, 'message:attach', message)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to add attachments to this message'
       });
     }
 
-    // Add the attachment
-    message.attachments.push(attachmentUrl);
+    if (message.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Files cannot be added to a deleted message'
+      });
+    }
+
+    const before = AuditService.toSnapshot(message);
+
+    // Record the files and link their download URLs from the message
+    const attachments = await AttachmentService.recordUploads(req, 'Message', message._id);
+    message.attachments.push(...attachments.map(attachment => attachment.url));
     
     await message.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Message',
+      before,
+      after: message,
+      metadata: { attachments: attachments.map(attachment => attachment.originalName) }
+    });
+
     const updatedMessage = await Message.findById(id)
       .populate('sender', 'username email avatar')
       .populate('recipient', 'username email avatar');
@@ -323,7 +552,8 @@ const addAttachment = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Attachment added successfully',
-      data: updatedMessage
+      data: updatedMessage,
+      attachments
     });
   } catch (error) {
     console.error('Error adding attachment:', error);
@@ -340,11 +570,8 @@ const getUnreadCount = async (req, res) => {
   try {
     const userId = req.user.payload.id;
     
-    // Count unread messages where user is recipient
-    const unreadCount = await Message.countDocuments({
-      recipient: userId,
-      isRead: false
-    });
+    // Unread messages across all of the user's conversations
+    const unreadCount = await Conversation.getUnreadTotal(userId);
 
     res.status(200).json({
       success: true,
@@ -389,11 +616,15 @@ const getMessageStatistics = async (req, res) => {
 
 module.exports = {
   getAllMessages,
+  searchMessages,
   getConversation,
   getMessageById,
   createMessage,
   markAsRead,
+  editMessage,
   deleteMessage,
+  deleteMessageForMe,
+  getMessageHistory,
   addAttachment,
   getUnreadCount,
   getMessageStatistics
@@ -0,0 +1,163 @@
+const RolePermission = require('../models/RolePermission');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+
+// Get the permission registry and the effective permissions of every role
+const getPermissionMatrix = async (req, res) => {
+  try {
+    const mapping = await PermissionService.getRolePermissions();
+    const overrides = await RolePermission.find().select('role updated_by updated_at');
+
+    const roles = PermissionService.ROLES.map(role => {
+      const override = overrides.find(item => item.role === role);
+      return {
+        role,
+        permissions: mapping[role] || [],
+        customised: Boolean(override) && role !== 'ADMIN',
+        updated_by: override?.updated_by,
+        updated_at: override?.updated_at
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      permissions: Object.entries(PermissionService.PERMISSIONS).map(([name, description]) => ({ name, description })),
+      scopes: PermissionService.RESOURCE_SCOPES,
+      roles
+    });
+  } catch (error) {
+    console.error('Error fetching permission matrix:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch permission matrix',
+      error: error.message
+    });
+  }
+};
+
+// Get the permissions of the current user
+const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await PermissionService.getUserPermissions(req.user.payload);
+
+    res.status(200).json({
+      success: true,
+      role: req.user.payload.role,
+      permissions
+    });
+  } catch (error) {
+    console.error('Error fetching user permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch permissions',
+      error: error.message
+    });
+  }
+};
+
+// Replace the permissions granted to a role
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!PermissionService.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${PermissionService.ROLES.join(', ')}`
+      });
+    }
+
+    if (role === 'ADMIN') {
+      return res.status(400).json({
+        success: false,
+        message: 'The ADMIN role always holds every permission and cannot be customised'
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'permissions must be an array of permission names'
+      });
+    }
+
+    const invalid = permissions.filter(permission => !PermissionService.isValidPermission(permission));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${invalid.join(', ')}`
+      });
+    }
+
+    const previous = (await PermissionService.getRolePermissions())[role];
+    const saved = await PermissionService.setRolePermissions(role, permissions, req.user.payload.id);
+
+    await AuditService.recordChange(req, {
+      action: 'PERMISSIONS_CHANGED',
+      entityType: 'RolePermission',
+      entityId: saved._id,
+      before: { role, permissions: previous },
+      after: { role, permissions: saved.permissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions for ${role} updated successfully`,
+      role: saved.role,
+      permissions: saved.permissions
+    });
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role permissions',
+      error: error.message
+    });
+  }
+};
+
+// Restore the default permissions of a role
+const resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!PermissionService.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${PermissionService.ROLES.join(', ')}`
+      });
+    }
+
+    const previous = (await PermissionService.getRolePermissions())[role];
+    await PermissionService.resetRolePermissions(role);
+
+    await AuditService.recordChange(req, {
+      action: 'PERMISSIONS_RESET',
+      entityType: 'RolePermission',
+      before: { role, permissions: previous },
+      after: { role, permissions: PermissionService.DEFAULT_ROLE_PERMISSIONS[role] }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions for ${role} reset to defaults`,
+      role,
+      permissions: PermissionService.DEFAULT_ROLE_PERMISSIONS[role]
+    });
+  } catch (error) {
+    console.error('Error resetting role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset role permissions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPermissionMatrix,
+  getMyPermissions,
+  updateRolePermissions,
+  resetRolePermissions
+};
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const ErasureRequest = require('../models/ErasureRequest');
+const PrivacyService = require('../services/PrivacyService');
+const EmailService = require('../services/EmailService');
+const AuditService = require('../services/AuditService');
+
+// Download everything held about the current user as a ZIP archive
+const exportMyData = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const fileName = `data-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const result = await PrivacyService.writeExport(userId, res);
+
+    await AuditService.record(req, {
+      action: 'DATA_EXPORTED',
+      entityType: 'User',
+      entityId: userId,
+      metadata: result
+    });
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    // Once the archive has started streaming the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export user data',
+      error: error.message
+    });
+  }
+};
+
+// Ask for the current user's personal data to be erased
+const requestErasure = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const { password, reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Staff accounts are closed by an administrator instead
+    if (user.role !== 'USER') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only client accounts can request data erasure'
+      });
+    }
+
+    // Re-authenticate: this request cannot be undone once approved
+    if (!password || !await bcrypt.compare(password, user.password)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const pending = await ErasureRequest.findOne({ user: userId, status: 'PENDING' });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'An erasure request is already awaiting review',
+        erasureRequest: pending
+      });
+    }
+
+    const erasureRequest = await ErasureRequest.create({ user: userId, reason });
+
+    await AuditService.record(req, {
+      action: 'ERASURE_REQUESTED',
+      entityType: 'ErasureRequest',
+      entityId: erasureRequest._id,
+      metadata: { user: userId }
+    });
+
+    await EmailService.notifyErasureRequest(erasureRequest, user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Erasure request submitted. An administrator will review it shortly',
+      erasureRequest
+    });
+  } catch (error) {
+    console.error('Error requesting data erasure:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request data erasure',
+      error: error.message
+    });
+  }
+};
+
+// List the current user's erasure requests
+const getMyErasureRequests = async (req, res) => {
+  try {
+    const erasureRequests = await ErasureRequest.find({ user: req.user.payload.id })
+      .select('-summary')
+      .sort({ created_at: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: erasureRequests.length,
+      erasureRequests
+    });
+  } catch (error) {
+    console.error('Error fetching erasure requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch erasure requests',
+      error: error.message
+    });
+  }
+};
+
+// List erasure requests for review (admin only)
+const getErasureRequests = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const erasureRequests = await ErasureRequest.find(filter)
+      .populate('user', 'username email role')
+      .populate('reviewedBy', 'username email')
+      .sort({ created_at: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: erasureRequests.length,
+      erasureRequests
+    });
+  } catch (error) {
+    console.error('Error fetching erasure requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch erasure requests',
+      error: error.message
+    });
+  }
+};
+
+// Find a pending erasure request by the ID in the route
+const findPendingRequest = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid erasure request ID'
+    });
+    return null;
+  }
+
+  const erasureRequest = await ErasureRequest.findById(id);
+  if (!erasureRequest) {
+    res.status(404).json({
+      success: false,
+      message: 'Erasure request not found'
+    });
+    return null;
+  }
+
+  if (erasureRequest.status !== 'PENDING') {
+    res.status(400).json({
+      success: false,
+      message: `Erasure request has already been ${erasureRequest.status.toLowerCase()}`
+    });
+    return null;
+  }
+
+  return erasureRequest;
+};
+
+// Approve an erasure request and erase the user's data (admin only)
+const approveErasureRequest = async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+    const erasureRequest = await findPendingRequest(req, res);
+    if (!erasureRequest) return;
+
+    // Keep the contact details long enough to confirm the erasure
+    const user = await User.findById(erasureRequest.user).select('username email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const summary = await PrivacyService.eraseUserData(erasureRequest.user);
+
+    erasureRequest.status = 'COMPLETED';
+    erasureRequest.reviewedBy = req.user.payload.id;
+    erasureRequest.reviewedAt = Date.now();
+    erasureRequest.reviewNotes = notes;
+    erasureRequest.summary = summary;
+    erasureRequest.updated_at = Date.now();
+    await erasureRequest.save();
+
+    await AuditService.record(req, {
+      action: 'USER_ERASED',
+      entityType: 'User',
+      entityId: erasureRequest.user,
+      metadata: { erasureRequest: erasureRequest._id, summary }
+    });
+
+    await EmailService.sendErasureRequestOutcome(erasureRequest, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'User data erased successfully',
+      erasureRequest
+    });
+  } catch (error) {
+    console.error('Error approving erasure request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve erasure request',
+      error: error.message
+    });
+  }
+};
+
+// Reject an erasure request (admin only)
+const rejectErasureRequest = async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+    const erasureRequest = await findPendingRequest(req, res);
+    if (!erasureRequest) return;
+
+    erasureRequest.status = 'REJECTED';
+    erasureRequest.reviewedBy = req.user.payload.id;
+    erasureRequest.reviewedAt = Date.now();
+    erasureRequest.reviewNotes = notes;
+    erasureRequest.updated_at = Date.now();
+    await erasureRequest.save();
+
+    await AuditService.record(req, {
+      action: 'ERASURE_REJECTED',
+      entityType: 'ErasureRequest',
+      entityId: erasureRequest._id,
+      metadata: { user: erasureRequest.user, notes }
+    });
+
+    const user = await User.findById(erasureRequest.user).select('username email');
+    if (user) {
+      await EmailService.sendErasureRequestOutcome(erasureRequest, user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Erasure request rejected',
+      erasureRequest
+    });
+  } catch (error) {
+    console.error('Error rejecting erasure request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject erasure request',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportMyData,
+  requestErasure,
+  getMyErasureRequests,
+  getErasureRequests,
+  approveErasureRequest,
+  rejectErasureRequest
+};
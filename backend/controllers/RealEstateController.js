@@ -1,6 +1,10 @@
+const path = require('path');
 const RealEstate = require('../models/RealEstate');
 const User = require('../models/User');
 const UploadService = require('../services/UploadService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const InternalNoteService = require('../services/InternalNoteService');
 
 // Get all properties with pagination and filtering
 const getAllProperties = async (req, res) => {
@@ -115,8 +119,8 @@ const createProperty = async (req, res) => {
       });
     }
 
-    // If user is not ADMIN or AGENT, they can only create properties they own
-    const isPropertyProfessional = ['ADMIN', 'AGENT'].includes(user.role);
+    // Users without property:createForOthers can only create properties they own
+    const isPropertyProfessional = await PermissionService.can(req.user.payload, 'property:createForOthers');
 
     // Create the property
     const newProperty = new RealEstate({
@@ -128,13 +132,19 @@ const createProperty = async (req, res) => {
       features,
       images: images || [],
       status: status || 'AVAILABLE',
-      owner: req.body.owner || userId, // If owner is not specified, use current user
+      owner: (isPropertyProfessional && req.body.owner) || userId, // If owner is not specified, use current user
       agent: isPropertyProfessional ? userId : undefined // Set agent if user is a professional
     });
 
     // Save the property
     const savedProperty = await newProperty.save();
 
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'RealEstate',
+      after: savedProperty
+    });
+
     res.status(201).json({
       success: true,
       message: 'Property created successfully',
@@ -155,7 +165,6 @@ const updateProperty = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const userId = req.user.payload.id;
 
     // Find the property
     const property = await RealEstate.findById(id);
@@ -168,11 +177,7 @@ const updateProperty = async (req, res) => {
     }
 
     // Check if user has permission to update
-    const isOwner = property.owner.toString() === userId;
-    const isAssignedAgent = property.agent && property.agent.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-
-    if (!isOwner && !isAssignedAgent && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'property:update', property)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this property'
@@ -185,8 +190,8 @@ const updateProperty = async (req, res) => {
       'features', 'images', 'status'
     ];
     
-    // Add agent field to allowed updates if admin/owner
-    if (isOwner || isAdmin) {
+    // Add agent and type fields to allowed updates if admin/owner
+    if (await PermissionService.can(req.user.payload, 'property:manage', property)) {
       allowedUpdates.push('agent', 'type');
     }
 
@@ -209,6 +214,13 @@ const updateProperty = async (req, res) => {
     ).populate('owner', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'RealEstate',
+      before: property,
+      after: updatedProperty
+    });
+
     res.status(200).json({
       success: true,
       message: 'Property updated successfully',
@@ -228,7 +240,6 @@ const updateProperty = async (req, res) => {
 const deleteProperty = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
 
     // Find the property
     const property = await RealEstate.findById(id);
@@ -241,10 +252,7 @@ const deleteProperty = async (req, res) => {
     }
 
     // Check if user has permission to delete
-    const isOwner = property.owner.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-
-    if (!isOwner && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'property:delete', property)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this property'
@@ -253,6 +261,13 @@ const deleteProperty = async (req, res) => {
 
     // Delete the property
     await RealEstate.findByIdAndDelete(id);
+    await InternalNoteService.deleteNotesFor('RealEstate', [id]);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'RealEstate',
+      before: property
+    });
 
     res.status(200).json({
       success: true,
@@ -303,7 +318,6 @@ const assignAgent = async (req, res) => {
   try {
     const { id } = req.params;
     const { agentId } = req.body;
-    const userId = req.user.payload.id;
 
     // Find the property
     const property = await RealEstate.findById(id);
@@ -316,10 +330,7 @@ const assignAgent = async (req, res) => {
     }
 
     // Check if user has permission to assign agent
-    const isOwner = property.owner.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-
-    if (!isOwner && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'property:assign', property)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to assign agent to this property'
@@ -353,6 +364,13 @@ const assignAgent = async (req, res) => {
     ).populate('owner', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'RealEstate',
+      before: property,
+      after: updatedProperty
+    });
+
     res.status(200).json({
       success: true,
       message: agentId ? 'Agent assigned successfully' : 'Agent removed successfully',
@@ -373,7 +391,6 @@ const changePropertyStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
-    const userId = req.user.payload.id;
 
     // Check if status is valid
     const validStatuses = ['AVAILABLE', 'PENDING', 'SOLD', 'RENTED'];
@@ -395,11 +412,7 @@ const changePropertyStatus = async (req, res) => {
     }
 
     // Check if user has permission to update status
-    const isOwner = property.owner.toString() === userId;
-    const isAssignedAgent = property.agent && property.agent.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-
-    if (!isOwner && !isAssignedAgent && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'property:changeStatus', property)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this property status'
@@ -414,6 +427,13 @@ const changePropertyStatus = async (req, res) => {
     ).populate('owner', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'RealEstate',
+      before: property,
+      after: updatedProperty
+    });
+
     res.status(200).json({
       success: true,
       message: 'Property status updated successfully',
@@ -433,7 +453,6 @@ const changePropertyStatus = async (req, res) => {
 const uploadImages = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
 
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -455,11 +474,7 @@ const uploadImages = async (req, res) => {
     }
 
     // Check if user has permission to update
-    const isOwner = property.owner.toString() === userId;
-    const isAssignedAgent = property.agent && property.agent.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-
-    if (!isOwner && !isAssignedAgent && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'property:update', property)) {
       // Delete uploaded files if user does not have permission
       req.files.forEach(file => UploadService.deleteFile(file.path));
       return res.status(403).json({
@@ -482,6 +497,13 @@ const uploadImages = async (req, res) => {
     ).populate('owner', 'username email phone')
      .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'RealEstate',
+      before: property,
+      after: updatedProperty
+    });
+
     res.status(200).json({
       success: true,
       message: 'Images uploaded successfully',
@@ -506,7 +528,6 @@ const uploadImages = async (req, res) => {
 const deleteImage = async (req, res) => {
   try {
     const { id, imageIndex } = req.params;
-    const userId = req.user.payload.id;
     const idx = parseInt(imageIndex);
 
     // Find the property
@@ -520,11 +541,7 @@ const deleteImage = async (req, res) => {
     }
 
     // Check if user has permission to update
-    const isOwner = property.owner.toString() === userId;
-    const isAssignedAgent = property.agent && property.agent.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-
-    if (!isOwner && !isAssignedAgent && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'property:update', property)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete images for this property'
@@ -542,12 +559,21 @@ const deleteImage = async (req, res) => {
     // Get the image URL to delete the file later
     const imageUrl = property.images[idx];
 
+    const before = AuditService.toSnapshot(property);
+
     // Remove the image from the property
     property.images.splice(idx, 1);
     property.updated_at = Date.now();
 
     await property.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'RealEstate',
+      before,
+      after: property
+    });
+
     // Try to delete the file from the server
     try {
       // Extract the file path from the URL
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const SlaPolicy = require('../models/SlaPolicy');
+const SettingService = require('../services/SettingService');
+const AuditService = require('../services/AuditService');
+
+const POLICY_FIELDS = [
+  'name', 'category', 'priority', 'firstResponseMinutes', 'resolutionMinutes',
+  'businessHoursOnly', 'warningPercent', 'escalation', 'isActive'
+];
+
+// Copy the editable policy fields from a request body
+const pickPolicyFields = (body) => {
+  return POLICY_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Get all SLA policies
+const getSlaPolicies = async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find()
+      .populate('escalation.reassignTo', 'username email role')
+      .populate('escalation.notify', 'username email role')
+      .sort({ category: 1, priority: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      policies
+    });
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA policies',
+      error: error.message
+    });
+  }
+};
+
+// Create an SLA policy
+const createSlaPolicy = async (req, res) => {
+  try {
+    const fields = pickPolicyFields(req.body);
+
+    const existing = await SlaPolicy.findOne({
+      category: fields.category || null,
+      priority: fields.priority || null
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A policy for this category and priority already exists'
+      });
+    }
+
+    const policy = new SlaPolicy({ ...fields, created_by: req.user.payload.id });
+    const savedPolicy = await policy.save();
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'SlaPolicy',
+      after: savedPolicy
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'SLA policy created successfully. It applies to tickets opened from now on',
+      policy: savedPolicy
+    });
+  } catch (error) {
+    console.error('Error creating SLA policy:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to create SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// Update an SLA policy
+const updateSlaPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid SLA policy ID'
+      });
+    }
+
+    const policy = await SlaPolicy.findById(id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    const updatedPolicy = await SlaPolicy.findByIdAndUpdate(
+      id,
+      { ...pickPolicyFields(req.body), updated_at: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'SlaPolicy',
+      before: policy,
+      after: updatedPolicy
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy updated successfully',
+      policy: updatedPolicy
+    });
+  } catch (error) {
+    console.error('Error updating SLA policy:', error);
+    const status = error.name === 'ValidationError' || error.code === 11000 ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to update SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// Delete an SLA policy
+const deleteSlaPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid SLA policy ID'
+      });
+    }
+
+    const deletedPolicy = await SlaPolicy.findByIdAndDelete(id);
+    if (!deletedPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'SlaPolicy',
+      before: deletedPolicy
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// Get the business hours SLA targets are counted in
+const getBusinessHours = async (req, res) => {
+  try {
+    const businessHours = await SettingService.getSetting('slaBusinessHours');
+
+    res.status(200).json({
+      success: true,
+      businessHours
+    });
+  } catch (error) {
+    console.error('Error fetching business hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch business hours',
+      error: error.message
+    });
+  }
+};
+
+// Update the business hours SLA targets are counted in
+const updateBusinessHours = async (req, res) => {
+  try {
+    const { days, startHour, endHour, utcOffsetMinutes = 0 } = req.body;
+
+    const validDays = Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    const validHours = Number.isInteger(startHour) && Number.isInteger(endHour) &&
+      startHour >= 0 && endHour <= 24 && startHour < endHour;
+
+    if (!validDays || !validHours || !Number.isInteger(utcOffsetMinutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must list weekdays 0-6 (0 = Sunday) and startHour/endHour must be whole hours with startHour < endHour'
+      });
+    }
+
+    const previous = await SettingService.getSetting('slaBusinessHours');
+    const saved = await SettingService.setSetting(
+      'slaBusinessHours',
+      { days: [...new Set(days)].sort(), startHour, endHour, utcOffsetMinutes },
+      req.user.payload.id
+    );
+
+    await AuditService.recordChange(req, {
+      action: 'SETTING_CHANGED',
+      entityType: 'Setting',
+      before: { slaBusinessHours: previous },
+      after: { slaBusinessHours: saved }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Business hours updated successfully. They apply to tickets opened from now on',
+      businessHours: saved
+    });
+  } catch (error) {
+    console.error('Error updating business hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update business hours',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+  getBusinessHours,
+  updateBusinessHours
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const SatisfactionSurvey = require('../models/SatisfactionSurvey');
+const SurveyService = require('../services/SurveyService');
+const AuditService = require('../services/AuditService');
+
+const CATEGORIES = SatisfactionSurvey.schema.path('category').enumValues;
+const MAX_COMMENT_LENGTH = SatisfactionSurvey.schema.path('comment').options.maxlength;
+
+// Show what a rating link is for, so the survey page can show the ticket
+const getSurveyByToken = async (req, res) => {
+  try {
+    const survey = await SurveyService.getSurveyFromToken(req.query.token);
+    if (!survey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired survey link'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      survey: {
+        ticket: survey.ticket ? { _id: survey.ticket._id, title: survey.ticket.title, category: survey.ticket.category } : null,
+        agent: survey.assignee ? survey.assignee.username : null,
+        status: survey.status,
+        score: survey.score,
+        comment: survey.comment,
+        expiresAt: survey.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching satisfaction survey:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch satisfaction survey',
+      error: error.message
+    });
+  }
+};
+
+// Answer a survey with a 1-5 score and an optional comment
+const submitSurvey = async (req, res) => {
+  try {
+    const { token, comment } = req.body || {};
+    const score = Number(req.body?.score);
+
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Score must be a whole number from 1 to 5'
+      });
+    }
+
+    if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment must be text of at most ${MAX_COMMENT_LENGTH} characters`
+      });
+    }
+
+    const survey = await SurveyService.getSurveyFromToken(token);
+    if (!survey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired survey link'
+      });
+    }
+
+    const before = AuditService.toSnapshot(survey);
+    await SurveyService.answerSurvey(survey, { score, comment: comment?.trim() });
+
+    await AuditService.recordChange(req, {
+      action: 'SURVEY_ANSWERED',
+      entityType: 'SatisfactionSurvey',
+      before,
+      after: survey,
+      actor: survey.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you for your feedback'
+    });
+  } catch (error) {
+    console.error('Error submitting satisfaction survey:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit satisfaction survey',
+      error: error.message
+    });
+  }
+};
+
+// List answered surveys with their comments, for staff reviewing feedback
+const getSurveys = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.category) {
+      if (!CATEGORIES.includes(req.query.category)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
+        });
+      }
+      filter.category = req.query.category;
+    }
+
+    if (req.query.agent) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.agent)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid agent ID'
+        });
+      }
+      filter.assignee = req.query.agent;
+    }
+
+    // e.g. maxScore=2 to review unhappy customers
+    const maxScore = Number(req.query.maxScore);
+    if (Number.isFinite(maxScore)) {
+      filter.score = { $lte: maxScore };
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [surveys, total] = await Promise.all([
+      SatisfactionSurvey.find(filter)
+        .populate('ticket', 'title category status')
+        .populate('user', 'username email')
+        .populate('assignee', 'username email')
+        .sort({ answeredAt: -1, sentAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SatisfactionSurvey.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: surveys.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      surveys
+    });
+  } catch (error) {
+    console.error('Error fetching satisfaction surveys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch satisfaction surveys',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSurveyByToken,
+  submitSurvey,
+  getSurveys
+};
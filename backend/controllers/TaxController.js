@@ -1,5 +1,8 @@
 const Tax = require('../models/Tax');
 const User = require('../models/User');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const InternalNoteService = require('../services/InternalNoteService');
 
 // Get all tax cases with pagination and filtering
 const getAllTaxCases = async (req, res) => {
@@ -9,16 +12,16 @@ const getAllTaxCases = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Basic filtering options
-    const filter = {};
-    
-    // Admins and tax professionals can see all, users can only see their own
-    const userId = req.user?.payload?.id;
-    const isAdmin = req.user?.payload?.isAdmin || req.user?.payload?.role === 'ADMIN';
-    const isSupport = req.user?.payload?.role === 'SUPPORT';
-    
-    if (!isAdmin && !isSupport) {
-      filter.client = userId;
+    // Staff with tax:viewAll see everything, others only the cases in their scope
+    const filter = await PermissionService.can(req.user.payload, 'tax:viewAll')
+      ? {}
+      : await PermissionService.getScopeFilter(req.user.payload, 'tax:view');
+
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view tax cases'
+      });
     }
     
     // Additional filters from query params
@@ -45,13 +48,16 @@ const getAllTaxCases = async (req, res) => {
     // Get total count for pagination info
     const total = await Tax.countDocuments(filter);
 
+    // Income figures stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'tax:viewSensitive', taxCases);
+
     res.status(200).json({
       success: true,
       count: taxCases.length,
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      taxCases
+      taxCases: visible
     });
   } catch (error) {
     console.error('Error fetching tax cases:', error);
@@ -67,9 +73,6 @@ const getAllTaxCases = async (req, res) => {
 const getTaxCaseById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.payload?.id;
-    const isAdmin = req.user?.payload?.isAdmin || req.user?.payload?.role === 'ADMIN';
-    const isSupport = req.user?.payload?.role === 'SUPPORT';
 
     const taxCase = await Tax.findById(id)
       .populate('client', 'username email phone address')
@@ -82,8 +85,11 @@ const getTaxCaseById = async (req, res) => {
       });
     }
 
-    // Check permissions - only allow access to own tax cases unless admin/support
-    if (!isAdmin && !isSupport && taxCase.client._id.toString() !== userId) {
+    // Check permissions - only allow access to own tax cases unless allowed to view all
+    const canView = await PermissionService.can(req.user.payload, 'tax:viewAll') ||
+      await PermissionService.can(req.user.payload, 'tax:view', taxCase);
+
+    if (!canView) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own tax cases'
@@ -111,17 +117,15 @@ const createTaxCase = async (req, res) => {
       type, fiscalYear, details, clientUserId, documents, notes 
     } = req.body;
 
-    // Default to current user if clientUserId not provided or not admin/support
+    // Default to current user if clientUserId not provided or not staff
     const creatorId = req.user.payload.id;
-    const creatorRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || creatorRole === 'ADMIN';
-    const isSupport = creatorRole === 'SUPPORT';
+    const canCreateForOthers = await PermissionService.can(req.user.payload, 'tax:createForOthers');
     
     // Determine client
     let clientId = creatorId;
     
     // If admin or support is creating for someone else
-    if ((isAdmin || isSupport) && clientUserId) {
+    if (canCreateForOthers && clientUserId) {
       // Check if the specified client exists
       const clientExists = await User.findById(clientUserId);
       if (!clientExists) {
@@ -142,11 +146,17 @@ const createTaxCase = async (req, res) => {
       status: 'PENDING',
       documents: documents || [],
       notes: notes || '',
-      taxProfessional: (isAdmin || isSupport) ? creatorId : undefined
+      taxProfessional: canCreateForOthers ? creatorId : undefined
     });
 
     const savedTaxCase = await newTaxCase.save();
 
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Tax',
+      after: savedTaxCase
+    });
+
     // Populate the response data
     const populatedTaxCase = await Tax.findById(savedTaxCase._id)
       .populate('client', 'username email phone')
@@ -172,10 +182,6 @@ const updateTaxCase = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
 
     // Find the tax case
     const taxCase = await Tax.findById(id);
@@ -188,31 +194,28 @@ const updateTaxCase = async (req, res) => {
     }
 
     // Check if user has permission to update
-    const isClient = taxCase.client.toString() === userId;
-    const isAssignedProfessional = taxCase.taxProfessional && taxCase.taxProfessional.toString() === userId;
-
-    if (!isClient && !isAssignedProfessional && !isAdmin && !isSupport) {
+    if (!await PermissionService.can(req.user.payload, 'tax:update', taxCase)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this tax case'
       });
     }
 
-    // Define allowed fields based on role
+    // Define allowed fields based on permissions
     let allowedUpdates = [];
     
-    if (isAdmin || isSupport) {
+    if (await PermissionService.can(req.user.payload, 'tax:manage', taxCase)) {
       // Admins and support staff can update all fields
       allowedUpdates = [
         'type', 'fiscalYear', 'details', 
         'status', 'documents', 'notes', 'taxProfessional'
       ];
-    } else if (isAssignedProfessional) {
-      // Tax professionals can update most fields
+    } else if (await PermissionService.can(req.user.payload, 'tax:changeStatus', taxCase)) {
+      // Tax professionals working the case can update most fields
       allowedUpdates = [
         'details', 'status', 'documents', 'notes'
       ];
-    } else if (isClient) {
+    } else {
       // Clients can only update limited fields
       allowedUpdates = ['documents', 'notes'];
       
@@ -241,6 +244,13 @@ const updateTaxCase = async (req, res) => {
     ).populate('client', 'username email phone')
      .populate('taxProfessional', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Tax',
+      before: taxCase,
+      after: updatedTaxCase
+    });
+
     res.status(200).json({
       success: true,
       message: 'Tax case updated successfully',
@@ -260,8 +270,6 @@ const updateTaxCase = async (req, res) => {
 const deleteTaxCase = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
     // Find the tax case
     const taxCase = await Tax.findById(id);
@@ -274,11 +282,12 @@ const deleteTaxCase = async (req, res) => {
     }
 
     // Check if user has permission to delete
-    // Only admin or the client (if case is still in PENDING status)
-    const isClient = taxCase.client.toString() === userId;
-    const isDeletable = taxCase.status === 'PENDING';
+    // An unscoped grant deletes anything; scoped grants only while the case is still PENDING
+    const canDeleteAny = await PermissionService.can(req.user.payload, 'tax:delete');
+    const canDeleteOwn = taxCase.status === 'PENDING' &&
+      await PermissionService.can(req.user.payload, 'tax:delete', taxCase);
 
-    if (!isAdmin && (!isClient || !isDeletable)) {
+    if (!canDeleteAny && !canDeleteOwn) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this tax case'
@@ -287,6 +296,13 @@ const deleteTaxCase = async (req, res) => {
 
     // Delete the tax case
     await Tax.findByIdAndDelete(id);
+    await InternalNoteService.deleteNotesFor('Tax', [id]);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'Tax',
+      before: taxCase
+    });
 
     res.status(200).json({
       success: true,
@@ -313,10 +329,13 @@ const getUserTaxCases = async (req, res) => {
       .populate('taxProfessional', 'username email phone')
       .sort({ created_at: -1 });
 
+    // Income figures stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'tax:viewSensitive', taxCases);
+
     res.status(200).json({
       success: true,
       count: taxCases.length,
-      taxCases
+      taxCases: visible
     });
   } catch (error) {
     console.error('Error fetching user tax cases:', error);
@@ -332,16 +351,6 @@ const getUserTaxCases = async (req, res) => {
 const getProfessionalTaxCases = async (req, res) => {
   try {
     const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-
-    if (!isAdmin && !isSupport) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only tax professionals and admins can access this endpoint'
-      });
-    }
 
     // Get cases where user is the assigned tax professional
     const taxCases = await Tax.find({ taxProfessional: userId })
@@ -349,10 +358,13 @@ const getProfessionalTaxCases = async (req, res) => {
       .populate('taxProfessional', 'username email phone')
       .sort({ created_at: -1 });
 
+    // Income figures stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'tax:viewSensitive', taxCases);
+
     res.status(200).json({
       success: true,
       count: taxCases.length,
-      taxCases
+      taxCases: visible
     });
   } catch (error) {
     console.error('Error fetching professional tax cases:', error);
@@ -370,10 +382,9 @@ const assignTaxProfessional = async (req, res) => {
     const { id } = req.params;
     const { taxProfessionalId } = req.body;
     const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
-    // Only admins can assign tax professionals
-    if (!isAdmin) {
+    // Only users holding tax:assign can assign tax professionals
+    if (!await PermissionService.can(req.user.payload, 'tax:assign')) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can assign tax professionals to tax cases'
@@ -417,6 +428,13 @@ const assignTaxProfessional = async (req, res) => {
     ).populate('client', 'username email phone')
      .populate('taxProfessional', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'Tax',
+      before: taxCase,
+      after: updatedTaxCase
+    });
+
     res.status(200).json({
       success: true,
       message: taxProfessionalId ? 'Tax professional assigned successfully' : 'Tax professional removed successfully',
@@ -437,10 +455,6 @@ const changeStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
 
     // Check if status is valid
     const validStatuses = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'REVISION_NEEDED'];
@@ -462,9 +476,7 @@ const changeStatus = async (req, res) => {
     }
 
     // Check if user has permission to update status
-    const isAssignedProfessional = taxCase.taxProfessional && taxCase.taxProfessional.toString() === userId;
-
-    if (!isAssignedProfessional && !isAdmin && !isSupport) {
+    if (!await PermissionService.can(req.user.payload, 'tax:changeStatus', taxCase)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this tax case status'
@@ -490,6 +502,13 @@ const changeStatus = async (req, res) => {
     ).populate('client', 'username email phone')
      .populate('taxProfessional', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'Tax',
+      before: taxCase,
+      after: updatedTaxCase
+    });
+
     res.status(200).json({
       success: true,
       message: 'Tax case status updated successfully',
@@ -510,7 +529,6 @@ const addDocument = async (req, res) => {
   try {
     const { id } = req.params;
     const { documentUrl } = req.body;
-    const userId = req.user.payload.id;
     
     if (!documentUrl) {
       return res.status(400).json({
@@ -530,24 +548,28 @@ const addDocument = async (req, res) => {
     }
 
     // Check if user has permission to add documents
-    const isClient = taxCase.client.toString() === userId;
-    const isAssignedProfessional = taxCase.taxProfessional && taxCase.taxProfessional.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    const isSupport = req.user.payload.role === 'SUPPORT';
-
-    if (!isClient && !isAssignedProfessional && !isAdmin && !isSupport) {
+    if (!await PermissionService.can(req.user.payload, 'tax:manageDocuments', taxCase)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to add documents to this tax case'
       });
     }
 
+    const before = AuditService.toSnapshot(taxCase);
+
     // Add the document
     taxCase.documents.push(documentUrl);
     taxCase.updated_at = Date.now();
     
     await taxCase.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Tax',
+      before,
+      after: taxCase
+    });
+
     const updatedTaxCase = await Tax.findById(id)
       .populate('client', 'username email phone')
       .populate('taxProfessional', 'username email phone');
@@ -571,7 +593,6 @@ const addDocument = async (req, res) => {
 const removeDocument = async (req, res) => {
   try {
     const { id, documentIndex } = req.params;
-    const userId = req.user.payload.id;
     const idx = parseInt(documentIndex);
     
     // Find the tax case
@@ -585,12 +606,7 @@ const removeDocument = async (req, res) => {
     }
 
     // Check if user has permission to remove documents
-    const isClient = taxCase.client.toString() === userId;
-    const isAssignedProfessional = taxCase.taxProfessional && taxCase.taxProfessional.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    const isSupport = req.user.payload.role === 'SUPPORT';
-
-    if (!isClient && !isAssignedProfessional && !isAdmin && !isSupport) {
+    if (!await PermissionService.can(req.user.payload, 'tax:manageDocuments', taxCase)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to remove documents from this tax case'
@@ -605,12 +621,21 @@ const removeDocument = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(taxCase);
+
     // Remove the document
     taxCase.documents.splice(idx, 1);
     taxCase.updated_at = Date.now();
     
     await taxCase.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Tax',
+      before,
+      after: taxCase
+    });
+
     const updatedTaxCase = await Tax.findById(id)
       .populate('client', 'username email phone')
       .populate('taxProfessional', 'username email phone');
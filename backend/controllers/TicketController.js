@@ -1,8 +1,29 @@
 const Ticket = require('../models/Ticket');
+const CannedResponse = require('../models/CannedResponse');
 const User = require('../models/User');
 const EmailService = require('../services/EmailService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const SlaService = require('../services/SlaService');
+const AssignmentService = require('../services/AssignmentService');
+const SettingService = require('../services/SettingService');
+const InternalNoteService = require('../services/InternalNoteService');
+const CannedResponseService = require('../services/CannedResponseService');
+const TicketService = require('../services/TicketService');
+const SurveyService = require('../services/SurveyService');
+const TicketFieldService = require('../services/TicketFieldService');
+const TicketQueryService = require('../services/TicketQueryService');
+const TicketBulkService = require('../services/TicketBulkService');
+const AttachmentService = require('../services/AttachmentService');
 const mongoose = require('mongoose');
 
+const { getVisibleTicketsFilter } = TicketQueryService;
+
+const sendTicketsAccessDenied = (res) => res.status(403).json({
+  success: false,
+  message: 'Access denied. You do not have permission to view tickets'
+});
+
 // Get all tickets with pagination and filtering
 const getAllTickets = async (req, res) => {
   try {
@@ -11,29 +32,14 @@ const getAllTickets = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Basic filtering options
-    const filter = {};
-
-    // Admins and support staff can see all, users can only see their own, agents see assigned tickets
-    const userId = req.user?.payload?.id;
-    const userRole = req.user?.payload?.role;
-    const isAdmin = req.user?.payload?.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
-
-    if (!isAdmin && !isSupport) {
-      if (isAgent) {
-        // Agents see tickets assigned to them or with no assignee
-        filter.$or = [
-          { assignedTo: userId },
-          { user: userId }
-        ];
-      } else {
-        // Regular users see only their tickets
-        filter.user = userId;
-      }
+    // Staff with ticket:viewAll see everything, others only the tickets in their scope
+    const visibleFilter = await getVisibleTicketsFilter(req.user.payload);
+    if (!visibleFilter) {
+      return sendTicketsAccessDenied(res);
     }
 
+    const filter = { ...visibleFilter };
+
     // Additional filters from query params
     if (req.query.status) {
       filter.status = req.query.status;
@@ -47,12 +53,14 @@ const getAllTickets = async (req, res) => {
       filter.category = req.query.category;
     }
 
-    // Search by title
+    // Search by title (kept in $and so it narrows rather than replaces the visibility scope)
     if (req.query.search) {
-      filter.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } }
-      ];
+      filter.$and = [{
+        $or: [
+          { title: { $regex: req.query.search, $options: 'i' } },
+          { description: { $regex: req.query.search, $options: 'i' } }
+        ]
+      }];
     }
 
     // Execute query with pagination
@@ -88,11 +96,6 @@ const getAllTickets = async (req, res) => {
 const getTicketById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.payload?.id;
-    const userRole = req.user?.payload?.role;
-    const isAdmin = req.user?.payload?.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
 
     const ticket = await Ticket.findById(id)
       .populate('user', 'username email phone address')
@@ -106,11 +109,11 @@ const getTicketById = async (req, res) => {
       });
     }
 
-    // Check permissions - only allow access to own tickets unless admin/support/assigned
-    const isTicketOwner = ticket.user._id.toString() === userId;
-    const isAssigned = ticket.assignedTo && ticket.assignedTo._id.toString() === userId;
+    // Check permissions - only allow access to own tickets unless allowed to view all or assigned
+    const canView = await PermissionService.can(req.user.payload, 'ticket:viewAll') ||
+      await PermissionService.can(req.user.payload, 'ticket:view', ticket);
 
-    if (!isAdmin && !isSupport && !isTicketOwner && !isAssigned) {
+    if (!canView) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own tickets or tickets assigned to you'
@@ -135,11 +138,20 @@ const getTicketById = async (req, res) => {
 const createTicket = async (req, res) => {
   try {
     const {
-      title, description, category, priority, relatedService
+      title, description, category, priority, relatedService, customFields
     } = req.body;
 
     const userId = req.user.payload.id;
 
+    // Values for the custom fields defined for the category
+    const fieldCheck = await TicketFieldService.validateCustomFields(category, customFields);
+    if (fieldCheck.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: fieldCheck.errors
+      });
+    }
+
     // Validate that user exists
     const user = await User.findById(userId);
     if (!user) {
@@ -149,37 +161,21 @@ const createTicket = async (req, res) => {
       });
     }
 
-    // Create ticket
-    const newTicket = new Ticket({
-      title,
-      description,
-      category,
-      priority: priority || 'MEDIUM',
-      status: 'OPEN',
-      user: userId,
-      relatedService: relatedService || {},
-      messages: [{
-        sender: userId,
-        content: description,
-        timestamp: Date.now()
-      }]
+    // Looked up first so the new ticket does not match itself
+    const possibleDuplicates = await TicketService.findPossibleDuplicates(userId, {
+      title, category, relatedService
     });
 
-    const savedTicket = await newTicket.save();
-
-    // Populate the response data
-    const populatedTicket = await Ticket.findById(savedTicket._id)
-      .populate('user', 'username email phone')
-      .populate('messages.sender', 'username email role');
-
-    // Send ticket confirmation to user
-    await EmailService.sendTicketConfirmation(populatedTicket, user);
-    await EmailService.notifyNewTicket(populatedTicket, user);
+    const populatedTicket = await TicketService.openTicket(req, user, {
+      title, description, category, priority, relatedService,
+      customFields: fieldCheck.customFields
+    });
 
     res.status(201).json({
       success: true,
       message: 'Ticket created successfully',
-      ticket: populatedTicket
+      ticket: populatedTicket,
+      possibleDuplicates
     });
   } catch (error) {
     console.error('Error creating ticket:', error);
@@ -195,12 +191,8 @@ const createTicket = async (req, res) => {
 const updateTicket = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, category, priority, status } = req.body;
+    const { title, description, category, priority, status, tags, customFields } = req.body;
     const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
 
     // Find the ticket
     const ticket = await Ticket.findById(id);
@@ -214,27 +206,28 @@ const updateTicket = async (req, res) => {
 
     // Check if user has permission to update
     const isTicketOwner = ticket.user.toString() === userId;
-    const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === userId;
+    const canUpdate = await PermissionService.can(req.user.payload, 'ticket:update', ticket);
+    const canManage = await PermissionService.can(req.user.payload, 'ticket:manage', ticket);
 
-    if (!isAdmin && !isSupport && !isTicketOwner && !isAssigned) {
+    if (!canUpdate && !canManage) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this ticket'
       });
     }
 
-    // Define allowed fields based on role
+    // Define allowed fields based on permissions
     const updates = {};
 
     // Ticket owner can update title, description, priority (if status is OPEN)
-    if (isTicketOwner && ticket.status === 'OPEN') {
+    if (canUpdate && ticket.status === 'OPEN') {
       if (title) updates.title = title;
       if (description) updates.description = description;
       if (priority) updates.priority = priority;
     }
 
-    // Support/admin/agent can update all fields
-    if (isAdmin || isSupport || (isAgent && isAssigned)) {
+    // Support/admin/assigned agent can update all fields
+    if (canManage) {
       if (title) updates.title = title;
       if (description) updates.description = description;
       if (category) updates.category = category;
@@ -242,6 +235,57 @@ const updateTicket = async (req, res) => {
       if (status) updates.status = status;
     }
 
+    if (updates.status && ticket.mergedInto && updates.status !== 'CLOSED') {
+      return res.status(400).json({
+        success: false,
+        message: `This ticket was merged into ticket ${ticket.mergedInto} and cannot be reopened`,
+        mergedInto: ticket.mergedInto
+      });
+    }
+
+    // Tags are a staff tool
+    if (tags !== undefined) {
+      if (!canManage) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to tag this ticket'
+        });
+      }
+
+      const tagCheck = TicketFieldService.normalizeTags(tags);
+      if (tagCheck.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: tagCheck.errors
+        });
+      }
+      updates.tags = tagCheck.tags;
+    }
+
+    // Custom fields follow the same rules as the title; a new category brings its own fields
+    const editableFields = canManage || (canUpdate && ticket.status === 'OPEN');
+    if (customFields !== undefined && !editableFields) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change the custom fields of this ticket'
+      });
+    }
+
+    if (customFields !== undefined || (updates.category && updates.category !== ticket.category)) {
+      const fieldCheck = await TicketFieldService.validateCustomFields(
+        updates.category || ticket.category,
+        customFields,
+        ticket.customFields
+      );
+      if (fieldCheck.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: fieldCheck.errors
+        });
+      }
+      updates.customFields = fieldCheck.customFields;
+    }
+
     // Add updated_at timestamp
     updates.updated_at = Date.now();
 
@@ -255,22 +299,35 @@ const updateTicket = async (req, res) => {
       .populate('assignedTo', 'username email phone role')
       .populate('messages.sender', 'username email role');
 
-    const sender = await User.findById(userId);
-
-    // Notify ticket owner about new message (if sender is not the owner)
-    const ticketOwner = await User.findById(updatedTicket.user);
-    if (ticketOwner && !isTicketOwner) {
-      await EmailService.notifyNewTicketMessage(updatedTicket, ticketOwner, newMessage, sender);
+    // Keep SLA due dates in line with the category and priority
+    let slaChanged = false;
+    if (updatedTicket.category !== ticket.category || updatedTicket.priority !== ticket.priority) {
+      await SlaService.applyPolicy(updatedTicket);
+      slaChanged = true;
+    }
+    if (SlaService.recordStatusChange(updatedTicket, ticket.status) || slaChanged) {
+      await updatedTicket.save();
     }
 
-    // Notify assigned staff member about new message (if sender is not the assigned staff)
-    if (updatedTicket.assignedTo && !isAssigned) {
-      const assignedStaff = await User.findById(updatedTicket.assignedTo);
-      if (assignedStaff) {
-        await EmailService.notifyStaffNewTicketMessage(updatedTicket, assignedStaff, newMessage, sender);
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Ticket',
+      before: ticket,
+      after: updatedTicket
+    });
+
+    // Let the owner know when someone else changed the status
+    if (updatedTicket.status !== ticket.status && !isTicketOwner) {
+      const ticketOwner = await User.findById(updatedTicket.user);
+      if (ticketOwner) {
+        await EmailService.notifyTicketStatusChange(updatedTicket, ticketOwner, ticket.status);
       }
     }
 
+    if (SurveyService.isResolution(ticket.status, updatedTicket.status)) {
+      await SurveyService.sendSurvey(updatedTicket);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Ticket updated successfully',
@@ -290,11 +347,9 @@ const updateTicket = async (req, res) => {
 const deleteTicket = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
-    // Only admins can delete tickets
-    if (!isAdmin) {
+    // Only users holding ticket:delete can delete tickets
+    if (!await PermissionService.can(req.user.payload, 'ticket:delete')) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can delete tickets'
@@ -311,6 +366,16 @@ const deleteTicket = async (req, res) => {
       });
     }
 
+    await InternalNoteService.deleteNotesFor('Ticket', [deletedTicket._id]);
+    await AttachmentService.deleteAttachmentsFor('Ticket', [deletedTicket._id]);
+    await SurveyService.deleteSurveysFor([deletedTicket._id]);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'Ticket',
+      before: deletedTicket
+    });
+
     res.status(200).json({
       success: true,
       message: 'Ticket deleted successfully'
@@ -355,17 +420,6 @@ const getUserTickets = async (req, res) => {
 const getAssignedTickets = async (req, res) => {
   try {
     const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
-
-    if (!isAdmin && !isSupport && !isAgent) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only support staff and admins can access this endpoint'
-      });
-    }
 
     // Get tickets assigned to this user
     const tickets = await Ticket.find({ assignedTo: userId })
@@ -394,12 +448,9 @@ const assignTicket = async (req, res) => {
     const { id } = req.params;
     const { assigneeId } = req.body;
     const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
 
-    // Only admins and support can assign tickets
-    if (!isAdmin && !isSupport) {
+    // Only users holding ticket:assign can assign tickets
+    if (!await PermissionService.can(req.user.payload, 'ticket:assign')) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators and support staff can assign tickets'
@@ -450,6 +501,13 @@ const assignTicket = async (req, res) => {
       .populate('assignedTo', 'username email phone role')
       .populate('messages.sender', 'username email role');
 
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'Ticket',
+      before: ticket,
+      after: updatedTicket
+    });
+
     // Add system message noting the assignment change
     const systemMessage = {
       sender: userId,
@@ -459,6 +517,7 @@ const assignTicket = async (req, res) => {
       timestamp: Date.now()
     };
 
+    SlaService.recordStatusChange(updatedTicket, ticket.status);
     updatedTicket.messages.push(systemMessage);
     await updatedTicket.save();
 
@@ -487,16 +546,501 @@ const assignTicket = async (req, res) => {
   }
 };
 
+// Route an unassigned ticket through the assignment engine (admin and support)
+const autoAssignTicket = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID'
+      });
+    }
+
+    const ticket = await Ticket.findById(id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (ticket.assignedTo || SlaService.CLOSED_STATUSES.includes(ticket.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open, unassigned tickets can be assigned automatically'
+      });
+    }
+
+    const before = ticket.toObject();
+
+    // Switching automatic assignment off for new tickets should not disable this on-demand routing
+    const { strategy } = await SettingService.getSetting('ticketAssignment');
+    const assignee = await AssignmentService.autoAssign(ticket, {
+      strategy: strategy === 'MANUAL' ? 'LEAST_LOADED' : strategy
+    });
+
+    if (!assignee) {
+      return res.status(409).json({
+        success: false,
+        message: 'No available staff member covers this category'
+      });
+    }
+
+    ticket.updated_at = Date.now();
+    await ticket.save();
+
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'Ticket',
+      before,
+      after: ticket
+    });
+
+    const updatedTicket = await Ticket.findById(id)
+      .populate('user', 'username email phone')
+      .populate('assignedTo', 'username email phone role')
+      .populate('messages.sender', 'username email role');
+
+    const ticketOwner = await User.findById(ticket.user);
+    if (ticketOwner) {
+      await EmailService.notifyTicketAssignment(updatedTicket, ticketOwner, assignee);
+    }
+    await EmailService.notifyStaffTicketAssignment(updatedTicket, assignee);
+
+    res.status(200).json({
+      success: true,
+      message: `Ticket assigned to ${assignee.username}`,
+      ticket: updatedTicket
+    });
+  } catch (error) {
+    console.error('Error auto-assigning ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign ticket',
+      error: error.message
+    });
+  }
+};
+
+// Show each assignable staff member's categories, open tickets and availability
+const getAssignmentWorkload = async (req, res) => {
+  try {
+    const workload = await AssignmentService.getStaffWorkload(req.query.category);
+
+    res.status(200).json({
+      success: true,
+      count: workload.length,
+      staff: workload.map(({ user, openTickets, away }) => ({
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        specialisations: user.specialisations,
+        availability: user.availability,
+        lastTicketAssignedAt: user.lastTicketAssignedAt,
+        openTickets,
+        away
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching assignment workload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignment workload',
+      error: error.message
+    });
+  }
+};
+
+// Get the automatic assignment settings (admin only)
+const getAssignmentSettings = async (req, res) => {
+  try {
+    const settings = await SettingService.getSetting('ticketAssignment');
+
+    res.status(200).json({
+      success: true,
+      settings,
+      strategies: AssignmentService.STRATEGIES
+    });
+  } catch (error) {
+    console.error('Error fetching assignment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignment settings',
+      error: error.message
+    });
+  }
+};
+
+// Choose the automatic assignment strategy and workload cap (admin only)
+const updateAssignmentSettings = async (req, res) => {
+  try {
+    const { strategy, maxOpenTickets = 0 } = req.body;
+
+    if (!AssignmentService.STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid strategy. Must be one of: ${AssignmentService.STRATEGIES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(maxOpenTickets) || maxOpenTickets < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxOpenTickets must be a whole number, 0 for no limit'
+      });
+    }
+
+    const previous = await SettingService.getSetting('ticketAssignment');
+    const saved = await SettingService.setSetting(
+      'ticketAssignment',
+      { strategy, maxOpenTickets },
+      req.user.payload.id
+    );
+
+    await AuditService.recordChange(req, {
+      action: 'SETTING_CHANGED',
+      entityType: 'Setting',
+      before: { ticketAssignment: previous },
+      after: { ticketAssignment: saved }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment settings updated successfully',
+      settings: saved
+    });
+  } catch (error) {
+    console.error('Error updating assignment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update assignment settings',
+      error: error.message
+    });
+  }
+};
+
+// Get the reminder and automatic closing settings for tickets waiting on customers (admin only)
+const getAutoCloseSettings = async (req, res) => {
+  try {
+    const settings = await SettingService.getSetting('ticketAutoClose');
+
+    res.status(200).json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Error fetching auto-close settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auto-close settings',
+      error: error.message
+    });
+  }
+};
+
+// Change when customers are reminded and when waiting tickets close (admin only)
+const updateAutoCloseSettings = async (req, res) => {
+  try {
+    const {
+      enabled = true,
+      reminderAfterDays = [],
+      closeAfterDays,
+      closeStatus = 'RESOLVED',
+      reopenWithinDays = 0
+    } = req.body;
+
+    const isDayCount = (value, min) => Number.isInteger(value) && value >= min;
+    const errors = [];
+
+    if (typeof enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    if (!isDayCount(closeAfterDays, 1)) {
+      errors.push('closeAfterDays must be a whole number of days, at least 1');
+    }
+    if (!Array.isArray(reminderAfterDays) || reminderAfterDays.length > 5 ||
+        !reminderAfterDays.every((days, i) => isDayCount(days, 1) && (i === 0 || days > reminderAfterDays[i - 1]) && days < closeAfterDays)) {
+      errors.push('reminderAfterDays must be up to 5 increasing whole numbers of days, each before closeAfterDays');
+    }
+    if (!SlaService.CLOSED_STATUSES.includes(closeStatus)) {
+      errors.push(`closeStatus must be one of: ${SlaService.CLOSED_STATUSES.join(', ')}`);
+    }
+    if (!isDayCount(reopenWithinDays, 0)) {
+      errors.push('reopenWithinDays must be a whole number of days, 0 to never reopen');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+
+    const previous = await SettingService.getSetting('ticketAutoClose');
+    const saved = await SettingService.setSetting(
+      'ticketAutoClose',
+      { enabled, reminderAfterDays, closeAfterDays, closeStatus, reopenWithinDays },
+      req.user.payload.id
+    );
+
+    await AuditService.recordChange(req, {
+      action: 'SETTING_CHANGED',
+      entityType: 'Setting',
+      before: { ticketAutoClose: previous },
+      after: { ticketAutoClose: saved }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Auto-close settings updated successfully',
+      settings: saved
+    });
+  } catch (error) {
+    console.error('Error updating auto-close settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update auto-close settings',
+      error: error.message
+    });
+  }
+};
+
+// Suggest open tickets of the current user that look like the one about to be created
+const checkDuplicates = async (req, res) => {
+  try {
+    const { title, category, serviceId } = req.query;
+
+    if (!title || !category) {
+      return res.status(400).json({
+        success: false,
+        message: 'title and category are required'
+      });
+    }
+
+    const possibleDuplicates = await TicketService.findPossibleDuplicates(req.user.payload.id, {
+      title,
+      category,
+      relatedService: { serviceId }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: possibleDuplicates.length,
+      possibleDuplicates
+    });
+  } catch (error) {
+    console.error('Error checking for duplicate tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check for duplicate tickets',
+      error: error.message
+    });
+  }
+};
+
+// Merge other tickets of the same client into this one
+const mergeTickets = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ticketIds = [...new Set(req.body.ticketIds || [])];
+
+    if (ticketIds.length === 0 || ![id, ...ticketIds].every(ticketId => mongoose.Types.ObjectId.isValid(ticketId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ticketIds must list the tickets to merge into this one'
+      });
+    }
+
+    if (ticketIds.includes(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A ticket cannot be merged into itself'
+      });
+    }
+
+    const target = await Ticket.findById(id);
+    const sources = await Ticket.find({ _id: { $in: ticketIds } });
+
+    if (!target || sources.length !== ticketIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    for (const ticket of [target, ...sources]) {
+      if (!await PermissionService.can(req.user.payload, 'ticket:merge', ticket)) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to merge ticket ${ticket._id}`
+        });
+      }
+    }
+
+    if ([target, ...sources].some(ticket => ticket.mergedInto)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tickets that were already merged cannot be merged again'
+      });
+    }
+
+    // Merging combines conversations, so they must all be with the same client
+    if (sources.some(source => source.user.toString() !== target.user.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only tickets opened by the same client can be merged'
+      });
+    }
+
+    const updatedTicket = await TicketService.mergeTickets(req, target, sources);
+
+    res.status(200).json({
+      success: true,
+      message: `${sources.length} ticket(s) merged successfully`,
+      ticket: updatedTicket
+    });
+  } catch (error) {
+    console.error('Error merging tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge tickets',
+      error: error.message
+    });
+  }
+};
+
+// Link a related ticket (duplicate, blocking or related)
+const linkTicket = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ticketId, type } = req.body;
+    const linkTypes = Object.keys(TicketService.LINK_INVERSES);
+
+    if (!linkTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid link type. Must be one of: ${linkTypes.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(ticketId) || id === ticketId) {
+      return res.status(400).json({
+        success: false,
+        message: 'ticketId must be another valid ticket ID'
+      });
+    }
+
+    const ticket = await Ticket.findById(id);
+    const other = await Ticket.findById(ticketId);
+
+    if (!ticket || !other) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'ticket:link', ticket) ||
+        !await PermissionService.can(req.user.payload, 'ticket:link', other)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to link these tickets'
+      });
+    }
+
+    const before = AuditService.toSnapshot(ticket);
+    await TicketService.linkTickets(ticket, other, type, req.user.payload.id);
+
+    await AuditService.recordChange(req, {
+      action: 'LINK',
+      entityType: 'Ticket',
+      before,
+      after: ticket,
+      metadata: { ticket: other._id, type }
+    });
+
+    const updatedTicket = await Ticket.findById(id)
+      .populate('links.ticket', 'title status priority category');
+
+    res.status(200).json({
+      success: true,
+      message: 'Tickets linked successfully',
+      links: updatedTicket.links
+    });
+  } catch (error) {
+    console.error('Error linking tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link tickets',
+      error: error.message
+    });
+  }
+};
+
+// Remove the link between two tickets
+const unlinkTicket = async (req, res) => {
+  try {
+    const { id, linkedId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(linkedId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID'
+      });
+    }
+
+    const ticket = await Ticket.findById(id);
+    const other = await Ticket.findById(linkedId);
+
+    if (!ticket || !other || !ticket.links.some(link => link.ticket.toString() === linkedId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link not found'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'ticket:link', ticket) ||
+        !await PermissionService.can(req.user.payload, 'ticket:link', other)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to unlink these tickets'
+      });
+    }
+
+    const before = AuditService.toSnapshot(ticket);
+    await TicketService.unlinkTickets(ticket, other);
+
+    await AuditService.recordChange(req, {
+      action: 'UNLINK',
+      entityType: 'Ticket',
+      before,
+      after: ticket,
+      metadata: { ticket: other._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tickets unlinked successfully'
+    });
+  } catch (error) {
+    console.error('Error unlinking tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink tickets',
+      error: error.message
+    });
+  }
+};
+
 // Change ticket status
 const changeStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
     const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
 
     // Check if status is valid
     const validStatuses = ['OPEN', 'IN_PROGRESS', 'WAITING_CUSTOMER', 'RESOLVED', 'CLOSED'];
@@ -518,12 +1062,12 @@ const changeStatus = async (req, res) => {
     }
 
     // Check if user has permission to update status
-    const isTicketOwner = ticket.user.toString() === userId;
-    const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === userId;
-
     // Owners can only close tickets, staff can change any status
-    if (!isAdmin && !isSupport && !isAssigned) {
-      if (!(isTicketOwner && status === 'CLOSED')) {
+    if (!await PermissionService.can(req.user.payload, 'ticket:changeStatus', ticket)) {
+      const canClose = status === 'CLOSED' &&
+        await PermissionService.can(req.user.payload, 'ticket:close', ticket);
+
+      if (!canClose) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to update this ticket status'
@@ -531,6 +1075,16 @@ const changeStatus = async (req, res) => {
       }
     }
 
+    if (ticket.mergedInto && status !== 'CLOSED') {
+      return res.status(400).json({
+        success: false,
+        message: `This ticket was merged into ticket ${ticket.mergedInto} and cannot be reopened`,
+        mergedInto: ticket.mergedInto
+      });
+    }
+
+    const previousStatus = ticket.status;
+
     // Update the ticket status
     const updatedTicket = await Ticket.findByIdAndUpdate(
       id,
@@ -541,6 +1095,13 @@ const changeStatus = async (req, res) => {
       .populate('assignedTo', 'username email phone role')
       .populate('messages.sender', 'username email role');
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'Ticket',
+      before: ticket,
+      after: updatedTicket
+    });
+
     // Add system message noting the status change
     const systemMessage = {
       sender: userId,
@@ -548,6 +1109,7 @@ const changeStatus = async (req, res) => {
       timestamp: Date.now()
     };
 
+    SlaService.recordStatusChange(updatedTicket, previousStatus);
     updatedTicket.messages.push(systemMessage);
     await updatedTicket.save();
 
@@ -556,6 +1118,10 @@ const changeStatus = async (req, res) => {
       await EmailService.notifyTicketStatusChange(updatedTicket, ticketOwner, previousStatus);
     }
 
+    if (SurveyService.isResolution(previousStatus, updatedTicket.status)) {
+      await SurveyService.sendSurvey(updatedTicket);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Ticket status updated successfully',
@@ -575,10 +1141,18 @@ const changeStatus = async (req, res) => {
 const addMessage = async (req, res) => {
   try {
     const { id } = req.params;
-    const { content, attachments } = req.body;
+    const { templateId } = req.body;
+    let { content } = req.body;
     const userId = req.user.payload.id;
 
-    if (!content || content.trim() === '') {
+    if (content && templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send either content or templateId, not both'
+      });
+    }
+
+    if (!templateId && (!content || content.trim() === '')) {
       return res.status(400).json({
         success: false,
         message: 'Message content is required'
@@ -596,50 +1170,71 @@ const addMessage = async (req, res) => {
     }
 
     // Check if user has permission to add message
-    const isTicketOwner = ticket.user.toString() === userId;
-    const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === userId;
-    const isStaff = req.user.payload.role === 'ADMIN' ||
-      req.user.payload.role === 'SUPPORT' ||
-      req.user.payload.isAdmin;
-
-    if (!isTicketOwner && !isAssigned && !isStaff) {
+    if (!await PermissionService.can(req.user.payload, 'ticket:reply', ticket)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to add messages to this ticket'
       });
     }
 
-    // Add the message
-    const newMessage = {
-      sender: userId,
-      content,
-      attachments: attachments || [],
-      timestamp: Date.now()
-    };
+    if (ticket.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        message: `This ticket was merged into ticket ${ticket.mergedInto}. Please continue the conversation there`,
+        mergedInto: ticket.mergedInto
+      });
+    }
 
-    ticket.messages.push(newMessage);
+    // Fill in a canned response for this ticket and customer
+    let cannedResponse = null;
+    if (templateId) {
+      if (mongoose.Types.ObjectId.isValid(templateId)) {
+        cannedResponse = await CannedResponse.findById(templateId);
+      }
 
-    // Update status based on who's sending the message
-    if (isTicketOwner && ticket.status === 'WAITING_CUSTOMER') {
-      ticket.status = 'IN_PROGRESS';
-    } else if ((isAssigned || isStaff) && ticket.status !== 'CLOSED' && ticket.status !== 'RESOLVED') {
-      ticket.status = 'WAITING_CUSTOMER';
-    }
+      const canUse = cannedResponse &&
+        CannedResponseService.isVisibleTo(cannedResponse, userId) &&
+        await PermissionService.can(req.user.payload, 'cannedResponse:view');
+      if (!canUse) {
+        return res.status(404).json({
+          success: false,
+          message: 'Canned response not found'
+        });
+      }
 
-    ticket.updated_at = Date.now();
+      const rendered = await CannedResponseService.render(cannedResponse, ticket, userId);
+      if (rendered.missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `This ticket has no value for: ${rendered.missing.join(', ')}. Edit the reply and send it as content instead`,
+          content: rendered.content
+        });
+      }
 
-    await ticket.save();
+      if (rendered.content.length > 5000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message content must be less than 5000 characters'
+        });
+      }
 
-    // Populate the sender details in the new message
-    const updatedTicket = await Ticket.findById(id)
-      .populate('user', 'username email phone')
-      .populate('assignedTo', 'username email phone role')
-      .populate('messages.sender', 'username email role');
+      content = rendered.content;
+    }
+
+    // Uploaded files are linked from the message by their download URL
+    const attachments = await AttachmentService.recordUploads(req, 'Ticket', ticket._id);
+
+    const updatedTicket = await TicketService.appendMessage(req, ticket, req.user.payload, {
+      content,
+      attachments: attachments.map(attachment => attachment.url),
+      cannedResponse
+    });
 
     res.status(200).json({
       success: true,
       message: 'Message added successfully',
-      ticket: updatedTicket
+      ticket: updatedTicket,
+      attachments
     });
   } catch (error) {
     console.error('Error adding message:', error);
@@ -651,32 +1246,127 @@ const addMessage = async (req, res) => {
   }
 };
 
+// Find tickets by any combination of status, priority, category, tags,
+// custom fields, assignee and date ranges
+const queryTickets = async (req, res) => {
+  try {
+    const { filters, sort, page, limit } = req.body || {};
+
+    const result = await TicketQueryService.findTickets(req.user.payload, { filters, sort, page, limit });
+
+    if (result.forbidden) {
+      return sendTicketsAccessDenied(res);
+    }
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: result.tickets.length,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+      currentPage: result.page,
+      tickets: result.tickets
+    });
+  } catch (error) {
+    console.error('Error querying tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to query tickets',
+      error: error.message
+    });
+  }
+};
+
+// Tags in use on the tickets you can see, most used first (for autocomplete)
+const getTicketTags = async (req, res) => {
+  try {
+    const visibleFilter = await getVisibleTicketsFilter(req.user.payload);
+    if (!visibleFilter) {
+      return sendTicketsAccessDenied(res);
+    }
+
+    // Aggregations do not cast IDs, so let a query cast the scope filter first
+    const tags = await Ticket.aggregate([
+      { $match: Ticket.find(visibleFilter).cast() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 200 }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      tags: tags.map(tag => ({ tag: tag._id, count: tag.count }))
+    });
+  } catch (error) {
+    console.error('Error fetching ticket tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket tags',
+      error: error.message
+    });
+  }
+};
+
+// Apply one action to many tickets, chosen by ID or by query filters.
+// Each ticket is checked against the caller's permissions on its own;
+// with dryRun nothing is saved and the response shows what would change.
+const bulkUpdateTickets = async (req, res) => {
+  try {
+    const { ticketIds, filters, action, params, dryRun } = req.body || {};
+
+    const result = await TicketBulkService.runBulkAction(req, {
+      ticketIds,
+      filters,
+      action,
+      params,
+      dryRun: dryRun === true
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      dryRun: dryRun === true,
+      action,
+      bulkId: result.bulkId,
+      summary: result.summary,
+      results: result.results
+    });
+  } catch (error) {
+    console.error('Error applying bulk ticket update:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply bulk ticket update',
+      error: error.message
+    });
+  }
+};
+
 // Get tickets by category
 const getTicketsByCategory = async (req, res) => {
   try {
     const { category } = req.params;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
-
-    // Build filter based on role
-    const filter = { category };
-
-    if (!isAdmin && !isSupport) {
-      if (isAgent) {
-        // Agents see tickets assigned to them or with no assignee
-        filter.$or = [
-          { assignedTo: userId },
-          { user: userId }
-        ];
-      } else {
-        // Regular users see only their tickets
-        filter.user = userId;
-      }
+
+    // Build filter based on permissions
+    const visibleFilter = await getVisibleTicketsFilter(req.user.payload);
+    if (!visibleFilter) {
+      return sendTicketsAccessDenied(res);
     }
 
+    const filter = { ...visibleFilter, category };
+
     // Get tickets by category with appropriate filtering
     const tickets = await Ticket.find(filter)
       .populate('user', 'username email phone')
@@ -702,26 +1392,15 @@ const getTicketsByCategory = async (req, res) => {
 const getTicketsByPriority = async (req, res) => {
   try {
     const { priority } = req.params;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-    const isAgent = userRole === 'AGENT';
-
-    // Build filter based on role
-    const filter = { priority };
-
-    if (!isAdmin && !isSupport) {
-      if (isAgent) {
-        filter.$or = [
-          { assignedTo: userId },
-          { user: userId }
-        ];
-      } else {
-        filter.user = userId;
-      }
+
+    // Build filter based on permissions
+    const visibleFilter = await getVisibleTicketsFilter(req.user.payload);
+    if (!visibleFilter) {
+      return sendTicketsAccessDenied(res);
     }
 
+    const filter = { ...visibleFilter, priority };
+
     // Get tickets by priority with appropriate filtering
     const tickets = await Ticket.find(filter)
       .populate('user', 'username email phone')
@@ -746,19 +1425,32 @@ const getTicketsByPriority = async (req, res) => {
 // Get tickets statistics (for admin dashboard)
 const getTicketsStatistics = async (req, res) => {
   try {
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isSupport = userRole === 'SUPPORT';
-
-    // Only admins and support can access statistics
-    if (!isAdmin && !isSupport) {
+    // Only users holding ticket:viewStatistics can access statistics
+    if (!await PermissionService.can(req.user.payload, 'ticket:viewStatistics')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Only administrators and support staff can access statistics'
       });
     }
 
+    // Period the CSAT figures cover (?from=&to=) and how they are broken down over time
+    const { from, to, period = 'month' } = req.query;
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (!SurveyService.PERIOD_FORMATS[period]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid period. Must be one of: ${Object.keys(SurveyService.PERIOD_FORMATS).join(', ')}`
+      });
+    }
+
     // Get counts by status
     const statusStats = await Ticket.aggregate([
       { $group: { _id: "$status", count: { $sum: 1 } } }
@@ -774,6 +1466,37 @@ const getTicketsStatistics = async (req, res) => {
       { $group: { _id: "$priority", count: { $sum: 1 } } }
     ]);
 
+    // SLA figures over tickets that have a policy
+    const [slaStats] = await Ticket.aggregate([
+      { $match: { 'sla.policy': { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          firstResponseMet: { $sum: { $cond: [{ $eq: ['$sla.firstResponseState', 'MET'] }, 1, 0] } },
+          firstResponseBreached: { $sum: { $cond: [{ $eq: ['$sla.firstResponseState', 'BREACHED'] }, 1, 0] } },
+          resolutionMet: { $sum: { $cond: [{ $eq: ['$sla.resolutionState', 'MET'] }, 1, 0] } },
+          resolutionBreached: { $sum: { $cond: [{ $eq: ['$sla.resolutionState', 'BREACHED'] }, 1, 0] } },
+          atRisk: {
+            $sum: {
+              $cond: [{
+                $or: [
+                  { $eq: ['$sla.firstResponseState', 'AT_RISK'] },
+                  { $eq: ['$sla.resolutionState', 'AT_RISK'] }
+                ]
+              }, 1, 0]
+            }
+          },
+          escalated: { $sum: { $cond: [{ $gt: ['$sla.escalationLevel', 0] }, 1, 0] } },
+          avgFirstResponseMs: { $avg: { $subtract: ['$sla.firstRespondedAt', '$created_at'] } },
+          avgResolutionMs: { $avg: { $subtract: ['$sla.resolvedAt', '$created_at'] } }
+        }
+      }
+    ]);
+
+    // Share of decided targets that were met, as a percentage
+    const compliance = (met, breached) => (met + breached > 0 ? Math.round(met / (met + breached) * 1000) / 10 : null);
+    const toMinutes = (ms) => (ms ? Math.round(ms / 60000) : null);
+
     // Get recent tickets
     const recentTickets = await Ticket.find()
       .sort({ created_at: -1 })
@@ -802,6 +1525,23 @@ const getTicketsStatistics = async (req, res) => {
       }, {}),
       totalTickets: await Ticket.countDocuments(),
       unassignedTickets: unassignedCount,
+      sla: {
+        firstResponse: {
+          met: slaStats?.firstResponseMet || 0,
+          breached: slaStats?.firstResponseBreached || 0,
+          compliance: compliance(slaStats?.firstResponseMet || 0, slaStats?.firstResponseBreached || 0),
+          averageMinutes: toMinutes(slaStats?.avgFirstResponseMs)
+        },
+        resolution: {
+          met: slaStats?.resolutionMet || 0,
+          breached: slaStats?.resolutionBreached || 0,
+          compliance: compliance(slaStats?.resolutionMet || 0, slaStats?.resolutionBreached || 0),
+          averageMinutes: toMinutes(slaStats?.avgResolutionMs)
+        },
+        atRisk: slaStats?.atRisk || 0,
+        escalated: slaStats?.escalated || 0
+      },
+      satisfaction: await SurveyService.getSatisfactionStats({ from: fromDate, to: toDate, period }),
       recentTickets
     };
 
@@ -828,8 +1568,21 @@ module.exports = {
   getUserTickets,
   getAssignedTickets,
   assignTicket,
+  autoAssignTicket,
+  getAssignmentWorkload,
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getAutoCloseSettings,
+  updateAutoCloseSettings,
+  checkDuplicates,
+  mergeTickets,
+  linkTicket,
+  unlinkTicket,
   changeStatus,
   addMessage,
+  queryTickets,
+  getTicketTags,
+  bulkUpdateTickets,
   getTicketsByCategory,
   getTicketsByPriority,
   getTicketsStatistics,
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const TicketField = require('../models/TicketField');
+const AuditService = require('../services/AuditService');
+
+const CATEGORIES = TicketField.schema.path('category').enumValues;
+
+// Key and category are fixed once created, since ticket values are stored under them
+const FIELD_FIELDS = ['label', 'type', 'options', 'required'];
+
+// Copy the editable field settings from a request body
+const pickFieldSettings = (body) => {
+  return FIELD_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// A SELECT field needs at least one option to choose from
+const getOptionsError = (type, options) => {
+  if (type !== 'SELECT') return null;
+  if (!Array.isArray(options) || options.length === 0 || options.some(option => typeof option !== 'string' || !option.trim())) {
+    return 'A SELECT field needs a list of options';
+  }
+  return null;
+};
+
+// Get the custom fields defined for tickets, optionally for one category
+const getTicketFields = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.category) {
+      if (!CATEGORIES.includes(req.query.category)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
+        });
+      }
+      filter.category = req.query.category;
+    }
+
+    const fields = await TicketField.find(filter).sort({ category: 1, created_at: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: fields.length,
+      fields
+    });
+  } catch (error) {
+    console.error('Error fetching ticket fields:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket fields',
+      error: error.message
+    });
+  }
+};
+
+// Define a custom field for tickets of a category
+const createTicketField = async (req, res) => {
+  try {
+    const { key, category } = req.body;
+    const settings = pickFieldSettings(req.body);
+
+    const optionsError = getOptionsError(settings.type, settings.options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    if (await TicketField.exists({ category, key })) {
+      return res.status(400).json({
+        success: false,
+        message: `A field "${key}" already exists for ${category} tickets`
+      });
+    }
+
+    const field = await TicketField.create({
+      ...settings,
+      key,
+      category,
+      created_by: req.user.payload.id
+    });
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'TicketField',
+      after: field
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket field created successfully',
+      field
+    });
+  } catch (error) {
+    console.error('Error creating ticket field:', error);
+    const status = error.name === 'ValidationError' || error.code === 11000 ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to create ticket field',
+      error: error.message
+    });
+  }
+};
+
+// Update the label, type, options or required flag of a ticket field.
+// Values already stored on tickets are checked again the next time they are edited.
+const updateTicketField = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket field ID'
+      });
+    }
+
+    const field = await TicketField.findById(id);
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket field not found'
+      });
+    }
+
+    const settings = pickFieldSettings(req.body);
+    const optionsError = getOptionsError(settings.type || field.type, settings.options || field.options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    const updatedField = await TicketField.findByIdAndUpdate(
+      id,
+      { ...settings, updated_at: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'TicketField',
+      before: field,
+      after: updatedField
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket field updated successfully',
+      field: updatedField
+    });
+  } catch (error) {
+    console.error('Error updating ticket field:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to update ticket field',
+      error: error.message
+    });
+  }
+};
+
+// Delete a ticket field. Values stored on tickets are dropped the next time those tickets are edited.
+const deleteTicketField = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket field ID'
+      });
+    }
+
+    const deletedField = await TicketField.findByIdAndDelete(id);
+    if (!deletedField) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket field not found'
+      });
+    }
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'TicketField',
+      before: deletedField
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket field deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting ticket field:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete ticket field',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTicketFields,
+  createTicketField,
+  updateTicketField,
+  deleteTicketField
+};
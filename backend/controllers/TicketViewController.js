@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const TicketView = require('../models/TicketView');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const TicketQueryService = require('../services/TicketQueryService');
+
+// Load a view the caller can see: their own, or a shared one if they are part
+// of the team views are shared with. Others are reported as missing.
+const findVisibleView = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const view = await TicketView.findById(id);
+  if (!view) return null;
+  if (view.owner.toString() === String(user.id)) return view;
+  return view.shared && await PermissionService.can(user, 'ticketView:share') ? view : null;
+};
+
+// Check a view's filters and sort the same way running it would
+const getDefinitionErrors = async (filters, sort, user) => {
+  const { errors } = await TicketQueryService.buildQuery(filters, user);
+  return [...errors, ...TicketQueryService.buildSort(sort).errors];
+};
+
+// Get your saved views and those shared with the team
+const getViews = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const filter = await PermissionService.can(req.user.payload, 'ticketView:share')
+      ? { $or: [{ owner: userId }, { shared: true }] }
+      : { owner: userId };
+
+    const views = await TicketView.find(filter)
+      .populate('owner', 'username email')
+      .sort({ shared: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      views
+    });
+  } catch (error) {
+    console.error('Error fetching ticket views:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket views',
+      error: error.message
+    });
+  }
+};
+
+// Save a view, personal by default
+const createView = async (req, res) => {
+  try {
+    const { name, filters = {}, sort, shared = false } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    if (shared && !await PermissionService.can(req.user.payload, 'ticketView:share')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to share ticket views'
+      });
+    }
+
+    const errors = await getDefinitionErrors(filters, sort, req.user.payload);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+
+    const view = await TicketView.create({
+      name: name.trim(),
+      owner: req.user.payload.id,
+      shared: Boolean(shared),
+      filters,
+      sort
+    });
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'TicketView',
+      after: view
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket view saved successfully',
+      view
+    });
+  } catch (error) {
+    console.error('Error creating ticket view:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to save ticket view',
+      error: error.message
+    });
+  }
+};
+
+// Update a saved view
+const updateView = async (req, res) => {
+  try {
+    const { name, filters, sort, shared } = req.body;
+
+    const view = await findVisibleView(req.params.id, req.user.payload);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket view not found'
+      });
+    }
+
+    // Publishing or unpublishing needs ticketView:share as well
+    const sharingChanges = shared !== undefined && Boolean(shared) !== view.shared;
+    const allowed = await PermissionService.can(req.user.payload, 'ticketView:update', view) &&
+      (!sharingChanges || await PermissionService.can(req.user.payload, 'ticketView:share'));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this ticket view'
+      });
+    }
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name cannot be empty'
+      });
+    }
+
+    const errors = await getDefinitionErrors(
+      filters !== undefined ? filters : view.filters,
+      sort !== undefined ? sort : view.sort,
+      req.user.payload
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+
+    const before = view.toObject();
+
+    if (name) view.name = name.trim();
+    if (filters !== undefined) view.filters = filters;
+    if (sort !== undefined) view.sort = sort;
+    if (shared !== undefined) view.shared = Boolean(shared);
+    view.updated_at = Date.now();
+    await view.save();
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'TicketView',
+      before,
+      after: view
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket view updated successfully',
+      view
+    });
+  } catch (error) {
+    console.error('Error updating ticket view:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to update ticket view',
+      error: error.message
+    });
+  }
+};
+
+// Delete a saved view
+const deleteView = async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.id, req.user.payload);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket view not found'
+      });
+    }
+
+    if (!await PermissionService.can(req.user.payload, 'ticketView:delete', view)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this ticket view'
+      });
+    }
+
+    await TicketView.findByIdAndDelete(view._id);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'TicketView',
+      before: view
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket view deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting ticket view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete ticket view',
+      error: error.message
+    });
+  }
+};
+
+// Run a saved view. Shared views only ever show tickets the caller may see.
+const getViewTickets = async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.id, req.user.payload);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket view not found'
+      });
+    }
+
+    const result = await TicketQueryService.findTickets(req.user.payload, {
+      filters: view.filters,
+      sort: view.sort,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    if (result.forbidden) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view tickets'
+      });
+    }
+
+    // Stored filters can go stale, e.g. when a custom field is deleted
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'This view no longer matches the ticket fields; please update it',
+        errors: result.errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      view,
+      count: result.tickets.length,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+      currentPage: result.page,
+      tickets: result.tickets
+    });
+  } catch (error) {
+    console.error('Error running ticket view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run ticket view',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getViews,
+  createView,
+  updateView,
+  deleteView,
+  getViewTickets
+};
@@ -1,8 +1,152 @@
 const User = require('../models/User');
 const JwtService = require('../services/JwtService');
+const SessionService = require('../services/SessionService');
 const EmailService = require('../services/EmailService');
 const UploadService = require('../services/UploadService');
+const SettingService = require('../services/SettingService');
+const TotpService = require('../services/TotpService');
+const LoginThrottleService = require('../services/LoginThrottleService');
+const AuditService = require('../services/AuditService');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+const isTwoFactorRequiredForRole = async (role) => {
+  const roles = await SettingService.getSetting('twoFactorRequiredRoles');
+  return roles.includes(role);
+};
+
+// Reply to a throttled request
+const sendTooManyAttempts = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `${message}. Please try again in ${retryAfter} seconds`,
+    retryAfter
+  });
+};
+
+// Issue a verification token bound to the current email and send it
+const sendVerificationEmail = async (user) => {
+  const verificationToken = await JwtService.generalEmailVerificationToken({
+    id: user._id,
+    email: user.email
+  });
+
+  user.emailVerificationSentAt = Date.now();
+  await user.save();
+
+  return EmailService.sendEmailVerificationEmail(user, verificationToken);
+};
+
+// Resolve the user behind a login challenge token, with 2FA secrets loaded
+const getChallengeUser = async (challengeToken) => {
+  if (!challengeToken) return null;
+
+  try {
+    const decoded = await JwtService.verifyToken(challengeToken, JwtService.TWO_FACTOR_TOKEN);
+    return await User.findById(decoded.payload.id).select(TWO_FACTOR_SECRET_FIELDS);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Accept a TOTP code for a secret of the user at most once. The conditional
+// update makes two requests racing with the same code count as one.
+const acceptTotpCode = async (user, secret, code) => {
+  const step = TotpService.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Check a TOTP code or burn a recovery code. The code is pulled in a single
+// conditional update, so of two requests racing with it only one succeeds.
+const verifySecondFactor = async (user, code, recoveryCode) => {
+  if (code && await acceptTotpCode(user, user.twoFactor.secret, code)) {
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = TotpService.hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    // Keep the loaded copy in step without saving it back over other requests' pulls
+    user.twoFactor.recoveryCodes.pull(hash);
+    user.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+  }
+
+  return false;
+};
+
+// Store a new pending secret and return what the authenticator app needs
+const startTwoFactorSetup = async (user) => {
+  const secret = TotpService.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: TotpService.buildOtpauthUri(secret, user.email)
+  };
+};
+
+// Promote the pending secret once confirmed; returns the plain recovery codes
+const activateTwoFactor = (user) => {
+  const { codes, hashes } = TotpService.generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+
+  return codes;
+};
+
+// Finish a successful login: record it, start a session and send the tokens
+const completeLogin = async (user, req, res, extra = {}) => {
+  user.lastLogin = Date.now();
+  await user.save();
+  await LoginThrottleService.recordLoginSuccess(user.email);
+
+  const { accessToken, refreshToken } = await SessionService.createSession(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      isAdmin: user.isAdmin,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+    },
+    accessToken,
+    refreshToken,
+    ...extra
+  });
+};
 
 // Register new user
 const register = async (req, res) => {
@@ -33,31 +177,35 @@ const register = async (req, res) => {
       address,
       phone,
       role: 'USER',
+      emailVerified: false,
       lastLogin: Date.now()
     });
 
     const savedUser = await newUser.save();
-    await EmailService.sendWelcomeEmail(savedUser);
+
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'User',
+      after: savedUser,
+      actor: savedUser._id
+    });
+
+    // The welcome email follows once the address is verified
+    await sendVerificationEmail(savedUser);
     await EmailService.sendUserRegistrationNotification(savedUser);
 
-    // Generate tokens
-    const payload = { 
-      id: savedUser._id, 
-      role: savedUser.role, 
-      isAdmin: savedUser.isAdmin 
-    };
-    
-    const accessToken = await JwtService.generalAccessToken(payload);
-    const refreshToken = await JwtService.generalRefreshToken(payload);
+    // Start a session and generate tokens
+    const { accessToken, refreshToken } = await SessionService.createSession(savedUser, req);
 
     res.status(201).json({
       success: true,
-      message: 'User created successfully',
+      message: 'User created successfully. Please check your email to verify your address',
       user: {
         id: savedUser._id,
         username: savedUser.username,
         email: savedUser.email,
-        role: savedUser.role
+        role: savedUser.role,
+        emailVerified: savedUser.emailVerified
       },
       accessToken,
       refreshToken
@@ -72,62 +220,249 @@ const register = async (req, res) => {
   }
 };
 
+// Cost-10 hash of a random password nobody knows. Unknown emails are checked
+// against it so a login takes as long whether or not the account exists.
+const DUMMY_PASSWORD_HASH = '$2b$10$1zY9MjAyCBGQGXhMg5wdQOHq8KGk2UyOYk5nlDbbJDoD/Rt0jDad.';
+
 // Login user
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user by email
+    // Refuse early while the account or IP is cooling down
+    const retryAfter = await LoginThrottleService.getLoginRetryAfter(email, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter, 'Too many failed login attempts');
+    }
+
+    // Find user by email and verify password; unknown emails count as failures too
     const user = await User.findOne({ email });
-    if (!user) {
+    const passwordMatches = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+    const isPasswordValid = Boolean(user) && passwordMatches;
+    if (!isPasswordValid) {
+      await LoginThrottleService.recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    // Staff and opted-in users must pass a second factor before getting tokens
+    const twoFactorEnabled = Boolean(user.twoFactor?.enabled);
+    const twoFactorRequired = await isTwoFactorRequiredForRole(user.role);
+
+    if (twoFactorEnabled || twoFactorRequired) {
+      const challengeToken = await JwtService.generalTwoFactorChallengeToken({ id: user._id });
+
+      return res.status(200).json({
+        success: true,
+        message: twoFactorEnabled
+          ? 'Two-factor authentication code required'
+          : 'Two-factor authentication must be set up before logging in',
+        twoFactorRequired: true,
+        setupRequired: !twoFactorEnabled,
+        challengeToken
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Error during login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// Complete a two-step login with a TOTP or recovery code
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await getChallengeUser(challengeToken);
+    if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid or expired login challenge'
       });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save();
+    const retryAfter = await LoginThrottleService.getLoginRetryAfter(user.email, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter, 'Too many failed login attempts');
+    }
 
-    // Generate tokens
-    const payload = {
-      id: user._id,
-      role: user.role,
-      isAdmin: user.isAdmin
-    };
-    
-    const accessToken = await JwtService.generalAccessToken(payload);
-    const refreshToken = await JwtService.generalRefreshToken(payload);
+    // First login after 2FA became mandatory: confirm the new enrolment
+    if (!user.twoFactor.enabled) {
+      if (!user.twoFactor.pendingSecret || !await acceptTotpCode(user, user.twoFactor.pendingSecret, code)) {
+        await LoginThrottleService.recordLoginFailure(user.email, req.ip);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor authentication code'
+        });
+      }
+
+      const recoveryCodes = activateTwoFactor(user);
+      return await completeLogin(user, req, res, { recoveryCodes });
+    }
+
+    if (!await verifySecondFactor(user, code, recoveryCode)) {
+      await LoginThrottleService.recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res, {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Error verifying two-factor login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// Start 2FA enrolment during login when the user's role requires it
+const setupLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+
+    const user = await getChallengeUser(challengeToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const setup = await startTwoFactorSetup(user);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        isAdmin: user.isAdmin,
-        avatar: user.avatar
-      },
-      accessToken,
-      refreshToken
+      message: 'Scan the QR code and submit a code to finish logging in',
+      ...setup
     });
   } catch (error) {
-    console.error('Error during login:', error);
+    console.error('Error starting two-factor setup:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed',
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// Verify email address from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    let decoded;
+    try {
+      decoded = await JwtService.verifyToken(token, JwtService.EMAIL_VERIFICATION_TOKEN);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    const user = await User.findById(decoded.payload.id);
+
+    // A link sent to a previous address must not verify the current one
+    if (!user || user.email !== decoded.payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (user.emailVerified === false) {
+      const before = AuditService.toSnapshot(user);
+
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+      await user.save();
+
+      await AuditService.recordChange(req, {
+        action: 'EMAIL_VERIFIED',
+        entityType: 'User',
+        before,
+        after: user,
+        actor: user._id
+      });
+
+      await EmailService.sendWelcomeEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+// Resend the verification email to the current user
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const waitMs = lastSent + VERIFICATION_RESEND_INTERVAL_MS - Date.now();
+    if (waitMs > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email',
       error: error.message
     });
   }
@@ -148,7 +483,8 @@ const getProfile = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      user
+      user,
+      impersonatorId: req.user.payload.impersonatorId
     });
   } catch (error) {
     console.error('Error fetching profile:', error);
@@ -194,6 +530,8 @@ const updateProfile = async (req, res) => {
       };
     }
 
+    const existingProfile = await User.findById(userId);
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       updateData,
@@ -207,6 +545,13 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'User',
+      before: existingProfile,
+      after: updatedUser
+    });
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -222,6 +567,70 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// Mark yourself away or back, so automatic ticket assignment skips or includes you (staff only)
+const updateAvailability = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const { away, awayUntil } = req.body;
+
+    if (typeof away !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'away must be true or false'
+      });
+    }
+
+    const until = away && awayUntil ? new Date(awayUntil) : undefined;
+    if (until && (isNaN(until.getTime()) || until <= Date.now())) {
+      return res.status(400).json({
+        success: false,
+        message: 'awayUntil must be a date in the future'
+      });
+    }
+
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (existingUser.role === 'USER') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff members have an availability status'
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { availability: { away, awayUntil: until }, updated_at: Date.now() },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'User',
+      before: existingUser,
+      after: updatedUser
+    });
+
+    res.status(200).json({
+      success: true,
+      message: away ? 'You are now marked as away' : 'You are now marked as available',
+      availability: updatedUser.availability
+    });
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability',
+      error: error.message
+    });
+  }
+};
+
 // Change password
 const changePassword = async (req, res) => {
   try {
@@ -260,11 +669,20 @@ const changePassword = async (req, res) => {
 
     // Update password
     user.password = hashedPassword;
+
+    await AuditService.record(req, {
+      action: 'PASSWORD_CHANGED',
+      entityType: 'User',
+      entityId: user._id
+    });
     await user.save();
 
+    // Sign out every device, including this one
+    await SessionService.revokeUserSessions(user._id, 'PASSWORD_CHANGED');
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Please log in again'
     });
   } catch (error) {
     console.error('Error changing password:', error);
@@ -281,26 +699,27 @@ const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
 
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User with this email does not exist'
-      });
+    const retryAfter = await LoginThrottleService.getResetRetryAfter(email, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter, 'Too many password reset requests');
     }
+    await LoginThrottleService.recordResetAttempt(email, req.ip);
 
-    // Generate reset token
-    const payload = { id: user._id };
-    const resetToken = await JwtService.generalResetPasswordToken(payload);
+    // Only send an email if the account exists, but answer the same way either way
+    const user = await User.findOne({ email });
+    if (user) {
+      // Issuing a new token invalidates any earlier link
+      const tokenId = crypto.randomBytes(16).toString('hex');
+      user.passwordResetTokenId = tokenId;
+      await user.save();
+
+      const resetToken = await JwtService.generalResetPasswordToken({ id: user._id, tokenId });
+      await EmailService.sendPasswordResetEmail(user, resetToken);
+    }
 
-    await EmailService.sendPasswordResetEmail(user, resetToken);
-    // For now, just return it in the response
-    
     res.status(200).json({
       success: true,
-      message: 'Password reset link sent to your email',
-      resetToken // In production, don't include this in the response
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
   } catch (error) {
     console.error('Error in forgot password:', error);
@@ -317,35 +736,71 @@ const resetPassword = async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
+    if (!token || !newPassword || newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and a new password of at least 6 characters are required'
+      });
+    }
+
+    const retryAfter = await LoginThrottleService.getResetRetryAfter(null, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter, 'Too many password reset attempts');
+    }
+
     // Verify token
-    const decoded = await JwtService.verifyToken(
-      token, 
-      process.env.PASSWORD_RESET_TOKEN
-    ).catch(() => {
+    let decoded;
+    try {
+      decoded = await JwtService.verifyToken(token, process.env.PASSWORD_RESET_TOKEN);
+    } catch (err) {
+      decoded = null;
+    }
+
+    const rejectToken = async () => {
+      await LoginThrottleService.recordResetAttempt(null, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired reset token'
       });
-    });
+    };
 
-    // Get user from token
-    const userId = decoded.payload.id;
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (!decoded || !decoded.payload.tokenId) {
+      return await rejectToken();
     }
 
     // Hash new password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-    // Update password
-    user.password = hashedPassword;
-    await user.save();
+    // Update the password and burn the reset token in one conditional update:
+    // the token must be the latest one issued, and of two requests racing with
+    // it only one matches
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.payload.id, passwordResetTokenId: decoded.payload.tokenId },
+      {
+        password: hashedPassword,
+        updated_at: Date.now(),
+        $unset: { passwordResetTokenId: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return await rejectToken();
+    }
+
+    await AuditService.record(req, {
+      action: 'PASSWORD_RESET',
+      entityType: 'User',
+      entityId: user._id,
+      actor: user._id
+    });
+
+    // Sign out every device that may still hold the old credentials
+    await SessionService.revokeUserSessions(user._id, 'PASSWORD_CHANGED');
+
+    // Proving ownership of the mailbox lifts any login lockout
+    await LoginThrottleService.unlock(user.email);
 
     res.status(200).json({
       success: true,
@@ -373,7 +828,7 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    const result = await JwtService.provideToken(refreshToken);
+    const result = await SessionService.rotateSession(refreshToken, req);
     
     if (result.status === 'ERROR') {
       return res.status(401).json({
@@ -384,7 +839,8 @@ const refreshToken = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      accessToken: result.accessToken
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     console.error('Error refreshing token:', error);
@@ -396,6 +852,442 @@ const refreshToken = async (req, res) => {
   }
 };
 
+// Logout - revoke the current session
+const logout = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const { sessionId } = req.user.payload;
+
+    if (sessionId) {
+      await SessionService.revokeSession(sessionId, 'LOGOUT', userId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+// Get active sessions of the current user
+const getSessions = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const currentSessionId = req.user.payload.sessionId;
+
+    const sessions = await SessionService.getActiveSessions(userId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === currentSessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.payload.id;
+
+    const session = await SessionService.revokeSession(id, 'USER_REVOKED', userId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// Start 2FA enrolment for the current user
+const setupTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const setup = await startTwoFactorSetup(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code and confirm with a code to enable two-factor authentication',
+      ...setup
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// Confirm 2FA enrolment with a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const { code } = req.body;
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!await acceptTotpCode(user, user.twoFactor.pendingSecret, code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const recoveryCodes = activateTwoFactor(user);
+
+    await AuditService.record(req, {
+      action: 'TWO_FACTOR_ENABLED',
+      entityType: 'User',
+      entityId: user._id
+    });
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Turn off 2FA for the current user (not allowed when the role requires it)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequiredForRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const isPasswordValid = password && await bcrypt.compare(password, user.password);
+    if (!isPasswordValid || !await verifySecondFactor(user, code, recoveryCode)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor authentication code'
+      });
+    }
+
+    // The last used time step stays, so no code seen before works again
+    user.twoFactor = { enabled: false, lastUsedStep: user.twoFactor.lastUsedStep };
+
+    await AuditService.record(req, {
+      action: 'TWO_FACTOR_DISABLED',
+      entityType: 'User',
+      entityId: user._id
+    });
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Replace the current user's recovery codes
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userId = req.user.payload.id;
+    const { code } = req.body;
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await acceptTotpCode(user, user.twoFactor.secret, code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const { codes, hashes } = TotpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+
+    await AuditService.record(req, {
+      action: 'RECOVERY_CODES_REGENERATED',
+      entityType: 'User',
+      entityId: user._id
+    });
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes',
+      error: error.message
+    });
+  }
+};
+
+// Get the roles that must use 2FA (admin only)
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const requiredRoles = await SettingService.getSetting('twoFactorRequiredRoles');
+
+    res.status(200).json({
+      success: true,
+      policy: { requiredRoles }
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor policy',
+      error: error.message
+    });
+  }
+};
+
+// Set the roles that must use 2FA (admin only)
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    const validRoles = User.schema.path('role').enumValues;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !validRoles.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `requiredRoles must be an array containing only: ${validRoles.join(', ')}`
+      });
+    }
+
+    const previous = await SettingService.getSetting('twoFactorRequiredRoles');
+    const saved = await SettingService.setSetting(
+      'twoFactorRequiredRoles',
+      [...new Set(requiredRoles)],
+      req.user.payload.id
+    );
+
+    await AuditService.recordChange(req, {
+      action: 'SETTING_CHANGED',
+      entityType: 'Setting',
+      before: { twoFactorRequiredRoles: previous },
+      after: { twoFactorRequiredRoles: saved }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      policy: { requiredRoles: saved }
+    });
+  } catch (error) {
+    console.error('Error updating two-factor policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy',
+      error: error.message
+    });
+  }
+};
+
+// Reset a user's 2FA enrolment, e.g. after a lost device (admin only)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // The last used time step stays, so no code seen before works again
+    user.twoFactor = { enabled: false, lastUsedStep: user.twoFactor.lastUsedStep };
+
+    await AuditService.record(req, {
+      action: 'TWO_FACTOR_RESET',
+      entityType: 'User',
+      entityId: user._id
+    });
+    await user.save();
+
+    await SessionService.revokeUserSessions(user._id, 'ADMIN_REVOKED');
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Get whether unverified users are blocked from creating service requests (admin only)
+const getEmailVerificationPolicy = async (req, res) => {
+  try {
+    const required = await SettingService.getSetting('emailVerificationRequired');
+
+    res.status(200).json({
+      success: true,
+      policy: { required }
+    });
+  } catch (error) {
+    console.error('Error fetching email verification policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email verification policy',
+      error: error.message
+    });
+  }
+};
+
+// Turn email verification gating on or off (admin only)
+const updateEmailVerificationPolicy = async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'required must be a boolean'
+      });
+    }
+
+    const previous = await SettingService.getSetting('emailVerificationRequired');
+    const saved = await SettingService.setSetting('emailVerificationRequired', required, req.user.payload.id);
+
+    await AuditService.recordChange(req, {
+      action: 'SETTING_CHANGED',
+      entityType: 'Setting',
+      before: { emailVerificationRequired: previous },
+      after: { emailVerificationRequired: saved }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verification policy updated successfully',
+      policy: { required: saved }
+    });
+  } catch (error) {
+    console.error('Error updating email verification policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update email verification policy',
+      error: error.message
+    });
+  }
+};
+
 // Get all users (admin only)
 const getAllUsers = async (req, res) => {
   try {
@@ -447,7 +1339,7 @@ const getUserById = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { username, email, role, isAdmin, address, phone, avatar, preferences } = req.body;
+    const { username, email, role, isAdmin, address, phone, avatar, preferences, specialisations, availability } = req.body;
     
     // Build update object
     const updateData = {};
@@ -459,6 +1351,16 @@ const updateUser = async (req, res) => {
     if (phone) updateData.phone = phone;
     if (avatar) updateData.avatar = avatar;
     if (preferences) updateData.preferences = preferences;
+    if (specialisations) updateData.specialisations = specialisations;
+    if (availability) updateData.availability = availability;
+
+    const existingUser = await User.findById(id);
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
     const updatedUser = await User.findByIdAndUpdate(
       id,
@@ -473,6 +1375,20 @@ const updateUser = async (req, res) => {
       });
     }
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'User',
+      before: existingUser,
+      after: updatedUser
+    });
+
+    // Tokens carry the role, so a role change must force the user to sign in again
+    const roleChanged = existingUser.role !== updatedUser.role ||
+      Boolean(existingUser.isAdmin) !== Boolean(updatedUser.isAdmin);
+    if (roleChanged) {
+      await SessionService.revokeUserSessions(id, 'ROLE_CHANGED');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -501,6 +1417,14 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'User',
+      before: deletedUser
+    });
+
+    await SessionService.revokeUserSessions(id, 'ACCOUNT_DELETED');
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully'
@@ -515,6 +1439,144 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// Unlock an account locked by failed logins (admin only)
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ip } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await LoginThrottleService.unlock(user.email, ip);
+
+    await AuditService.record(req, {
+      action: 'ACCOUNT_UNLOCKED',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { ip }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
+// Issue a short-lived token that lets an admin act as another user (admin only)
+const startImpersonation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const impersonatorId = req.user.payload.id;
+
+    if (id === impersonatorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const target = await User.findById(id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Impersonating another admin would hand out admin rights without their credentials
+    if (target.isAdmin || target.role === 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Administrator accounts cannot be impersonated'
+      });
+    }
+
+    const accessToken = await JwtService.generalImpersonationToken({
+      id: target._id,
+      role: target.role,
+      isAdmin: false,
+      impersonatorId,
+      // Ends with the admin's own session
+      sessionId: req.user.payload.sessionId
+    });
+
+    await AuditService.record(req, {
+      action: 'IMPERSONATION_STARTED',
+      entityType: 'User',
+      entityId: target._id,
+      metadata: { reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Now impersonating ${target.username}`,
+      accessToken,
+      expiresInMinutes: JwtService.IMPERSONATION_TOKEN_TTL_MINUTES,
+      user: {
+        id: target._id,
+        username: target.username,
+        email: target.email,
+        role: target.role
+      },
+      impersonatorId
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start impersonation',
+      error: error.message
+    });
+  }
+};
+
+// End an impersonation session (called with the impersonation token)
+const stopImpersonation = async (req, res) => {
+  try {
+    const { id, impersonatorId } = req.user.payload;
+
+    if (!impersonatorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating anyone'
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'IMPERSONATION_ENDED',
+      entityType: 'User',
+      entityId: id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended. Discard the impersonation token and continue with your own session.'
+    });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end impersonation',
+      error: error.message
+    });
+  }
+};
+
 const uploadAvatar = async (req, res) => {
   try {
     if (!req.file) {
@@ -529,10 +1591,16 @@ const uploadAvatar = async (req, res) => {
     // Get the URL for the uploaded file
     const avatarUrl = UploadService.getFileUrl(req, req.file.path);
     
+    const existingUser = await User.findById(userId);
+
     // Update user's avatar in database
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { avatar: avatarUrl, updated_at: Date.now() },
+      {
+        avatar: avatarUrl,
+        updated_at: Date.now(),
+        $push: { avatarFiles: req.file.filename }
+      },
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -545,6 +1613,13 @@ const uploadAvatar = async (req, res) => {
       });
     }
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'User',
+      before: existingUser,
+      after: updatedUser
+    });
+
     res.status(200).json({
       success: true,
       message: 'Avatar uploaded successfully',
@@ -609,16 +1684,36 @@ const getUserStatistics = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  verifyEmail,
+  resendVerificationEmail,
   getProfile,
   updateProfile,
+  updateAvailability,
   changePassword,
   forgotPassword,
   resetPassword,
   refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getEmailVerificationPolicy,
+  updateEmailVerificationPolicy,
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
+  unlockUser,
+  startImpersonation,
+  stopImpersonation,
   uploadAvatar,
   getUserStatistics
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 const Visa = require('../models/Visa');
 const User = require('../models/User');
 const EmailService = require('../services/EmailService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const InternalNoteService = require('../services/InternalNoteService');
 
 // Get all visa applications with pagination and filtering
 const getAllVisaApplications = async (req, res) => {
@@ -10,16 +13,16 @@ const getAllVisaApplications = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Basic filtering options
-    const filter = {};
+    // Staff with visa:viewAll see everything, others only the applications in their scope
+    const filter = await PermissionService.can(req.user.payload, 'visa:viewAll')
+      ? {}
+      : await PermissionService.getScopeFilter(req.user.payload, 'visa:view');
 
-    // Admins and agents can see all, users can only see their own
-    const userId = req.user?.payload?.id;
-    const isAdmin = req.user?.payload?.isAdmin || req.user?.payload?.role === 'ADMIN';
-    const isAgent = req.user?.payload?.role === 'AGENT';
-
-    if (!isAdmin && !isAgent) {
-      filter.applicant = userId;
+    if (!filter) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view visa applications'
+      });
     }
 
     // Additional filters from query params
@@ -46,13 +49,16 @@ const getAllVisaApplications = async (req, res) => {
     // Get total count for pagination info
     const total = await Visa.countDocuments(filter);
 
+    // Passport numbers stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'visa:viewSensitive', visaApplications);
+
     res.status(200).json({
       success: true,
       count: visaApplications.length,
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      visaApplications
+      visaApplications: visible
     });
   } catch (error) {
     console.error('Error fetching visa applications:', error);
@@ -68,9 +74,6 @@ const getAllVisaApplications = async (req, res) => {
 const getVisaApplicationById = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.payload?.id;
-    const isAdmin = req.user?.payload?.isAdmin || req.user?.payload?.role === 'ADMIN';
-    const isAgent = req.user?.payload?.role === 'AGENT';
 
     const visaApplication = await Visa.findById(id)
       .populate('applicant', 'username email phone address')
@@ -83,8 +86,11 @@ const getVisaApplicationById = async (req, res) => {
       });
     }
 
-    // Check permissions - only allow access to own applications unless admin/agent
-    if (!isAdmin && !isAgent && visaApplication.applicant._id.toString() !== userId) {
+    // Check permissions - only allow access to own applications unless allowed to view all
+    const canView = await PermissionService.can(req.user.payload, 'visa:viewAll') ||
+      await PermissionService.can(req.user.payload, 'visa:view', visaApplication);
+
+    if (!canView) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own visa applications'
@@ -112,17 +118,15 @@ const createVisaApplication = async (req, res) => {
       type, destination, purpose, applicationDetails, applicantUserId, documents, notes
     } = req.body;
 
-    // Default to current user if applicantUserId not provided or not admin/agent
+    // Default to current user if applicantUserId not provided or not staff
     const creatorId = req.user.payload.id;
-    const creatorRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || creatorRole === 'ADMIN';
-    const isAgent = creatorRole === 'AGENT';
+    const canCreateForOthers = await PermissionService.can(req.user.payload, 'visa:createForOthers');
 
     // Determine applicant
     let applicantId = creatorId;
 
     // If admin or agent is creating for someone else
-    if ((isAdmin || isAgent) && applicantUserId) {
+    if (canCreateForOthers && applicantUserId) {
       // Check if the specified applicant exists
       const applicantExists = await User.findById(applicantUserId);
       if (!applicantExists) {
@@ -144,11 +148,17 @@ const createVisaApplication = async (req, res) => {
       status: 'SUBMITTED',
       documents: documents || [],
       notes: notes || '',
-      agent: (isAdmin || isAgent) ? creatorId : undefined
+      agent: canCreateForOthers ? creatorId : undefined
     });
 
     const savedVisaApplication = await newVisaApplication.save();
 
+    await AuditService.recordChange(req, {
+      action: 'CREATE',
+      entityType: 'Visa',
+      after: savedVisaApplication
+    });
+
     // Populate the response data
     const populatedVisaApplication = await Visa.findById(savedVisaApplication._id)
       .populate('applicant', 'username email phone')
@@ -183,10 +193,6 @@ const updateVisaApplication = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isAgent = userRole === 'AGENT';
 
     // Find the visa application
     const visaApplication = await Visa.findById(id);
@@ -199,26 +205,23 @@ const updateVisaApplication = async (req, res) => {
     }
 
     // Check if user has permission to update
-    const isApplicant = visaApplication.applicant.toString() === userId;
-    const isAssignedAgent = visaApplication.agent && visaApplication.agent.toString() === userId;
-
-    if (!isApplicant && !isAssignedAgent && !isAdmin) {
+    if (!await PermissionService.can(req.user.payload, 'visa:update', visaApplication)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this visa application'
       });
     }
 
-    // Define allowed fields based on role
+    // Define allowed fields based on permissions
     let allowedUpdates = [];
 
-    if (isAdmin || isAgent) {
-      // Admins and agents can update all fields
+    if (await PermissionService.can(req.user.payload, 'visa:manage', visaApplication)) {
+      // Staff can update all fields
       allowedUpdates = [
         'type', 'destination', 'purpose', 'applicationDetails',
         'status', 'documents', 'notes', 'agent'
       ];
-    } else if (isApplicant) {
+    } else {
       // Application status affects which fields an applicant can update
       if (visaApplication.status === 'SUBMITTED' || visaApplication.status === 'ADDITIONAL_INFO_REQUIRED') {
         allowedUpdates = ['purpose', 'documents', 'notes'];
@@ -254,6 +257,13 @@ const updateVisaApplication = async (req, res) => {
     ).populate('applicant', 'username email phone')
       .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Visa',
+      before: visaApplication,
+      after: updatedVisaApplication
+    });
+
     res.status(200).json({
       success: true,
       message: 'Visa application updated successfully',
@@ -273,8 +283,6 @@ const updateVisaApplication = async (req, res) => {
 const deleteVisaApplication = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
     // Find the visa application
     const visaApplication = await Visa.findById(id);
@@ -287,11 +295,12 @@ const deleteVisaApplication = async (req, res) => {
     }
 
     // Check if user has permission to delete
-    // Only admin or the applicant themselves (if application is still in SUBMITTED status)
-    const isApplicant = visaApplication.applicant.toString() === userId;
-    const isDeletable = visaApplication.status === 'SUBMITTED';
+    // An unscoped grant deletes anything; scoped grants only while the application is still SUBMITTED
+    const canDeleteAny = await PermissionService.can(req.user.payload, 'visa:delete');
+    const canDeleteOwn = visaApplication.status === 'SUBMITTED' &&
+      await PermissionService.can(req.user.payload, 'visa:delete', visaApplication);
 
-    if (!isAdmin && (!isApplicant || !isDeletable)) {
+    if (!canDeleteAny && !canDeleteOwn) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this visa application'
@@ -300,6 +309,13 @@ const deleteVisaApplication = async (req, res) => {
 
     // Delete the visa application
     await Visa.findByIdAndDelete(id);
+    await InternalNoteService.deleteNotesFor('Visa', [id]);
+
+    await AuditService.recordChange(req, {
+      action: 'DELETE',
+      entityType: 'Visa',
+      before: visaApplication
+    });
 
     res.status(200).json({
       success: true,
@@ -326,10 +342,13 @@ const getUserVisaApplications = async (req, res) => {
       .populate('agent', 'username email phone')
       .sort({ created_at: -1 });
 
+    // Passport numbers stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'visa:viewSensitive', visaApplications);
+
     res.status(200).json({
       success: true,
       count: visaApplications.length,
-      visaApplications
+      visaApplications: visible
     });
   } catch (error) {
     console.error('Error fetching user visa applications:', error);
@@ -345,16 +364,6 @@ const getUserVisaApplications = async (req, res) => {
 const getAgentVisaApplications = async (req, res) => {
   try {
     const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isAgent = userRole === 'AGENT';
-
-    if (!isAdmin && !isAgent) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only agents and admins can access this endpoint'
-      });
-    }
 
     // Get applications where user is the assigned agent
     const visaApplications = await Visa.find({ agent: userId })
@@ -362,10 +371,13 @@ const getAgentVisaApplications = async (req, res) => {
       .populate('agent', 'username email phone')
       .sort({ created_at: -1 });
 
+    // Passport numbers stay masked unless the caller may see them in full
+    const visible = await PermissionService.maskSensitive(req.user.payload, 'visa:viewSensitive', visaApplications);
+
     res.status(200).json({
       success: true,
       count: visaApplications.length,
-      visaApplications
+      visaApplications: visible
     });
   } catch (error) {
     console.error('Error fetching agent visa applications:', error);
@@ -383,10 +395,9 @@ const assignAgent = async (req, res) => {
     const { id } = req.params;
     const { agentId } = req.body;
     const userId = req.user.payload.id;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
 
-    // Only admins can assign agents
-    if (!isAdmin) {
+    // Only users holding visa:assign can assign agents
+    if (!await PermissionService.can(req.user.payload, 'visa:assign')) {
       return res.status(403).json({
         success: false,
         message: 'Only administrators can assign agents to visa applications'
@@ -430,6 +441,13 @@ const assignAgent = async (req, res) => {
     ).populate('applicant', 'username email phone')
       .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'ASSIGN',
+      entityType: 'Visa',
+      before: visaApplication,
+      after: updatedVisaApplication
+    });
+
     if (agentId) {
       const agent = await User.findById(agentId);
       if (agent) {
@@ -457,10 +475,6 @@ const changeStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
-    const userId = req.user.payload.id;
-    const userRole = req.user.payload.role;
-    const isAdmin = req.user.payload.isAdmin || userRole === 'ADMIN';
-    const isAgent = userRole === 'AGENT';
 
     // Check if status is valid
     const validStatuses = ['SUBMITTED', 'PROCESSING', 'APPROVED', 'REJECTED', 'ADDITIONAL_INFO_REQUIRED'];
@@ -485,9 +499,7 @@ const changeStatus = async (req, res) => {
     const previousStatus = visaApplication.status;
 
     // Check if user has permission to update status
-    const isAssignedAgent = visaApplication.agent && visaApplication.agent.toString() === userId;
-
-    if (!isAssignedAgent && !isAdmin && !isAgent) {
+    if (!await PermissionService.can(req.user.payload, 'visa:changeStatus', visaApplication)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this visa application status'
@@ -513,6 +525,13 @@ const changeStatus = async (req, res) => {
     ).populate('applicant', 'username email phone')
       .populate('agent', 'username email phone');
 
+    await AuditService.recordChange(req, {
+      action: 'STATUS_CHANGE',
+      entityType: 'Visa',
+      before: visaApplication,
+      after: updatedVisaApplication
+    });
+
     const applicant = await User.findById(updatedVisaApplication.applicant);
     if (applicant) {
       await EmailService.notifyVisaStatusChange(updatedVisaApplication, applicant, previousStatus, notes);
@@ -538,7 +557,6 @@ const addDocument = async (req, res) => {
   try {
     const { id } = req.params;
     const { documentUrl } = req.body;
-    const userId = req.user.payload.id;
 
     if (!documentUrl) {
       return res.status(400).json({
@@ -558,24 +576,28 @@ const addDocument = async (req, res) => {
     }
 
     // Check if user has permission to add documents
-    const isApplicant = visaApplication.applicant.toString() === userId;
-    const isAssignedAgent = visaApplication.agent && visaApplication.agent.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    const isAgent = req.user.payload.role === 'AGENT';
-
-    if (!isApplicant && !isAssignedAgent && !isAdmin && !isAgent) {
+    if (!await PermissionService.can(req.user.payload, 'visa:manageDocuments', visaApplication)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to add documents to this visa application'
       });
     }
 
+    const before = AuditService.toSnapshot(visaApplication);
+
     // Add the document
     visaApplication.documents.push(documentUrl);
     visaApplication.updated_at = Date.now();
 
     await visaApplication.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Visa',
+      before,
+      after: visaApplication
+    });
+
     const updatedVisaApplication = await Visa.findById(id)
       .populate('applicant', 'username email phone')
       .populate('agent', 'username email phone');
@@ -599,7 +621,6 @@ const addDocument = async (req, res) => {
 const removeDocument = async (req, res) => {
   try {
     const { id, documentIndex } = req.params;
-    const userId = req.user.payload.id;
     const idx = parseInt(documentIndex);
 
     // Find the visa application
@@ -613,12 +634,7 @@ const removeDocument = async (req, res) => {
     }
 
     // Check if user has permission to remove documents
-    const isApplicant = visaApplication.applicant.toString() === userId;
-    const isAssignedAgent = visaApplication.agent && visaApplication.agent.toString() === userId;
-    const isAdmin = req.user.payload.isAdmin || req.user.payload.role === 'ADMIN';
-    const isAgent = req.user.payload.role === 'AGENT';
-
-    if (!isApplicant && !isAssignedAgent && !isAdmin && !isAgent) {
+    if (!await PermissionService.can(req.user.payload, 'visa:manageDocuments', visaApplication)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to remove documents from this visa application'
@@ -633,12 +649,21 @@ const removeDocument = async (req, res) => {
       });
     }
 
+    const before = AuditService.toSnapshot(visaApplication);
+
     // Remove the document
     visaApplication.documents.splice(idx, 1);
     visaApplication.updated_at = Date.now();
 
     await visaApplication.save();
 
+    await AuditService.recordChange(req, {
+      action: 'UPDATE',
+      entityType: 'Visa',
+      before,
+      after: visaApplication
+    });
+
     const updatedVisaApplication = await Visa.findById(id)
       .populate('applicant', 'username email phone')
       .populate('agent', 'username email phone');
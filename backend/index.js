@@ -10,8 +10,25 @@ const visaRoutes = require('./routes/VisaRoutes');
 const taxRoutes = require('./routes/TaxRoutes');
 const ticketRoutes = require('./routes/TicketRoutes');
 const messageRoutes = require('./routes/MessageRoutes');
+const conversationRoutes = require('./routes/ConversationRoutes');
+const attachmentRoutes = require('./routes/AttachmentRoutes');
 const appointmentRoutes = require('./routes/AppointmentRoutes');
+const permissionRoutes = require('./routes/PermissionRoutes');
+const auditRoutes = require('./routes/AuditRoutes');
+const invitationRoutes = require('./routes/InvitationRoutes');
+const slaRoutes = require('./routes/SlaRoutes');
+const internalNoteRoutes = require('./routes/InternalNoteRoutes');
+const cannedResponseRoutes = require('./routes/CannedResponseRoutes');
+const surveyRoutes = require('./routes/SurveyRoutes');
+const ticketFieldRoutes = require('./routes/TicketFieldRoutes');
+const ticketViewRoutes = require('./routes/TicketViewRoutes');
 const AppointmentScheduler = require('./services/AppointmentScheduler');
+const SlaScheduler = require('./services/SlaScheduler');
+const SurveyScheduler = require('./services/SurveyScheduler');
+const TicketScheduler = require('./services/TicketScheduler');
+const InboundEmailService = require('./services/InboundEmailService');
+const SocketService = require('./services/SocketService');
+const { requestId } = require('./middleware/RequestId');
 
 
 
@@ -23,6 +40,7 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+app.use(requestId);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -40,7 +58,18 @@ app.use('/api/visa', visaRoutes);
 app.use('/api/tax', taxRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/attachments', attachmentRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/notes', internalNoteRoutes);
+app.use('/api/canned-responses', cannedResponseRoutes);
+app.use('/api/surveys', surveyRoutes);
+app.use('/api/ticket-fields', ticketFieldRoutes);
+app.use('/api/ticket-views', ticketViewRoutes);
 // Add other routes as needed
 
 // Default route
@@ -60,7 +89,16 @@ app.use((err, req, res, next) => {
 
 setInterval(AppointmentScheduler.sendAppointmentReminders, 60 * 60 * 1000);
 AppointmentScheduler.sendAppointmentReminders();
+setInterval(SlaScheduler.checkTicketSlas, (parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5) * 60 * 1000);
+setInterval(SurveyScheduler.sendSurveyReminders, 60 * 60 * 1000);
+setInterval(TicketScheduler.processWaitingTickets, 60 * 60 * 1000);
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Real-time messaging, receipts, typing and presence on the same port
+SocketService.attachSocketServer(server);
+
+// Replies to ticket emails and new tickets by email (when configured)
+InboundEmailService.startInboundEmailServer();
\ No newline at end of file
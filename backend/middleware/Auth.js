@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const User = require('../models/User');
+const SettingService = require('../services/SettingService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const SessionService = require('../services/SessionService');
 
 dotenv.config();
 
-const authMiddleware = (tokenType = "access") => (req, res, next) => {
+const authMiddleware = (tokenType = "access") => async (req, res, next) => {
   const token = req.headers["authorization"];
 
   if (!token || !token.startsWith("Bearer ")) {
@@ -31,14 +36,41 @@ const authMiddleware = (tokenType = "access") => (req, res, next) => {
       throw new Error("Invalid token type");
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(tokenWithoutBearer, secret);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(tokenWithoutBearer, secret);
   } catch (err) {
     console.error("Token verification error:", err);
     return res.status(401).send("Invalid Token");
   }
+
+  // An access token stops working as soon as its session is revoked
+  // (logout, password change, account deletion), not only when it expires
+  if (tokenType === "access") {
+    try {
+      if (!await SessionService.isSessionActive(decoded.payload?.sessionId)) {
+        return res.status(401).send("Session has expired or been revoked");
+      }
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  req.user = decoded;
+
+  // Every request made with an impersonation token ends up in the audit log
+  if (decoded.payload?.impersonatorId) {
+    res.on('finish', () => {
+      AuditService.record(req, {
+        action: 'IMPERSONATED_REQUEST',
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode
+      });
+    });
+  }
+
+  next();
 };
 
 const checkRole = (roles) => (req, res, next) => {
@@ -64,4 +96,60 @@ const isAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { authMiddleware, checkRole, isAdmin };
\ No newline at end of file
+// Allow the request only if the user holds the permission in some scope.
+// Ownership-scoped grants are checked again by the controller once the record is loaded.
+const requirePermission = (action) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ message: "Authentication required" });
+  }
+
+  try {
+    const allowed = await PermissionService.hasAnyGrant(req.user.payload, action);
+    if (!allowed) {
+      return res.status(403).json({
+        message: "Access denied. Insufficient permissions.",
+        permission: action
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Reject actions an impersonating admin must never perform on the user's behalf
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.payload?.impersonatorId) {
+    return res.status(403).json({
+      message: "This action is not available while impersonating a user",
+      impersonating: true
+    });
+  }
+
+  next();
+};
+
+// Block users who have not verified their email, when the platform requires it
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const required = await SettingService.getSetting('emailVerificationRequired');
+    if (!required) {
+      return next();
+    }
+
+    const user = await User.findById(req.user.payload.id).select('emailVerified');
+    if (user && user.emailVerified === false) {
+      return res.status(403).json({
+        message: "Please verify your email address before continuing",
+        emailVerificationRequired: true
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { authMiddleware, checkRole, isAdmin, requirePermission, forbidImpersonation, requireVerifiedEmail };
\ No newline at end of file
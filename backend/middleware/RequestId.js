@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Tag every request with an ID (reusing a well-formed X-Request-Id from a proxy)
+// so log lines and audit entries written while handling it can be correlated
+const requestId = (req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.requestId);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A file uploaded to a message or a ticket conversation. The file itself is
+// stored under attachments/ as fileName; messages keep its download URL.
+const attachmentSchema = new mongoose.Schema({
+  fileName: { type: String, required: true, unique: true },
+  originalName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  // What the file was attached to; access follows access to it
+  targetType: {
+    type: String,
+    enum: ['Message', 'Ticket'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  created_at: { type: Date, default: Date.now }
+});
+
+attachmentSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // The person responsible for the action. While impersonating this is the
+  // impersonating admin, and impersonatedUser holds the account acted as.
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    index: true
+  },
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  },
+  action: { type: String, required: true },
+  entityType: { type: String },
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  // Only the fields that changed: before holds their old values, after the new ones.
+  // Creations only have after, deletions only before.
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  changedFields: [{ type: String }],
+  requestId: { type: String, index: true },
+  method: { type: String },
+  path: { type: String },
+  statusCode: { type: Number },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, created_at: -1 });
+auditLogSchema.index({ created_at: -1 });
+
+// Entries are append-only: once written they can never be changed or removed
+const rejectMutation = function () {
+  throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], rejectMutation);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
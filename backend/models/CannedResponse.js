@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const cannedResponseSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  // May contain placeholders such as {{user.username}} or {{ticket.title}}
+  content: { type: String, required: true },
+  category: {
+    type: String,
+    enum: ['REAL_ESTATE', 'INSURANCE', 'VISA', 'TAX', 'GENERAL'],
+    default: 'GENERAL'
+  },
+  // Shared responses are visible to all staff; personal ones only to their owner
+  shared: { type: Boolean, default: false },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  usageCount: { type: Number, default: 0 },
+  lastUsedAt: { type: Date },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+cannedResponseSchema.index({ shared: 1, category: 1 });
+cannedResponseSchema.index({ owner: 1, category: 1 });
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Read and notification state of one person in a conversation
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  unreadCount: { type: Number, default: 0, min: 0 },
+  lastReadAt: { type: Date },
+  // Muted conversations still count as unread but raise no notifications
+  muted: { type: Boolean, default: false },
+  // Archived conversations are hidden from the inbox until a new message arrives
+  archived: { type: Boolean, default: false },
+  joined_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A thread of messages between two people (DIRECT) or more (GROUP),
+// optionally about one service record
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['DIRECT', 'GROUP'],
+    required: true
+  },
+  title: { type: String, trim: true, maxlength: 200 },
+  // Sorted participant IDs of a direct conversation, so each pair has only one
+  directKey: { type: String },
+  participants: [participantSchema],
+  record: {
+    type: {
+      type: String,
+      enum: ['visa', 'tax', 'insurance', 'property', 'ticket']
+    },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+  lastMessage: {
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+    preview: { type: String },
+    sentAt: { type: Date }
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+conversationSchema.index({ 'participants.user': 1, updated_at: -1 });
+conversationSchema.index({ 'record.type': 1, 'record.id': 1 });
+
+/**
+ * Total unread messages of a user across their conversations
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+conversationSchema.statics.getUnreadTotal = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { 'participants.user': new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: '$participants' },
+    { $match: { 'participants.user': new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, total: { $sum: '$participants.unreadCount' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const erasureRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true,
+    index: true
+  },
+  reason: { type: String },
+  status: {
+    type: String,
+    enum: ['PENDING', 'REJECTED', 'COMPLETED'],
+    default: 'PENDING'
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  reviewedAt: { type: Date },
+  reviewNotes: { type: String },
+  // What was erased, anonymised and retained, per collection
+  summary: { type: mongoose.Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('ErasureRequest', erasureRequestSchema);
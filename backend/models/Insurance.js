@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/EncryptedFields');
 
 const insuranceSchema = new mongoose.Schema({
   type: { 
@@ -13,6 +14,7 @@ const insuranceSchema = new mongoose.Schema({
     ref: 'Users', 
     required: true 
   },
+  // name and relationship are encrypted at rest
   beneficiaries: [{
     name: { type: String },
     relationship: { type: String },
@@ -39,4 +41,11 @@ const insuranceSchema = new mongoose.Schema({
   updated_at: { type: Date, default: Date.now }
 });
 
+insuranceSchema.plugin(encryptedFields, {
+  fields: {
+    'beneficiaries.name': 'string',
+    'beneficiaries.relationship': 'string'
+  }
+});
+
 module.exports = mongoose.model('Insurance', insuranceSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Staff-only note on a record. Kept in its own collection so no client-facing
+// query or populate can ever return one.
+const internalNoteSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Ticket', 'Visa', 'Tax', 'Insurance', 'RealEstate'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityType',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  content: { type: String, required: true },
+  // Staff referenced with @username in the content
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  }],
+  edited: { type: Boolean, default: false },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+internalNoteSchema.index({ entityType: 1, entityId: 1, created_at: 1 });
+
+module.exports = mongoose.model('InternalNote', internalNoteSchema);
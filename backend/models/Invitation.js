@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  role: {
+    type: String,
+    enum: ['SUPPORT', 'AGENT', 'ADMIN'],
+    required: true
+  },
+  specialisations: [{
+    type: String,
+    enum: ['REAL_ESTATE', 'INSURANCE', 'VISA', 'TAX', 'GENERAL']
+  }],
+  // Identifier carried by the invite link; only the latest link of an invitation works
+  tokenId: { type: String, required: true, select: false },
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'REVOKED'],
+    default: 'PENDING'
+  },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Users', required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
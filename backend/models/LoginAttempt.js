@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // e.g. "account:jane@example.com", "ip:203.0.113.7", "reset-ip:203.0.113.7"
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date },
+  lockedUntil: { type: Date },
+  expiresAt: { type: Date, required: true }
+});
+
+// Forget quiet keys after a while so the collection does not grow forever
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
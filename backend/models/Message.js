@@ -6,15 +6,59 @@ const messageSchema = new mongoose.Schema({
     ref: 'Users', 
     required: true 
   },
+  // Set on direct messages only; group messages reach every conversation participant
   recipient: { 
     type: mongoose.Schema.Types.ObjectId, 
-    ref: 'Users', 
-    required: true 
+    ref: 'Users'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  // Emptied when the message is deleted for everyone
+  content: {
+    type: String,
+    required: function () { return !this.deletedAt; }
   },
-  content: { type: String, required: true },
   isRead: { type: Boolean, default: false },
+  // Set when the recipient's client confirms it received the message in real time
+  deliveredAt: { type: Date, default: null },
+  readAt: { type: Date },
   attachments: [{ type: String }],
+  editedAt: { type: Date, default: null },
+  // Earlier versions of the content, for staff review; not returned unless selected
+  editHistory: {
+    type: [{
+      content: { type: String },
+      edited_at: { type: Date },
+      _id: false
+    }],
+    select: false
+  },
+  // Deleted for everyone: the message stays in the conversation as a tombstone
+  deletedAt: { type: Date, default: null },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  },
+  // Participants who deleted the message for themselves only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  }],
   created_at: { type: Date, default: Date.now },
 });
 
+messageSchema.index({ conversation: 1, created_at: -1 });
+// Full-text message search
+messageSchema.index({ content: 'text' });
+
+// Who deleted a message for themselves is nobody else's business
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.deletedFor;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
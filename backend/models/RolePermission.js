@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Admin-customised permission set for a role. Roles without a document
+// fall back to the defaults defined in PermissionService.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['USER', 'ADMIN', 'SUPPORT', 'AGENT'],
+    required: true,
+    unique: true
+  },
+  permissions: [{ type: String }],
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
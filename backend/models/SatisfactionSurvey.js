@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Customer satisfaction (CSAT) survey sent when a ticket is resolved or closed
+const satisfactionSurveySchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  // Agent the ticket was assigned to when it was resolved; the score counts towards them
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users'
+  },
+  category: {
+    type: String,
+    enum: ['REAL_ESTATE', 'INSURANCE', 'VISA', 'TAX', 'GENERAL'],
+    required: true
+  },
+  // Identifier carried by the rating link
+  tokenId: { type: String, required: true, select: false },
+  status: {
+    type: String,
+    enum: ['PENDING', 'ANSWERED', 'EXPIRED'],
+    default: 'PENDING'
+  },
+  score: { type: Number, min: 1, max: 5 },
+  comment: { type: String, maxlength: 2000 },
+  sentAt: { type: Date, default: Date.now },
+  remindersSent: { type: Number, default: 0 },
+  lastReminderAt: { type: Date },
+  answeredAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+satisfactionSurveySchema.index({ status: 1, expiresAt: 1 });
+satisfactionSurveySchema.index({ status: 1, answeredAt: -1 });
+satisfactionSurveySchema.index({ user: 1 });
+
+module.exports = mongoose.model('SatisfactionSurvey', satisfactionSurveySchema);
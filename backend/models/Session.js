@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true,
+    index: true
+  },
+  // Identifier of the only refresh token currently valid for this session.
+  // Every refresh rotates it; presenting an older one revokes the session.
+  tokenId: { type: String, required: true },
+  deviceName: { type: String },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  created_at: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['LOGOUT', 'USER_REVOKED', 'TOKEN_REUSE', 'PASSWORD_CHANGED', 'ACCOUNT_DELETED', 'ROLE_CHANGED', 'ADMIN_REVOKED']
+  }
+});
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
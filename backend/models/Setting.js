@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+settingSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
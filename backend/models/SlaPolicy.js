@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const slaPolicySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Leave category or priority empty to match any; the most specific policy wins
+  category: {
+    type: String,
+    enum: ['REAL_ESTATE', 'INSURANCE', 'VISA', 'TAX', 'GENERAL', null],
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT', null],
+    default: null
+  },
+  // Targets in minutes, counted in business hours unless businessHoursOnly is off
+  firstResponseMinutes: { type: Number, required: true, min: 1 },
+  resolutionMinutes: { type: Number, required: true, min: 1 },
+  businessHoursOnly: { type: Boolean, default: true },
+  // Share of a target that may elapse before the ticket is flagged as at risk
+  warningPercent: { type: Number, default: 80, min: 1, max: 99 },
+  escalation: {
+    raisePriority: { type: Boolean, default: true },
+    reassignTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+    notify: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Users' }]
+  },
+  isActive: { type: Boolean, default: true },
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
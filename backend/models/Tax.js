@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/EncryptedFields');
 
 const taxSchema = new mongoose.Schema({
   type: { 
@@ -12,10 +13,12 @@ const taxSchema = new mongoose.Schema({
     required: true 
   },
   fiscalYear: { type: String, required: true },
+  // The figures are numbers, stored as ciphertext strings and read back as
+  // numbers; the encryption plugin rejects anything that is not numeric
   details: {
-    totalIncome: { type: Number },
-    totalDeductions: { type: Number },
-    totalTaxDue: { type: Number },
+    totalIncome: { type: String },
+    totalDeductions: { type: String },
+    totalTaxDue: { type: String },
     filingDeadline: { type: Date }
   },
   status: { 
@@ -30,4 +33,12 @@ const taxSchema = new mongoose.Schema({
   updated_at: { type: Date, default: Date.now }
 });
 
+taxSchema.plugin(encryptedFields, {
+  fields: {
+    'details.totalIncome': 'number',
+    'details.totalDeductions': 'number',
+    'details.totalTaxDue': 'number'
+  }
+});
+
 module.exports = mongoose.model('Tax', taxSchema);
\ No newline at end of file
@@ -38,17 +38,107 @@ const ticketSchema = new mongoose.Schema({
     }
   },
   messages: [{
+    // System messages (SLA escalations and the like) have no sender
     sender: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'Users', 
-      required: true 
+      required: function () { return !this.system; }
     },
+    system: { type: Boolean, default: false },
     content: { type: String, required: true },
     attachments: [{ type: String }],
     timestamp: { type: Date, default: Date.now }
   }],
+  // Service level targets from the matching SlaPolicy; empty when none applies
+  sla: {
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: 'SlaPolicy' },
+    firstResponseDueAt: { type: Date },
+    firstResponseWarningAt: { type: Date },
+    firstRespondedAt: { type: Date },
+    firstResponseState: {
+      type: String,
+      enum: ['ON_TRACK', 'AT_RISK', 'BREACHED', 'MET']
+    },
+    resolutionDueAt: { type: Date },
+    resolutionWarningAt: { type: Date },
+    resolvedAt: { type: Date },
+    resolutionState: {
+      type: String,
+      enum: ['ON_TRACK', 'AT_RISK', 'BREACHED', 'MET']
+    },
+    escalationLevel: { type: Number, default: 0 },
+    lastEscalatedAt: { type: Date }
+  },
+  // Set when this ticket was merged into another; it is closed and its
+  // messages live on in the other ticket
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Ticket' },
+  // Related tickets. Every link is stored on both tickets with the inverse
+  // type on the other side (BLOCKS / BLOCKED_BY and so on)
+  links: [{
+    ticket: { type: mongoose.Schema.Types.ObjectId, ref: 'Ticket', required: true },
+    type: {
+      type: String,
+      enum: ['DUPLICATE_OF', 'DUPLICATED_BY', 'BLOCKS', 'BLOCKED_BY', 'RELATES_TO'],
+      required: true
+    },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+    created_at: { type: Date, default: Date.now }
+  }],
+  // Clock for automatic closing while we wait for the customer; maintained by
+  // the hooks below whenever the status changes
+  waitingOnCustomer: {
+    since: { type: Date },
+    remindersSent: { type: Number, default: 0 },
+    lastReminderAt: { type: Date }
+  },
+  // Set when the ticket was closed for lack of a reply, so a reply can reopen it
+  autoClosedAt: { type: Date },
+  // Free-form labels set by staff, stored lowercase
+  tags: [{ type: String }],
+  // Values of the TicketFields defined for the ticket's category, keyed by field key
+  customFields: { type: mongoose.Schema.Types.Mixed, default: {} },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now }
 });
 
+ticketSchema.index({ user: 1, category: 1, status: 1 });
+ticketSchema.index({ tags: 1 });
+ticketSchema.index({ status: 1, 'waitingOnCustomer.since': 1 });
+
+const CLOSED_STATUSES = ['RESOLVED', 'CLOSED'];
+
+// Entering WAITING_CUSTOMER starts the clock, any other status stops it, and
+// only a closed ticket can stay marked as closed automatically
+ticketSchema.pre('save', function (next) {
+  if (this.isModified('status')) {
+    this.waitingOnCustomer = this.status === 'WAITING_CUSTOMER'
+      ? { since: new Date(), remindersSent: 0 }
+      : undefined;
+    if (!CLOSED_STATUSES.includes(this.status)) {
+      this.autoClosedAt = undefined;
+    }
+  }
+  next();
+});
+
+ticketSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status || update.status;
+  if (!status) return next();
+
+  const unset = { ...update.$unset };
+  if (status === 'WAITING_CUSTOMER') {
+    this.set('waitingOnCustomer', { since: new Date(), remindersSent: 0 });
+  } else {
+    unset.waitingOnCustomer = 1;
+  }
+  if (!CLOSED_STATUSES.includes(status)) {
+    unset.autoClosedAt = 1;
+  }
+  if (Object.keys(unset).length > 0) {
+    this.setUpdate({ ...this.getUpdate(), $unset: unset });
+  }
+  next();
+});
+
 module.exports = mongoose.model('Ticket', ticketSchema);
\ No newline at end of file
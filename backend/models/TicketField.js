@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Admin-defined field that tickets of one category carry, e.g. "embassy" for VISA
+const ticketFieldSchema = new mongoose.Schema({
+  // Name the value is stored under in Ticket.customFields
+  key: {
+    type: String,
+    required: true,
+    match: /^[a-z][a-z0-9_]{0,39}$/
+  },
+  label: { type: String, required: true },
+  category: {
+    type: String,
+    enum: ['REAL_ESTATE', 'INSURANCE', 'VISA', 'TAX', 'GENERAL'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['TEXT', 'NUMBER', 'DATE', 'BOOLEAN', 'SELECT'],
+    default: 'TEXT'
+  },
+  // Allowed values of a SELECT field
+  options: [{ type: String }],
+  required: { type: Boolean, default: false },
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+ticketFieldSchema.index({ category: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('TicketField', ticketFieldSchema);
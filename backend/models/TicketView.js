@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Saved ticket query. The filters are those of POST /api/tickets/query and
+// always run within what the person opening the view may see.
+const ticketViewSchema = new mongoose.Schema({
+  name: { type: String, required: true, maxlength: 100 },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Users',
+    required: true
+  },
+  // Shared views are listed for the whole team; personal ones only for their owner
+  shared: { type: Boolean, default: false },
+  filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  sort: {
+    field: { type: String, default: 'updated_at' },
+    order: { type: String, enum: ['asc', 'desc'], default: 'desc' }
+  },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+ticketViewSchema.index({ owner: 1 });
+ticketViewSchema.index({ shared: 1 });
+
+module.exports = mongoose.model('TicketView', ticketViewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/EncryptedFields');
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -7,6 +8,9 @@ const userSchema = new mongoose.Schema({
   address: { type: String },
   phone: { type: String },
   avatar: { type: String },
+  // Files stored by the avatar upload endpoint. avatar itself can be set to any
+  // URL, so data exports and erasure only trust these
+  avatarFiles: { type: [String], select: false },
   role: { 
     type: String, 
     enum: ['USER', 'ADMIN', 'SUPPORT', 'AGENT'], 
@@ -15,11 +19,43 @@ const userSchema = new mongoose.Schema({
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now },
   isAdmin: { type: Boolean, default: false },
+  // Services a staff member works on; also the ticket categories routed to them
+  specialisations: [{
+    type: String,
+    enum: ['REAL_ESTATE', 'INSURANCE', 'VISA', 'TAX', 'GENERAL']
+  }],
+  // Away staff are skipped by automatic ticket assignment until awayUntil, or
+  // until they come back if no end is set
+  availability: {
+    away: { type: Boolean, default: false },
+    awayUntil: { type: Date }
+  },
+  lastTicketAssignedAt: { type: Date },
   preferences: {
     language: { type: String, default: 'en' },
     notifications: { type: Boolean, default: true }
   },
   lastLogin: { type: Date },
+  // When the user's last real-time connection closed
+  lastSeenAt: { type: Date },
+  // No default on purpose: accounts created before verification existed stay usable
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
+  emailVerificationSentAt: { type: Date },
+  // Only the most recently issued reset link works, and only once
+  passwordResetTokenId: { type: String, select: false },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Time step of the last TOTP code accepted; no code is accepted twice
+    lastUsedStep: { type: Number },
+    enabledAt: { type: Date }
+  },
+  // Set once the account's personal data has been erased; the document stays
+  // behind, anonymised, so retained records still have someone to point to
+  erasedAt: { type: Date },
 });
 
 userSchema.pre('save', function(next) {
@@ -27,4 +63,11 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+userSchema.plugin(encryptedFields, {
+  fields: {
+    'twoFactor.secret': 'string',
+    'twoFactor.pendingSecret': 'string'
+  }
+});
+
 module.exports = mongoose.model('Users', userSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/EncryptedFields');
 
 const visaSchema = new mongoose.Schema({
   type: { 
@@ -14,7 +15,7 @@ const visaSchema = new mongoose.Schema({
   destination: { type: String, required: true },
   purpose: { type: String, required: true },
   applicationDetails: {
-    passportNumber: { type: String, required: true },
+    passportNumber: { type: String, required: true }, // encrypted at rest
     issueDate: { type: Date, required: true },
     expiryDate: { type: Date, required: true },
     appliedDate: { type: Date, default: Date.now },
@@ -36,4 +37,8 @@ const visaSchema = new mongoose.Schema({
   updated_at: { type: Date, default: Date.now }
 });
 
+visaSchema.plugin(encryptedFields, {
+  fields: { 'applicationDetails.passportNumber': 'string' }
+});
+
 module.exports = mongoose.model('Visa', visaSchema);
\ No newline at end of file
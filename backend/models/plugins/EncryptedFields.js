@@ -0,0 +1,148 @@
+const EncryptionService = require('../../services/EncryptionService');
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Numeric fields accept numbers and numeric strings only, so they read back as numbers
+const toNumber = (value) => {
+  const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+    ? Number(value)
+    : NaN;
+  if (!Number.isFinite(number)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  return number;
+};
+
+// Find the schema type behind a path, descending into arrays of subdocuments
+// (e.g. "beneficiaries.name")
+const resolvePath = (schema, fieldPath) => {
+  const schemaType = schema.path(fieldPath);
+  if (schemaType) return { schema, fieldPath };
+
+  const [head, ...rest] = fieldPath.split('.');
+  const arrayType = schema.path(head);
+  if (!arrayType || !arrayType.schema || rest.length === 0) {
+    throw new Error(`Cannot encrypt unknown path "${fieldPath}"`);
+  }
+  return { ...resolvePath(arrayType.schema, rest.join('.')), arrayPath: head };
+};
+
+// Call fn(container, key) for every place a dotted path points to in a plain object
+const forEachValue = (target, fieldPath, fn) => {
+  if (!target) return;
+  const [head, ...rest] = fieldPath.split('.');
+
+  if (rest.length === 0) {
+    if (target[head] !== undefined) fn(target, head);
+    return;
+  }
+
+  const next = target[head];
+  (Array.isArray(next) ? next : [next]).forEach(item => forEachValue(item, rest.join('.'), fn));
+};
+
+/**
+ * Encrypt fields at rest. Every value set is encrypted (including through
+ * update queries), even one that already looks like ciphertext, and getters
+ * decrypt, so controllers keep working with plaintext while the database only
+ * ever sees ciphertext. Loading from the database runs no setters.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { fields: { <path>: 'string' | 'number' } }
+ */
+const encryptedFields = (schema, { fields }) => {
+  const paths = Object.keys(fields);
+
+  paths.forEach(fieldPath => {
+    const resolved = resolvePath(schema, fieldPath);
+    const schemaType = resolved.schema.path(resolved.fieldPath);
+
+    schemaType.set(value => {
+      if (isEmpty(value)) return value;
+      return EncryptionService.encrypt(fields[fieldPath] === 'number' ? toNumber(value) : value);
+    });
+
+    schemaType.get(value => {
+      if (isEmpty(value)) return value;
+      const plaintext = EncryptionService.decrypt(value);
+      return fields[fieldPath] === 'number' ? Number(plaintext) : plaintext;
+    });
+
+    // Subdocuments serialise themselves, so they need getters enabled too
+    if (resolved.schema !== schema) {
+      resolved.schema.set('toJSON', { ...resolved.schema.get('toJSON'), getters: true, virtuals: false });
+    }
+  });
+
+  // API responses carry plaintext; toObject() keeps the stored ciphertext,
+  // which is what audit snapshots record
+  schema.set('toJSON', { ...schema.get('toJSON'), getters: true, virtuals: false });
+
+  /**
+   * JSON representation with every encrypted field masked, e.g. ****1234
+   * @returns {Object} - Plain object safe for callers without sensitive access
+   */
+  schema.methods.toMaskedJSON = function () {
+    const json = this.toJSON();
+    paths.forEach(fieldPath => {
+      forEachValue(json, fieldPath, (container, key) => {
+        container[key] = EncryptionService.mask(container[key]);
+      });
+    });
+    return json;
+  };
+
+  /**
+   * Rewrite plaintext values, values under retired keys and values that only
+   * look like ciphertext with the current key
+   * @returns {boolean} - True if anything changed and the document needs saving
+   */
+  schema.methods.reEncryptFields = function () {
+    let changed = false;
+
+    paths.forEach(fieldPath => {
+      const resolved = resolvePath(schema, fieldPath);
+      const owners = resolved.arrayPath ? this[resolved.arrayPath] || [] : [this];
+
+      owners.forEach(owner => {
+        const stored = owner.get(resolved.fieldPath, null, { getters: false });
+        if (EncryptionService.needsReEncryption(stored)) {
+          // The setter encrypts the plaintext again
+          owner.set(resolved.fieldPath, EncryptionService.decrypt(stored));
+          changed = true;
+        }
+      });
+    });
+
+    return changed;
+  };
+
+  /**
+   * Re-encrypt every document of the model, e.g. after a key rotation.
+   * Documents that cannot be rewritten, e.g. a numeric field holding text,
+   * are logged and left as they are.
+   * @returns {Promise<Object>} - { scanned, updated, failed }
+   */
+  schema.statics.reEncryptAll = async function () {
+    const result = { scanned: 0, updated: 0, failed: 0 };
+
+    // Encrypted fields may be left out of queries by default (select: false)
+    const select = paths.map(fieldPath => `+${fieldPath}`).join(' ');
+
+    for await (const doc of this.find().select(select).cursor()) {
+      result.scanned++;
+      try {
+        if (doc.reEncryptFields()) {
+          await doc.save({ validateBeforeSave: false });
+          result.updated++;
+        }
+      } catch (error) {
+        console.error(`Error re-encrypting ${this.modelName} ${doc._id}:`, error.message);
+        result.failed++;
+      }
+    }
+
+    return result;
+  };
+};
+
+module.exports = encryptedFields;
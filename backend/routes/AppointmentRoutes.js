@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const AppointmentController = require('../controllers/AppointmentController');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
 const { 
   appointmentRequestValidator, 
   appointmentUpdateValidator,
@@ -24,6 +24,7 @@ router.get('/:id',
 // Request new appointment
 router.post('/', 
   authMiddleware(), 
+  requirePermission('appointment:create'),
   appointmentRequestValidator, 
   AppointmentController.requestAppointment
 );
@@ -31,6 +32,7 @@ router.post('/',
 // Update appointment (staff or admin only)
 router.put('/:id', 
   authMiddleware(), 
+  requirePermission('appointment:update'),
   appointmentUpdateValidator, 
   AppointmentController.updateAppointment
 );
@@ -38,6 +40,7 @@ router.put('/:id',
 // Cancel appointment (can be done by client, assigned staff, or admin)
 router.post('/:id/cancel', 
   authMiddleware(), 
+  requirePermission('appointment:cancel'),
   AppointmentController.cancelAppointment
 );
 
@@ -50,20 +53,21 @@ router.get('/user/appointments',
 // Get staff appointments (for assigned staff only)
 router.get('/staff/appointments', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'AGENT', 'SUPPORT']),
+  requirePermission('appointment:viewAssigned'),
   AppointmentController.getStaffAppointments
 );
 
 // Reassign appointment to different staff (admin only)
 router.put('/:id/reassign', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('appointment:reassign'),
   AppointmentController.reassignAppointment
 );
 
 // Change appointment status (staff or admin only)
 router.put('/:id/status', 
   authMiddleware(), 
+  requirePermission('appointment:changeStatus'),
   statusValidator,
   AppointmentController.changeStatus
 );
@@ -71,7 +75,7 @@ router.put('/:id/status',
 // Add this route before module.exports
 router.get('/admin/statistics', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('appointment:viewStatistics'),
   AppointmentController.getAppointmentStatistics
 );
 
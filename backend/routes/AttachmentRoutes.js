@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const AttachmentController = require('../controllers/AttachmentController');
+const { authMiddleware } = require('../middleware/Auth');
+
+// Download a message or ticket attachment
+router.get('/:fileName',
+  authMiddleware(),
+  AttachmentController.downloadAttachment
+);
+
+module.exports = router;
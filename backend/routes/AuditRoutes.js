@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const AuditController = require('../controllers/AuditController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+
+// Admin routes - the audit log is read-only over the API
+// Search audit entries by entity, actor, action and date range
+router.get('/',
+  authMiddleware(),
+  requirePermission('audit:view'),
+  AuditController.getAuditLogs
+);
+
+// Change history of one entity, e.g. /Visa/<id>
+router.get('/:entityType/:entityId',
+  authMiddleware(),
+  requirePermission('audit:view'),
+  AuditController.getEntityHistory
+);
+
+module.exports = router;
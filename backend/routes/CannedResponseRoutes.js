@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const CannedResponseController = require('../controllers/CannedResponseController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+
+// Canned responses are a staff tool; clients hold none of these permissions
+// Get shared responses and your own personal ones
+router.get('/',
+  authMiddleware(),
+  requirePermission('cannedResponse:view'),
+  CannedResponseController.getCannedResponses
+);
+
+// Preview a response filled in for a ticket (?ticketId=)
+router.get('/:id/preview',
+  authMiddleware(),
+  requirePermission('cannedResponse:view'),
+  CannedResponseController.previewCannedResponse
+);
+
+// Get a response by ID
+router.get('/:id',
+  authMiddleware(),
+  requirePermission('cannedResponse:view'),
+  CannedResponseController.getCannedResponseById
+);
+
+// Create a response
+router.post('/',
+  authMiddleware(),
+  requirePermission('cannedResponse:create'),
+  CannedResponseController.createCannedResponse
+);
+
+// Update a response
+router.put('/:id',
+  authMiddleware(),
+  requirePermission('cannedResponse:view'),
+  CannedResponseController.updateCannedResponse
+);
+
+// Delete a response
+router.delete('/:id',
+  authMiddleware(),
+  requirePermission('cannedResponse:view'),
+  CannedResponseController.deleteCannedResponse
+);
+
+module.exports = router;
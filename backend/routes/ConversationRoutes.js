@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const ConversationController = require('../controllers/ConversationController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+const { conversationMessageValidator } = require('../services/MessageValidators');
+
+// Get your conversations
+router.get('/',
+  authMiddleware(),
+  ConversationController.getConversations
+);
+
+// Start a direct or group conversation
+router.post('/',
+  authMiddleware(),
+  requirePermission('conversation:create'),
+  ConversationController.createConversation
+);
+
+router.get('/:id',
+  authMiddleware(),
+  ConversationController.getConversationById
+);
+
+router.get('/:id/messages',
+  authMiddleware(),
+  ConversationController.getConversationMessages
+);
+
+router.post('/:id/messages',
+  authMiddleware(),
+  requirePermission('message:create'),
+  conversationMessageValidator,
+  ConversationController.sendConversationMessage
+);
+
+router.post('/:id/read',
+  authMiddleware(),
+  ConversationController.markConversationRead
+);
+
+// Mute or archive for yourself
+router.patch('/:id/settings',
+  authMiddleware(),
+  ConversationController.updateConversationSettings
+);
+
+router.post('/:id/participants',
+  authMiddleware(),
+  requirePermission('conversation:manageParticipants'),
+  ConversationController.addParticipants
+);
+
+// Remove a participant, or leave with your own ID
+router.delete('/:id/participants/:userId',
+  authMiddleware(),
+  ConversationController.removeParticipant
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const InsuranceController = require('../controllers/InsuranceController');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
 const { 
   createPolicyValidator, 
   updatePolicyValidator,
@@ -24,6 +24,7 @@ router.get('/:id',
 // Create new policy
 router.post('/', 
   authMiddleware(), 
+  requirePermission('insurance:create'),
   createPolicyValidator, 
   InsuranceController.createPolicy
 );
@@ -38,7 +39,8 @@ router.put('/:id',
 // Delete policy (admin only)
 router.delete('/:id', 
   authMiddleware(),
-  isAdmin, 
+  forbidImpersonation,
+  requirePermission('insurance:delete'),
   InsuranceController.deletePolicy
 );
 
@@ -51,19 +53,21 @@ router.get('/user/policies',
 // Update policy status
 router.put('/:id/status', 
   authMiddleware(), 
+  requirePermission('insurance:changeStatus'),
   InsuranceController.changeStatus
 );
 
 // Assign agent to policy (admin only)
 router.put('/:id/assign-agent', 
   authMiddleware(),
-  isAdmin,  
+  requirePermission('insurance:assign'),
   InsuranceController.assignAgent
 );
 
 // Add beneficiary to policy
 router.post('/:id/beneficiaries', 
   authMiddleware(),
+  requirePermission('insurance:manageBeneficiaries'),
   beneficiaryValidator,
   InsuranceController.addBeneficiary
 );
@@ -71,18 +75,20 @@ router.post('/:id/beneficiaries',
 // Remove beneficiary from policy
 router.delete('/:id/beneficiaries/:beneficiaryIndex', 
   authMiddleware(),
+  forbidImpersonation,
+  requirePermission('insurance:manageBeneficiaries'),
   InsuranceController.removeBeneficiary
 );
 
 router.get('/admin/all-policies', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('insurance:viewAll'),
   InsuranceController.getAllPolicies
 );
 // Add this route before module.exports
 router.get('/admin/statistics', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('insurance:viewStatistics'),
   InsuranceController.getInsuranceStatistics
 );
 
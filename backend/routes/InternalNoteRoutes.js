@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const InternalNoteController = require('../controllers/InternalNoteController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+
+// Internal notes are staff-only; clients hold none of the note permissions
+// Get the notes on a record, e.g. /api/notes/visa/:id
+router.get('/:entityType/:entityId',
+  authMiddleware(),
+  requirePermission('note:view'),
+  InternalNoteController.getNotes
+);
+
+// Add a note to a record
+router.post('/:entityType/:entityId',
+  authMiddleware(),
+  requirePermission('note:create'),
+  InternalNoteController.createNote
+);
+
+// Edit a note
+router.put('/:id',
+  authMiddleware(),
+  requirePermission('note:update'),
+  InternalNoteController.updateNote
+);
+
+// Delete a note
+router.delete('/:id',
+  authMiddleware(),
+  requirePermission('note:delete'),
+  InternalNoteController.deleteNote
+);
+
+module.exports = router;
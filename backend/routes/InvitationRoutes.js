@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const InvitationController = require('../controllers/InvitationController');
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
+const { invitationAcceptValidator } = require('../services/Validators');
+
+// Public routes - the signed invite link is the credential
+router.get('/accept', InvitationController.getInvitationByToken);
+router.post('/accept', invitationAcceptValidator, InvitationController.acceptInvitation);
+
+// Admin routes
+router.get('/',
+  authMiddleware(),
+  requirePermission('user:invite'),
+  InvitationController.getInvitations
+);
+
+router.post('/',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('user:invite'),
+  InvitationController.createInvitation
+);
+
+router.delete('/:id',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('user:invite'),
+  InvitationController.revokeInvitation
+);
+
+module.exports = router;
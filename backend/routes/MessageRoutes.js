@@ -1,11 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const MessageController = require('../controllers/MessageController');
-const { authMiddleware, isAdmin } = require('../middleware/Auth');
-const { 
-  createMessageValidator, 
-  attachmentValidator 
-} = require('../services/MessageValidators'); // Bạn sẽ cần tạo file validators này
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
+const { createMessageValidator, editMessageValidator } = require('../services/MessageValidators');
+const { uploadAttachments } = require('../services/UploadService');
 
 // Protected routes - all message routes require authentication
 // Get all messages with pagination (admins see all, users see their own)
@@ -14,6 +12,13 @@ router.get('/',
   MessageController.getAllMessages
 );
 
+// Full-text search: q, counterpart, from, to, hasAttachments, recordType,
+// recordId, conversationId, scope=all (message:viewAll), page, limit
+router.get('/search', 
+  authMiddleware(), 
+  MessageController.searchMessages
+);
+
 // Get conversation with a specific user
 router.get('/conversation/:userId', 
   authMiddleware(), 
@@ -29,6 +34,7 @@ router.get('/:id',
 // Create new message
 router.post('/', 
   authMiddleware(), 
+  requirePermission('message:create'),
   createMessageValidator, 
   MessageController.createMessage
 );
@@ -36,19 +42,46 @@ router.post('/',
 // Mark message as read
 router.patch('/:id/read', 
   authMiddleware(), 
+  requirePermission('message:markRead'),
   MessageController.markAsRead
 );
 
-// Delete message
+// Get the edit history of a message
+router.get('/:id/history', 
+  authMiddleware(), 
+  requirePermission('message:viewHistory'),
+  MessageController.getMessageHistory
+);
+
+// Edit message within the edit window
+router.patch('/:id', 
+  authMiddleware(), 
+  forbidImpersonation,
+  requirePermission('message:edit'),
+  editMessageValidator,
+  MessageController.editMessage
+);
+
+// Delete message for everyone
 router.delete('/:id', 
   authMiddleware(), 
+  forbidImpersonation,
+  requirePermission('message:delete'),
   MessageController.deleteMessage
 );
 
-// Add attachment to message
+// Delete message for yourself only
+router.delete('/:id/for-me', 
+  authMiddleware(), 
+  forbidImpersonation,
+  MessageController.deleteMessageForMe
+);
+
+// Upload attachments to a message (multipart field "files")
 router.post('/:id/attachments', 
   authMiddleware(),
-  attachmentValidator,
+  requirePermission('message:attach'),
+  uploadAttachments,
   MessageController.addAttachment
 );
 
@@ -61,7 +94,7 @@ router.get('/user/unread-count',
 // Add this route before module.exports
 router.get('/admin/statistics', 
     authMiddleware(), 
-    isAdmin, 
+    requirePermission('message:viewStatistics'),
     MessageController.getMessageStatistics
   );
   
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const PermissionController = require('../controllers/PermissionController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+
+// Permissions of the current user (used by the frontend to show/hide actions)
+router.get('/me',
+  authMiddleware(),
+  PermissionController.getMyPermissions
+);
+
+// Admin routes - view and customise the role → permission matrix
+router.get('/',
+  authMiddleware(),
+  requirePermission('permission:manage'),
+  PermissionController.getPermissionMatrix
+);
+
+router.put('/roles/:role',
+  authMiddleware(),
+  requirePermission('permission:manage'),
+  PermissionController.updateRolePermissions
+);
+
+router.delete('/roles/:role',
+  authMiddleware(),
+  requirePermission('permission:manage'),
+  PermissionController.resetRolePermissions
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const RealEstateController = require('../controllers/RealEstateController');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
 const { 
   createPropertyValidator, 
   updatePropertyValidator 
@@ -15,6 +15,7 @@ router.get('/:id', RealEstateController.getPropertyById);
 // Protected routes - require authentication
 router.post('/', 
   authMiddleware(), 
+  requirePermission('property:create'),
   createPropertyValidator, 
   RealEstateController.createProperty
 );
@@ -27,6 +28,8 @@ router.put('/:id',
 
 router.delete('/:id', 
   authMiddleware(), 
+  forbidImpersonation,
+  requirePermission('property:delete'),
   RealEstateController.deleteProperty
 );
 
@@ -37,25 +40,28 @@ router.get('/user/properties',
 
 router.put('/:id/status', 
   authMiddleware(), 
+  requirePermission('property:changeStatus'),
   RealEstateController.changePropertyStatus
 );
 
 // Agent assignment - only for admins and property owners
 router.put('/:id/assign-agent', 
   authMiddleware(), 
+  requirePermission('property:assign'),
   RealEstateController.assignAgent
 );
 
 // Admin routes
 router.get('/admin/all-properties', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('property:viewAll'),
   RealEstateController.getAllProperties
 );
 
 // Property images upload route
 router.post('/:id/images', 
   authMiddleware(), 
+  requirePermission('property:update'),
   upload.array('images', 10), // Allow up to 10 images
   RealEstateController.uploadImages
 );
@@ -63,12 +69,14 @@ router.post('/:id/images',
 // Add this route for deleting property images
 router.delete('/:id/images/:imageIndex', 
   authMiddleware(), 
+  forbidImpersonation,
+  requirePermission('property:update'),
   RealEstateController.deleteImage
 );
 
 router.get('/admin/statistics', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('property:viewStatistics'),
   RealEstateController.getPropertyStatistics
 );
 
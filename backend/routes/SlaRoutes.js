@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const SlaController = require('../controllers/SlaController');
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
+
+// Business hours
+router.get('/business-hours',
+  authMiddleware(),
+  requirePermission('ticket:manageSla'),
+  SlaController.getBusinessHours
+);
+
+router.put('/business-hours',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageSla'),
+  SlaController.updateBusinessHours
+);
+
+// Policies
+router.get('/policies',
+  authMiddleware(),
+  requirePermission('ticket:manageSla'),
+  SlaController.getSlaPolicies
+);
+
+router.post('/policies',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageSla'),
+  SlaController.createSlaPolicy
+);
+
+router.put('/policies/:id',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageSla'),
+  SlaController.updateSlaPolicy
+);
+
+router.delete('/policies/:id',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageSla'),
+  SlaController.deleteSlaPolicy
+);
+
+module.exports = router;
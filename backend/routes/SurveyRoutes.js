@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const SurveyController = require('../controllers/SurveyController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+
+// Public routes - the signed rating link is the credential
+router.get('/respond', SurveyController.getSurveyByToken);
+router.post('/respond', SurveyController.submitSurvey);
+
+// Staff routes
+router.get('/',
+  authMiddleware(),
+  requirePermission('ticket:viewStatistics'),
+  SurveyController.getSurveys
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const TaxController = require('../controllers/TaxController');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission, forbidImpersonation, requireVerifiedEmail } = require('../middleware/Auth');
 const { 
   createTaxValidator, 
   updateTaxValidator,
@@ -24,6 +24,8 @@ router.get('/:id',
 // Create new tax case
 router.post('/', 
   authMiddleware(), 
+  requirePermission('tax:create'),
+  requireVerifiedEmail,
   createTaxValidator, 
   TaxController.createTaxCase
 );
@@ -38,6 +40,8 @@ router.put('/:id',
 // Delete tax case (admin or client for pending cases)
 router.delete('/:id', 
   authMiddleware(), 
+  forbidImpersonation,
+  requirePermission('tax:delete'),
   TaxController.deleteTaxCase
 );
 
@@ -50,27 +54,28 @@ router.get('/user/cases',
 // Get tax professional's assigned cases
 router.get('/professional/cases', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'SUPPORT']),
+  requirePermission('tax:viewAssigned'),
   TaxController.getProfessionalTaxCases
 );
 
 // Update tax case status
 router.put('/:id/status', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'SUPPORT']),
+  requirePermission('tax:changeStatus'),
   TaxController.changeStatus
 );
 
 // Assign tax professional to tax case (admin only)
 router.put('/:id/assign-professional', 
   authMiddleware(),
-  isAdmin,  
+  requirePermission('tax:assign'),
   TaxController.assignTaxProfessional
 );
 
 // Add document to tax case
 router.post('/:id/documents', 
   authMiddleware(),
+  requirePermission('tax:manageDocuments'),
   documentValidator,
   TaxController.addDocument
 );
@@ -78,19 +83,21 @@ router.post('/:id/documents',
 // Remove document from tax case
 router.delete('/:id/documents/:documentIndex', 
   authMiddleware(),
+  forbidImpersonation,
+  requirePermission('tax:manageDocuments'),
   TaxController.removeDocument
 );
 
 // Add this route before module.exports
 router.get('/admin/statistics', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('tax:viewStatistics'),
   TaxController.getTaxStatistics
 );
 
 router.get('/admin/all-cases', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('tax:viewAll'),
   TaxController.getAllTaxCases
 );
 
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const TicketFieldController = require('../controllers/TicketFieldController');
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
+
+// Everyone opening tickets needs to know which fields a category asks for
+router.get('/',
+  authMiddleware(),
+  TicketFieldController.getTicketFields
+);
+
+// Defining fields (admin only)
+router.post('/',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageFields'),
+  TicketFieldController.createTicketField
+);
+
+router.put('/:id',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageFields'),
+  TicketFieldController.updateTicketField
+);
+
+router.delete('/:id',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('ticket:manageFields'),
+  TicketFieldController.deleteTicketField
+);
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const TicketController = require('../controllers/TicketController');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission, forbidImpersonation, requireVerifiedEmail } = require('../middleware/Auth');
 const { 
   createTicketValidator, 
   updateTicketValidator,
-  messageValidator,
-  attachmentsValidator
+  messageValidator
 } = require('../services/TicketValidators');
+const { uploadAttachments } = require('../services/UploadService');
 
 // All ticket routes require authentication
 // Get all tickets based on user role (admins see all, users see their own)
@@ -16,6 +16,67 @@ router.get('/',
   TicketController.getAllTickets
 );
 
+// Staff workload used by automatic assignment
+router.get('/assignment/workload',
+  authMiddleware(),
+  requirePermission('ticket:assign'),
+  TicketController.getAssignmentWorkload
+);
+
+// Automatic assignment strategy (admin only)
+router.get('/assignment/settings',
+  authMiddleware(),
+  requirePermission('settings:manage'),
+  TicketController.getAssignmentSettings
+);
+
+router.put('/assignment/settings',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('settings:manage'),
+  TicketController.updateAssignmentSettings
+);
+
+// Reminders and automatic closing of tickets waiting on customers (admin only)
+router.get('/auto-close/settings',
+  authMiddleware(),
+  requirePermission('settings:manage'),
+  TicketController.getAutoCloseSettings
+);
+
+router.put('/auto-close/settings',
+  authMiddleware(),
+  forbidImpersonation,
+  requirePermission('settings:manage'),
+  TicketController.updateAutoCloseSettings
+);
+
+// Open tickets of yours that look like the one you are about to create
+router.get('/duplicates/check',
+  authMiddleware(),
+  requirePermission('ticket:create'),
+  TicketController.checkDuplicates
+);
+
+// Tags in use, for autocomplete
+router.get('/tags',
+  authMiddleware(),
+  TicketController.getTicketTags
+);
+
+// Combined query: status, priority, category, tags, custom fields, assignee and dates
+router.post('/query',
+  authMiddleware(),
+  TicketController.queryTickets
+);
+
+// Assign, change status or priority, tag or close many tickets at once
+router.post('/bulk',
+  authMiddleware(),
+  requirePermission('ticket:bulkUpdate'),
+  TicketController.bulkUpdateTickets
+);
+
 // Get specific ticket by ID
 router.get('/:id', 
   authMiddleware(), 
@@ -25,6 +86,8 @@ router.get('/:id',
 // Create new ticket
 router.post('/', 
   authMiddleware(), 
+  requirePermission('ticket:create'),
+  requireVerifiedEmail,
   createTicketValidator, 
   TicketController.createTicket
 );
@@ -39,7 +102,8 @@ router.put('/:id',
 // Delete ticket (admin only)
 router.delete('/:id', 
   authMiddleware(),
-  isAdmin, 
+  forbidImpersonation,
+  requirePermission('ticket:delete'),
   TicketController.deleteTicket
 );
 
@@ -52,28 +116,56 @@ router.get('/user/tickets',
 // Get tickets assigned to staff member
 router.get('/staff/assigned', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'SUPPORT', 'AGENT']),
+  requirePermission('ticket:viewAssigned'),
   TicketController.getAssignedTickets
 );
 
 // Assign ticket to staff member (admin and support)
 router.put('/:id/assign', 
   authMiddleware(),
-  checkRole(['ADMIN', 'SUPPORT']),
+  requirePermission('ticket:assign'),
   TicketController.assignTicket
 );
 
+// Let the assignment engine pick a staff member for an unassigned ticket
+router.post('/:id/auto-assign',
+  authMiddleware(),
+  requirePermission('ticket:assign'),
+  TicketController.autoAssignTicket
+);
+
+// Merge other tickets into this one
+router.post('/:id/merge',
+  authMiddleware(),
+  requirePermission('ticket:merge'),
+  TicketController.mergeTickets
+);
+
+// Link or unlink related tickets
+router.post('/:id/links',
+  authMiddleware(),
+  requirePermission('ticket:link'),
+  TicketController.linkTicket
+);
+
+router.delete('/:id/links/:linkedId',
+  authMiddleware(),
+  requirePermission('ticket:link'),
+  TicketController.unlinkTicket
+);
+
 // Change ticket status
 router.put('/:id/status', 
   authMiddleware(), 
   TicketController.changeStatus
 );
 
-// Add message to ticket
+// Add message to ticket, optionally with files (multipart field "files")
 router.post('/:id/messages', 
   authMiddleware(),
+  requirePermission('ticket:reply'),
+  uploadAttachments,
   messageValidator,
-  attachmentsValidator,
   TicketController.addMessage
 );
 
@@ -92,13 +184,13 @@ router.get('/priority/:priority',
 // Get ticket statistics (admin dashboard)
 router.get('/admin/statistics',
   authMiddleware(),
-  checkRole(['ADMIN', 'SUPPORT']),
+  requirePermission('ticket:viewStatistics'),
   TicketController.getTicketsStatistics
 );
 
 router.get('/admin/all-tickets', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('ticket:viewAll'),
   TicketController.getAllTickets
 );
 
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const TicketViewController = require('../controllers/TicketViewController');
+const { authMiddleware, requirePermission } = require('../middleware/Auth');
+
+// Get your saved views and those shared with the team
+router.get('/',
+  authMiddleware(),
+  TicketViewController.getViews
+);
+
+// Save a view
+router.post('/',
+  authMiddleware(),
+  requirePermission('ticketView:create'),
+  TicketViewController.createView
+);
+
+// Run a view
+router.get('/:id/tickets',
+  authMiddleware(),
+  TicketViewController.getViewTickets
+);
+
+router.put('/:id',
+  authMiddleware(),
+  requirePermission('ticketView:update'),
+  TicketViewController.updateView
+);
+
+router.delete('/:id',
+  authMiddleware(),
+  requirePermission('ticketView:delete'),
+  TicketViewController.deleteView
+);
+
+module.exports = router;
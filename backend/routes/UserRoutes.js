@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/UserController');
+const PrivacyController = require('../controllers/PrivacyController');
 const { upload } = require('../services/UploadService');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission, forbidImpersonation } = require('../middleware/Auth');
 const { 
   userRegisterValidator, 
   userLoginValidator, 
@@ -10,29 +11,61 @@ const {
 } = require('../services/Validators');
 
 // Public routes
-router.get('/', authMiddleware(), UserController.getAllUsers);
+router.get('/', authMiddleware(), requirePermission('user:list'), UserController.getAllUsers);
 router.post('/register', userRegisterValidator, UserController.register);
 router.post('/login', userLoginValidator, UserController.login);
+router.post('/login/2fa', UserController.verifyLoginTwoFactor);
+router.post('/login/2fa/setup', UserController.setupLoginTwoFactor);
 router.post('/forgot-password', UserController.forgotPassword);
 router.post('/reset-password', UserController.resetPassword);
 router.post('/refresh-token', UserController.refreshToken);
+router.post('/verify-email', UserController.verifyEmail);
 
 // Protected routes - require authentication
 router.get('/profile', authMiddleware(), UserController.getProfile);
-router.put('/profile', authMiddleware(), UserController.updateProfile);
-router.put('/change-password', authMiddleware(), passwordChangeValidator, UserController.changePassword);
+router.put('/profile', authMiddleware(), forbidImpersonation, UserController.updateProfile);
+router.put('/availability', authMiddleware(), forbidImpersonation, UserController.updateAvailability);
+router.put('/change-password', authMiddleware(), forbidImpersonation, passwordChangeValidator, UserController.changePassword);
+router.post('/resend-verification', authMiddleware(), UserController.resendVerificationEmail);
+router.post('/logout', authMiddleware(), UserController.logout);
+router.get('/sessions', authMiddleware(), UserController.getSessions);
+router.delete('/sessions/:id', authMiddleware(), forbidImpersonation, UserController.revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', authMiddleware(), forbidImpersonation, UserController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware(), forbidImpersonation, UserController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware(), forbidImpersonation, UserController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware(), forbidImpersonation, UserController.regenerateRecoveryCodes);
+
+// Personal data - export and right to erasure
+router.get('/me/export', authMiddleware(), forbidImpersonation, PrivacyController.exportMyData);
+router.get('/me/erasure-requests', authMiddleware(), PrivacyController.getMyErasureRequests);
+router.post('/me/erasure-requests', authMiddleware(), forbidImpersonation, PrivacyController.requestErasure);
+
+// Impersonation - admins act as a client to see exactly what they see
+router.post('/impersonation/stop', authMiddleware(), UserController.stopImpersonation);
 
 // Admin routes
-router.get('/all', authMiddleware(), isAdmin, UserController.getAllUsers);
-router.get('/:id', authMiddleware(), isAdmin, UserController.getUserById);
-router.put('/:id', authMiddleware(), isAdmin, UserController.updateUser);
-router.delete('/:id', authMiddleware(), isAdmin, UserController.deleteUser);
+router.get('/all', authMiddleware(), requirePermission('user:viewAll'), UserController.getAllUsers);
+router.get('/:id', authMiddleware(), requirePermission('user:viewAll'), UserController.getUserById);
+router.put('/:id', authMiddleware(), requirePermission('user:update'), UserController.updateUser);
+router.delete('/:id', authMiddleware(), requirePermission('user:delete'), UserController.deleteUser);
+router.delete('/:id/2fa', authMiddleware(), requirePermission('user:manageSecurity'), UserController.resetUserTwoFactor);
+router.post('/:id/unlock', authMiddleware(), requirePermission('user:manageSecurity'), UserController.unlockUser);
+router.post('/:id/impersonate', authMiddleware(), forbidImpersonation, requirePermission('user:impersonate'), UserController.startImpersonation);
+router.get('/admin/erasure-requests', authMiddleware(), requirePermission('user:approveErasure'), PrivacyController.getErasureRequests);
+router.post('/admin/erasure-requests/:id/approve', authMiddleware(), forbidImpersonation, requirePermission('user:approveErasure'), PrivacyController.approveErasureRequest);
+router.post('/admin/erasure-requests/:id/reject', authMiddleware(), requirePermission('user:approveErasure'), PrivacyController.rejectErasureRequest);
+router.get('/admin/2fa-policy', authMiddleware(), requirePermission('settings:manage'), UserController.getTwoFactorPolicy);
+router.put('/admin/2fa-policy', authMiddleware(), requirePermission('settings:manage'), UserController.updateTwoFactorPolicy);
+router.get('/admin/email-verification-policy', authMiddleware(), requirePermission('settings:manage'), UserController.getEmailVerificationPolicy);
+router.put('/admin/email-verification-policy', authMiddleware(), requirePermission('settings:manage'), UserController.updateEmailVerificationPolicy);
 
 // Support staff routes - can view users but not modify admin status
 router.get(
   '/support/users', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'SUPPORT']), 
+  requirePermission('user:viewAll'), 
   UserController.getAllUsers
 );
 
@@ -45,7 +78,7 @@ router.post('/avatar',
 
 router.get('/admin/statistics', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('user:viewStatistics'), 
   UserController.getUserStatistics
 );
 
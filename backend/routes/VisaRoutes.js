@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const VisaController = require('../controllers/VisaController');
-const { authMiddleware, isAdmin, checkRole } = require('../middleware/Auth');
+const { authMiddleware, requirePermission, forbidImpersonation, requireVerifiedEmail } = require('../middleware/Auth');
 const { 
   createVisaValidator, 
   updateVisaValidator,
@@ -24,6 +24,8 @@ router.get('/:id',
 // Create new visa application
 router.post('/', 
   authMiddleware(), 
+  requirePermission('visa:create'),
+  requireVerifiedEmail,
   createVisaValidator, 
   VisaController.createVisaApplication
 );
@@ -38,6 +40,8 @@ router.put('/:id',
 // Delete visa application (admin or applicant for submitted applications)
 router.delete('/:id', 
   authMiddleware(), 
+  forbidImpersonation,
+  requirePermission('visa:delete'),
   VisaController.deleteVisaApplication
 );
 
@@ -50,27 +54,28 @@ router.get('/user/applications',
 // Get agent's assigned visa applications
 router.get('/agent/applications', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'AGENT']),
+  requirePermission('visa:viewAssigned'),
   VisaController.getAgentVisaApplications
 );
 
 // Update visa application status
 router.put('/:id/status', 
   authMiddleware(), 
-  checkRole(['ADMIN', 'AGENT']),
+  requirePermission('visa:changeStatus'),
   VisaController.changeStatus
 );
 
 // Assign agent to visa application (admin only)
 router.put('/:id/assign-agent', 
   authMiddleware(),
-  isAdmin,  
+  requirePermission('visa:assign'),
   VisaController.assignAgent
 );
 
 // Add document to visa application
 router.post('/:id/documents', 
   authMiddleware(),
+  requirePermission('visa:manageDocuments'),
   documentValidator,
   VisaController.addDocument
 );
@@ -78,6 +83,8 @@ router.post('/:id/documents',
 // Remove document from visa application
 router.delete('/:id/documents/:documentIndex', 
   authMiddleware(),
+  forbidImpersonation,
+  requirePermission('visa:manageDocuments'),
   VisaController.removeDocument
 );
 
@@ -85,13 +92,13 @@ router.delete('/:id/documents/:documentIndex',
 // Add this route before module.exports
 router.get('/admin/statistics', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('visa:viewStatistics'),
   VisaController.getVisaStatistics
 );
 
 router.get('/admin/all-applications', 
   authMiddleware(), 
-  isAdmin, 
+  requirePermission('visa:viewAll'),
   VisaController.getAllVisaApplications
 );
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+// Move existing direct messages into two-party conversations.
+//
+// Run once after deploying conversations, before clients switch to the
+// conversation endpoints. Running it again only picks up messages that are
+// not in a conversation yet.
+//
+//   npm run migrate-conversations
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const ConversationService = require('../services/ConversationService');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { conversations, messages } = await ConversationService.migrateDirectMessages();
+  console.log(`${messages} messages moved into ${conversations} conversations`);
+};
+
+run()
+  .catch(error => {
+    console.error('Conversation migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
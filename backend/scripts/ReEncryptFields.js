@@ -0,0 +1,32 @@
+// Re-encrypt every encrypted field with the current key.
+//
+// Run after adding a new key to FIELD_ENCRYPTION_KEYS (and pointing
+// FIELD_ENCRYPTION_KEY_VERSION at it), or once after enabling encryption to
+// encrypt existing plaintext values. Retired keys can be removed from
+// FIELD_ENCRYPTION_KEYS once this has finished.
+//
+//   npm run reencrypt-fields
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Visa = require('../models/Visa');
+const Tax = require('../models/Tax');
+const Insurance = require('../models/Insurance');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const Model of [Visa, Tax, Insurance, User]) {
+    const { scanned, updated, failed } = await Model.reEncryptAll();
+    console.log(`${Model.modelName}: ${updated} of ${scanned} documents re-encrypted, ${failed} failed`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Re-encryption failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,116 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const SettingService = require('./SettingService');
+const SlaService = require('./SlaService');
+
+const STRATEGIES = ['LEAST_LOADED', 'ROUND_ROBIN', 'MANUAL'];
+const ASSIGNABLE_ROLES = ['SUPPORT', 'AGENT'];
+
+/**
+ * Whether a staff member is currently marked as away
+ * @param {Object} user - User document
+ * @param {Date} now - Reference time
+ * @returns {boolean} - True if away
+ */
+const isAway = (user, now = new Date()) => {
+  const availability = user.availability || {};
+  return Boolean(availability.away) && (!availability.awayUntil || availability.awayUntil > now);
+};
+
+/**
+ * Count the open tickets assigned to each staff member
+ * @param {Array} staffIds - Staff user IDs
+ * @returns {Promise<Map>} - Map of user ID string to open ticket count
+ */
+const getOpenTicketCounts = async (staffIds) => {
+  const counts = await Ticket.aggregate([
+    { $match: { assignedTo: { $in: staffIds }, status: { $nin: SlaService.CLOSED_STATUSES } } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * List assignable staff with their current workload and availability
+ * @param {string} category - Only staff declaring this category, or all when omitted
+ * @returns {Promise<Array>} - [{ user, openTickets, away }]
+ */
+const getStaffWorkload = async (category) => {
+  const query = { role: { $in: ASSIGNABLE_ROLES }, erasedAt: { $exists: false } };
+  if (category) query.specialisations = category;
+
+  const staff = await User.find(query)
+    .select('username email role specialisations availability lastTicketAssignedAt');
+  const counts = await getOpenTicketCounts(staff.map(user => user._id));
+  const now = new Date();
+
+  return staff.map(user => ({
+    user,
+    openTickets: counts.get(user._id.toString()) || 0,
+    away: isAway(user, now)
+  }));
+};
+
+/**
+ * Choose who should take a ticket in a category. Staff declaring the category
+ * come first; GENERAL staff cover when none of them is available.
+ * @param {string} category - Ticket category
+ * @param {Object} options - { strategy, maxOpenTickets }
+ * @returns {Promise<Object|null>} - Chosen user, or null if nobody is available
+ */
+const pickAssignee = async (category, { strategy, maxOpenTickets }) => {
+  const isAvailable = entry =>
+    !entry.away && (!maxOpenTickets || entry.openTickets < maxOpenTickets);
+
+  let available = (await getStaffWorkload(category)).filter(isAvailable);
+  if (available.length === 0 && category !== 'GENERAL') {
+    available = (await getStaffWorkload('GENERAL')).filter(isAvailable);
+  }
+  if (available.length === 0) return null;
+
+  // Whoever has waited longest for a ticket goes first; staff never assigned one lead
+  const byLastAssigned = (a, b) =>
+    (a.user.lastTicketAssignedAt || 0) - (b.user.lastTicketAssignedAt || 0);
+
+  available.sort(strategy === 'ROUND_ROBIN'
+    ? byLastAssigned
+    : (a, b) => (a.openTickets - b.openTickets) || byLastAssigned(a, b));
+
+  return available[0].user;
+};
+
+/**
+ * Assign a new ticket using the configured strategy. Does not save the ticket.
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - { strategy } to override the configured strategy
+ * @returns {Promise<Object|null>} - Assigned user, or null if the ticket stays unassigned
+ */
+const autoAssign = async (ticket, options = {}) => {
+  const settings = await SettingService.getSetting('ticketAssignment');
+  const strategy = options.strategy || settings.strategy;
+  if (strategy === 'MANUAL') return null;
+
+  const assignee = await pickAssignee(ticket.category, { strategy, maxOpenTickets: settings.maxOpenTickets });
+  if (!assignee) return null;
+
+  ticket.assignedTo = assignee._id;
+  ticket.status = 'IN_PROGRESS';
+  ticket.messages.push({
+    system: true,
+    content: `Ticket automatically assigned to ${assignee.username}`,
+    timestamp: Date.now()
+  });
+
+  await User.updateOne({ _id: assignee._id }, { lastTicketAssignedAt: Date.now() });
+
+  return assignee;
+};
+
+module.exports = {
+  STRATEGIES,
+  isAway,
+  getStaffWorkload,
+  pickAssignee,
+  autoAssign
+};
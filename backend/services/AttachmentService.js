@@ -0,0 +1,146 @@
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Ticket = require('../models/Ticket');
+const PermissionService = require('./PermissionService');
+const UploadService = require('./UploadService');
+
+/**
+ * Record files already stored in the attachments directory
+ * @param {Object} req - Express request, or null outside a request
+ * @param {Array<Object>} files - { fileName, originalName, mimeType, size }
+ * @param {string} uploaderId - User the files came from
+ * @param {string} targetType - 'Message' or 'Ticket'
+ * @param {string} targetId - Message or ticket the files belong to
+ * @returns {Promise<Array<Object>>} - Attachment records, each with its download url
+ */
+const recordFiles = async (req, files, uploaderId, targetType, targetId) => {
+  const attachments = await Attachment.insertMany(files.map(file => ({
+    fileName: file.fileName,
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    uploader: uploaderId,
+    targetType,
+    targetId
+  })));
+
+  return attachments.map(attachment => ({
+    ...attachment.toObject(),
+    url: UploadService.getAttachmentUrl(req, attachment.fileName)
+  }));
+};
+
+/**
+ * Record files uploaded through UploadService.uploadAttachments
+ * @param {Object} req - Express request carrying req.files
+ * @param {string} targetType - 'Message' or 'Ticket'
+ * @param {string} targetId - Message or ticket the files belong to
+ * @returns {Promise<Array<Object>>} - Attachment records, each with its download url
+ */
+const recordUploads = async (req, targetType, targetId) => {
+  const files = (req.files || []).map(file => ({
+    fileName: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size
+  }));
+
+  return recordFiles(req, files, req.user.payload.id, targetType, targetId);
+};
+
+/**
+ * Store file contents received outside an upload request (e.g. email
+ * attachments) in the attachments directory. Record them with recordFiles.
+ * @param {Array<Object>} files - { content, originalName, mimeType }
+ * @returns {Array<Object>} - { fileName, originalName, mimeType, size, url }
+ */
+const storeFiles = (files) => {
+  return files.map(file => {
+    const filePath = UploadService.saveFile(file.content, file.originalName, UploadService.attachmentsDir);
+    const fileName = path.basename(filePath);
+    return {
+      fileName,
+      originalName: file.originalName || fileName,
+      mimeType: file.mimeType,
+      size: file.content.length,
+      url: UploadService.getAttachmentUrl(null, fileName)
+    };
+  });
+};
+
+/**
+ * Whether a user may download an attachment: ticket attachments follow
+ * ticket access, message attachments go to the sender, the recipient and the
+ * participants of the message's conversation
+ * @param {Object} user - Token payload
+ * @param {Object} attachment - Attachment document
+ * @returns {Promise<boolean>}
+ */
+const canAccess = async (user, attachment) => {
+  if (attachment.targetType === 'Ticket') {
+    const ticket = await Ticket.findById(attachment.targetId).select('user assignedTo');
+    return Boolean(ticket) && (
+      await PermissionService.can(user, 'ticket:viewAll') ||
+      await PermissionService.can(user, 'ticket:view', ticket)
+    );
+  }
+
+  const message = await Message.findById(attachment.targetId).select('sender recipient conversation');
+  if (!message) return false;
+
+  if (await PermissionService.can(user, 'message:viewAll') ||
+      await PermissionService.can(user, 'message:view', message)) {
+    return true;
+  }
+
+  return Boolean(message.conversation) &&
+    Boolean(await Conversation.exists({ _id: message.conversation, 'participants.user': user.id }));
+};
+
+/**
+ * Local path of an attachment's file
+ * @param {Object} attachment - Attachment document
+ * @returns {string}
+ */
+const getPath = (attachment) => path.join(UploadService.attachmentsDir, attachment.fileName);
+
+/**
+ * Delete the attachments of records that are being removed, files included
+ * @param {string} targetType - 'Message' or 'Ticket'
+ * @param {Array} targetIds - IDs of the removed records
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+const deleteAttachmentsFor = async (targetType, targetIds) => {
+  if (!targetIds || targetIds.length === 0) return 0;
+
+  const filter = { targetType, targetId: { $in: targetIds } };
+  const attachments = await Attachment.find(filter);
+  attachments.forEach(attachment => UploadService.deleteFile(getPath(attachment)));
+
+  const result = await Attachment.deleteMany(filter);
+  return result.deletedCount;
+};
+
+/**
+ * Move the attachments of one record to another, e.g. when tickets are merged
+ * @param {string} targetType - 'Message' or 'Ticket'
+ * @param {string} fromId - Record the attachments are on now
+ * @param {string} toId - Record they should move to
+ * @returns {Promise<number>} - Number of attachments moved
+ */
+const moveAttachments = async (targetType, fromId, toId) => {
+  const result = await Attachment.updateMany({ targetType, targetId: fromId }, { targetId: toId });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  recordFiles,
+  recordUploads,
+  storeFiles,
+  canAccess,
+  getPath,
+  deleteAttachmentsFor,
+  moveAttachments
+};
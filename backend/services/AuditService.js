@@ -0,0 +1,117 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into audit entries
+const REDACTED_FIELDS = ['password', 'twoFactor', 'passwordResetTokenId'];
+// Bookkeeping fields and embedded collections that are audited separately
+const IGNORED_FIELDS = ['_id', '__v', 'updated_at', 'messages'];
+
+/**
+ * Derive who is acting, and from where, from an authenticated request
+ * @param {Object} req - Express request
+ * @returns {Object} - { actor, impersonatedUser, requestId, ipAddress, userAgent }
+ */
+const getRequestContext = (req) => {
+  const payload = req?.user?.payload || {};
+
+  return {
+    actor: payload.impersonatorId || payload.id,
+    impersonatedUser: payload.impersonatorId ? payload.id : undefined,
+    requestId: req?.requestId,
+    ipAddress: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  };
+};
+
+/**
+ * Append an entry to the audit log. Failures are logged and swallowed so
+ * auditing never breaks the request being audited.
+ * @param {Object} req - Express request the action belongs to
+ * @param {Object} entry - { action, entityType, entityId, metadata, ... }
+ * @returns {Promise<Object|null>} - Created entry, or null if writing failed
+ */
+const record = async (req, entry) => {
+  try {
+    const context = getRequestContext(req);
+    Object.keys(entry).forEach(key => {
+      if (entry[key] !== undefined) context[key] = entry[key];
+    });
+
+    return await AuditLog.create(context);
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+    return null;
+  }
+};
+
+/**
+ * Turn a document (populated or not) into a plain, redacted object for auditing
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null} - Snapshot keyed by field
+ */
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true })
+    : { ...doc };
+
+  // JSON round-trip turns ObjectIds and dates into comparable strings
+  const snapshot = JSON.parse(JSON.stringify(plain));
+  [...REDACTED_FIELDS, ...IGNORED_FIELDS].forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object} - { before, after, changedFields } limited to changed fields
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = { before: {}, after: {}, changedFields: [] };
+
+  fields.forEach(field => {
+    const oldValue = before?.[field];
+    const newValue = after?.[field];
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      diff.changedFields.push(field);
+      if (oldValue !== undefined) diff.before[field] = oldValue;
+      if (newValue !== undefined) diff.after[field] = newValue;
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Record a change to an entity with a before/after diff
+ * @param {Object} req - Express request
+ * @param {Object} change - { action, entityType, entityId, before, after, metadata }
+ *   where before/after are documents or snapshots (omit before for creations, after for deletions)
+ * @returns {Promise<Object|null>} - Created entry
+ */
+const recordChange = async (req, { action, entityType, entityId, before, after, metadata, actor }) => {
+  const beforeSnapshot = toSnapshot(before);
+  const afterSnapshot = toSnapshot(after);
+  const diff = diffSnapshots(beforeSnapshot, afterSnapshot);
+
+  return record(req, {
+    action,
+    entityType,
+    entityId: entityId || after?._id || before?._id,
+    before: beforeSnapshot ? diff.before : undefined,
+    after: afterSnapshot ? diff.after : undefined,
+    changedFields: diff.changedFields,
+    metadata,
+    actor
+  });
+};
+
+module.exports = {
+  getRequestContext,
+  record,
+  toSnapshot,
+  recordChange
+};
@@ -0,0 +1,130 @@
+const CannedResponse = require('../models/CannedResponse');
+const User = require('../models/User');
+const Visa = require('../models/Visa');
+const Tax = require('../models/Tax');
+const Insurance = require('../models/Insurance');
+const RealEstate = require('../models/RealEstate');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_.]+)\s*\}\}/g;
+
+// Models behind Ticket.relatedService.serviceType, with the field naming the
+// customer a record belongs to
+const SERVICE_MODELS = {
+  REAL_ESTATE: { model: RealEstate, ownerField: 'owner' },
+  INSURANCE: { model: Insurance, ownerField: 'policyholder' },
+  VISA: { model: Visa, ownerField: 'applicant' },
+  TAX: { model: Tax, ownerField: 'client' }
+};
+
+/**
+ * Filter matching the canned responses a staff member can use: every shared
+ * one plus their own personal ones
+ * @param {string} userId - Staff user ID
+ * @returns {Object} - MongoDB filter
+ */
+const getVisibleFilter = (userId) => ({
+  $or: [{ shared: true }, { owner: userId }]
+});
+
+/**
+ * Whether a staff member can use a canned response
+ * @param {Object} response - Canned response document
+ * @param {string} userId - Staff user ID
+ * @returns {boolean} - True if shared or owned by the user
+ */
+const isVisibleTo = (response, userId) => {
+  return response.shared || response.owner.toString() === String(userId);
+};
+
+/**
+ * Build the values placeholders are filled from. Encrypted service fields are
+ * masked so a template can never paste a full passport number into a reply.
+ * Customers pick the related service of their tickets themselves, so a record
+ * that belongs to someone else is left out.
+ * @param {Object} ticket - Ticket document
+ * @param {string} senderId - Staff member sending the reply
+ * @returns {Promise<Object>} - { user, agent, ticket, service }
+ */
+const buildContext = async (ticket, senderId) => {
+  const [customer, sender] = await Promise.all([
+    User.findById(ticket.user).select('username email phone'),
+    User.findById(senderId).select('username email')
+  ]);
+
+  const context = {
+    user: customer ? { username: customer.username, email: customer.email, phone: customer.phone } : {},
+    agent: sender ? { username: sender.username, email: sender.email } : {},
+    ticket: {
+      id: ticket._id.toString(),
+      title: ticket.title,
+      category: ticket.category,
+      priority: ticket.priority,
+      status: ticket.status
+    }
+  };
+
+  const { serviceType, serviceId } = ticket.relatedService || {};
+  const target = SERVICE_MODELS[serviceType];
+  if (target && serviceId) {
+    const service = await target.model.findById(serviceId);
+    if (service && String(service[target.ownerField]) === ticket.user.toString()) {
+      context.service = service.toMaskedJSON ? service.toMaskedJSON() : service.toJSON();
+    }
+  }
+
+  return context;
+};
+
+/**
+ * Fill a template's placeholders
+ * @param {string} content - Template content
+ * @param {Object} context - Values from buildContext
+ * @returns {Object} - { content, missing } where missing lists placeholders
+ *   that could not be filled
+ */
+const fillPlaceholders = (content, context) => {
+  const missing = new Set();
+
+  const filled = content.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), context);
+    if (value == null || typeof value === 'object') {
+      missing.add(path);
+      return placeholder;
+    }
+    return value instanceof Date ? value.toLocaleDateString() : String(value);
+  });
+
+  return { content: filled, missing: [...missing] };
+};
+
+/**
+ * Render a canned response for a ticket
+ * @param {Object} response - Canned response document
+ * @param {Object} ticket - Ticket document
+ * @param {string} senderId - Staff member sending the reply
+ * @returns {Promise<Object>} - { content, missing }
+ */
+const render = async (response, ticket, senderId) => {
+  const context = await buildContext(ticket, senderId);
+  return fillPlaceholders(response.content, context);
+};
+
+/**
+ * Count a use of a canned response
+ * @param {string} responseId - Canned response ID
+ * @returns {Promise<void>}
+ */
+const recordUse = async (responseId) => {
+  await CannedResponse.updateOne(
+    { _id: responseId },
+    { $inc: { usageCount: 1 }, lastUsedAt: Date.now() }
+  );
+};
+
+module.exports = {
+  getVisibleFilter,
+  isVisibleTo,
+  fillPlaceholders,
+  render,
+  recordUse
+};
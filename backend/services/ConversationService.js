@@ -0,0 +1,451 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Ticket = require('../models/Ticket');
+const Visa = require('../models/Visa');
+const Tax = require('../models/Tax');
+const Insurance = require('../models/Insurance');
+const RealEstate = require('../models/RealEstate');
+const SocketService = require('./SocketService');
+const AttachmentService = require('./AttachmentService');
+
+// Service records a conversation can be about, keyed by record.type. The
+// creator needs viewAllAction, or viewAction on the record, to link it.
+const CONVERSATION_RECORDS = {
+  visa: { model: Visa, viewAllAction: 'visa:viewAll', viewAction: 'visa:view' },
+  tax: { model: Tax, viewAllAction: 'tax:viewAll', viewAction: 'tax:view' },
+  insurance: { model: Insurance, viewAllAction: 'insurance:viewAll', viewAction: 'insurance:view' },
+  property: { model: RealEstate, viewAllAction: 'property:viewAll', viewAction: 'property:update' },
+  ticket: { model: Ticket, viewAllAction: 'ticket:viewAll', viewAction: 'ticket:view' }
+};
+
+const MAX_PARTICIPANTS = parseInt(process.env.CONVERSATION_MAX_PARTICIPANTS) || 50;
+const PREVIEW_LENGTH = 100;
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const DELETED_PREVIEW = 'This message was deleted';
+
+const directKey = (userA, userB) => [String(userA), String(userB)].sort().join(':');
+
+const preview = (content) => (content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}…` : content);
+
+const messagePreview = (message) => (message.deletedAt ? DELETED_PREVIEW : preview(message.content));
+
+/**
+ * Find the participant entry of a user in a conversation
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} - Participant subdocument
+ */
+const getParticipant = (conversation, userId) => {
+  return conversation.participants.find(participant => participant.user.toString() === String(userId));
+};
+
+/**
+ * Send an event to every participant of a conversation, optionally except one
+ * @param {Object} conversation - Conversation document
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @param {string} exceptUserId - Participant to leave out, e.g. the one acting
+ */
+const emitToParticipants = (conversation, event, data, exceptUserId) => {
+  conversation.participants
+    .filter(participant => participant.user.toString() !== String(exceptUserId))
+    .forEach(participant => SocketService.emitToUser(participant.user, event, data));
+};
+
+/**
+ * The direct conversation between two users, if they have one
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<Object|null>} - Conversation document
+ */
+const findDirect = (userA, userB) => Conversation.findOne({ directKey: directKey(userA, userB) });
+
+/**
+ * The direct conversation between two users, created on first use
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<Object>} - Conversation document
+ */
+const findOrCreateDirect = async (userA, userB) => {
+  const userIds = [...new Set([String(userA), String(userB)])];
+
+  return Conversation.findOneAndUpdate(
+    { directKey: directKey(userA, userB) },
+    {
+      $setOnInsert: {
+        type: 'DIRECT',
+        participants: userIds.map(user => ({ user })),
+        created_by: userA
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Post a message to a conversation: store it, update the preview and the
+ * other participants' unread counters, and push it to everyone connected
+ * @param {Object} conversation - Conversation document
+ * @param {string} senderId - Sending participant
+ * @param {Object} message - { content }; attachments are added by upload afterwards
+ * @returns {Promise<Object>} - Saved message, populated
+ */
+const sendMessage = async (conversation, senderId, { content }) => {
+  const other = conversation.type === 'DIRECT'
+    ? conversation.participants.find(participant => participant.user.toString() !== String(senderId))
+    : null;
+
+  const savedMessage = await Message.create({
+    sender: senderId,
+    recipient: conversation.type === 'DIRECT' ? (other ? other.user : senderId) : undefined,
+    conversation: conversation._id,
+    content,
+    attachments: [],
+    isRead: false,
+    created_at: Date.now()
+  });
+
+  // A new message brings an archived conversation back to the inbox
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          message: savedMessage._id,
+          sender: senderId,
+          preview: preview(content),
+          sentAt: savedMessage.created_at
+        },
+        updated_at: Date.now(),
+        'participants.$[other].archived': false
+      },
+      $inc: { 'participants.$[other].unreadCount': 1 }
+    },
+    { arrayFilters: [{ 'other.user': { $ne: new mongoose.Types.ObjectId(String(senderId)) } }] }
+  );
+
+  const populatedMessage = await Message.findById(savedMessage._id)
+    .populate('sender', 'username email avatar')
+    .populate('recipient', 'username email avatar');
+
+  await Promise.all(conversation.participants.map(async participant => {
+    const isSender = participant.user.toString() === String(senderId);
+    SocketService.emitToUser(participant.user, 'message:new', {
+      ...populatedMessage.toObject(),
+      muted: !isSender && participant.muted
+    });
+    if (!isSender) await SocketService.pushUnreadCount(participant.user);
+  }));
+
+  return populatedMessage;
+};
+
+/**
+ * Mark a conversation read up to now for a participant, and tell the others
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - Participant reading
+ * @returns {Promise<Date>} - Read time
+ */
+const markRead = async (conversation, userId) => {
+  const readAt = new Date();
+
+  await Conversation.updateOne(
+    { _id: conversation._id, 'participants.user': userId },
+    { $set: { 'participants.$.unreadCount': 0, 'participants.$.lastReadAt': readAt } }
+  );
+
+  // Direct messages also carry their own read flag
+  await Message.updateMany(
+    { conversation: conversation._id, recipient: userId, isRead: false },
+    { isRead: true, readAt }
+  );
+
+  emitToParticipants(conversation, 'conversation:read', { conversationId: conversation._id, userId, readAt }, userId);
+  await SocketService.pushUnreadCount(userId);
+
+  return readAt;
+};
+
+/**
+ * Recount a participant's unread messages from the direct message read flags,
+ * after a single message was read or deleted
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Recipient
+ */
+const syncUnreadCount = async (conversationId, userId) => {
+  const unreadCount = await Message.countDocuments({
+    conversation: conversationId,
+    recipient: userId,
+    isRead: false,
+    deletedAt: null,
+    deletedFor: { $ne: userId }
+  });
+
+  await Conversation.updateOne(
+    { _id: conversationId, 'participants.user': userId },
+    { $set: { 'participants.$.unreadCount': unreadCount } }
+  );
+};
+
+/**
+ * Point the preview at the newest remaining message, after one was deleted
+ * @param {string} conversationId - Conversation ID
+ */
+const refreshLastMessage = async (conversationId) => {
+  const last = await Message.findOne({ conversation: conversationId }).sort({ created_at: -1 });
+
+  await Conversation.updateOne(
+    { _id: conversationId },
+    last
+      ? { lastMessage: { message: last._id, sender: last.sender, preview: messagePreview(last), sentAt: last.created_at } }
+      : { $unset: { lastMessage: '' } }
+  );
+};
+
+/**
+ * Send an event about a message to everyone who has it: the participants of
+ * its conversation, or sender and recipient of a message from before
+ * conversations existed
+ * @param {Object} message - Message document
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const emitToMessageParties = async (message, event, data) => {
+  const conversation = message.conversation
+    ? await Conversation.findById(message.conversation).select('participants.user')
+    : null;
+
+  if (conversation) {
+    emitToParticipants(conversation, event, data);
+    return;
+  }
+  [...new Set([message.sender, message.recipient].filter(Boolean).map(String))]
+    .forEach(userId => SocketService.emitToUser(userId, event, data));
+};
+
+/**
+ * Take a message that is no longer shown out of the unread counters of some users
+ * @param {Object} message - Message document
+ * @param {Array<string>} userIds - Users who will not see the message any more
+ */
+const dropFromUnread = async (message, userIds) => {
+  if (!message.conversation) return;
+
+  const conversation = await Conversation.findById(message.conversation).select('type participants.user');
+  if (!conversation) return;
+
+  const readers = userIds
+    .map(String)
+    .filter(userId => userId !== message.sender.toString() && getParticipant(conversation, userId));
+  if (readers.length === 0) return;
+
+  if (conversation.type === 'DIRECT') {
+    // Direct messages carry their own read flag, so the count can be redone
+    await Promise.all(readers.map(userId => syncUnreadCount(conversation._id, userId)));
+  } else {
+    // Group counters go down for those who had not read up to the message yet
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $inc: { 'participants.$[reader].unreadCount': -1 } },
+      {
+        arrayFilters: [{
+          'reader.user': { $in: readers.map(userId => new mongoose.Types.ObjectId(userId)) },
+          'reader.unreadCount': { $gt: 0 },
+          'reader.lastReadAt': { $not: { $gte: message.created_at } }
+        }]
+      }
+    );
+  }
+
+  await Promise.all(readers.map(userId => SocketService.pushUnreadCount(userId)));
+};
+
+/**
+ * Whether a message can still be edited by its sender
+ * @param {Object} message - Message document
+ * @returns {boolean}
+ */
+const isEditable = (message) => {
+  return !message.deletedAt &&
+    Date.now() - new Date(message.created_at).getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+};
+
+/**
+ * Replace the content of a message, keeping the previous version in its edit
+ * history, and push the new version to everyone who has the message
+ * @param {Object} message - Message document
+ * @param {string} content - New content
+ * @returns {Promise<Object>} - Updated message, populated
+ */
+const editMessage = async (message, content) => {
+  const editedAt = new Date();
+
+  await Message.updateOne(
+    { _id: message._id },
+    {
+      $set: { content, editedAt },
+      $push: { editHistory: { content: message.content, edited_at: editedAt } }
+    }
+  );
+
+  if (message.conversation) await refreshLastMessage(message.conversation);
+
+  const updatedMessage = await Message.findById(message._id)
+    .populate('sender', 'username email avatar')
+    .populate('recipient', 'username email avatar');
+
+  await emitToMessageParties(message, 'message:updated', updatedMessage.toJSON());
+
+  return updatedMessage;
+};
+
+/**
+ * Delete a message for everyone. It stays in the conversation as a tombstone
+ * without content or files; the removed content is kept in its edit history.
+ * @param {Object} message - Message document
+ * @param {string} userId - User deleting it
+ * @returns {Promise<Object>} - Tombstone
+ */
+const deleteForEveryone = async (message, userId) => {
+  const deletedAt = new Date();
+
+  const tombstone = await Message.findByIdAndUpdate(
+    message._id,
+    {
+      $set: { content: '', attachments: [], deletedAt, deletedBy: userId },
+      $push: { editHistory: { content: message.content, edited_at: deletedAt } }
+    },
+    { new: true }
+  );
+  await AttachmentService.deleteAttachmentsFor('Message', [message._id]);
+
+  if (message.conversation) {
+    await refreshLastMessage(message.conversation);
+    const conversation = await Conversation.findById(message.conversation).select('participants.user');
+    if (conversation) {
+      await dropFromUnread(message, conversation.participants.map(participant => participant.user));
+    }
+  }
+
+  await emitToMessageParties(message, 'message:deleted', {
+    messageId: message._id,
+    conversationId: message.conversation || null,
+    deletedAt,
+    deletedBy: userId
+  });
+
+  return tombstone;
+};
+
+/**
+ * Hide a message from one user's view only; the others keep seeing it
+ * @param {Object} message - Message document
+ * @param {string} userId - User deleting it for themselves
+ */
+const deleteForMe = async (message, userId) => {
+  await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+  await dropFromUnread(message, [userId]);
+
+  // The user's other clients drop it too
+  SocketService.emitToUser(userId, 'message:deleted', {
+    messageId: message._id,
+    conversationId: message.conversation || null,
+    forMe: true
+  });
+};
+
+/**
+ * Load the service record a conversation should be about
+ * @param {Object} record - { type, id }
+ * @returns {Promise<Object>} - { record, target } or { error }
+ */
+const findRecord = async (record) => {
+  const target = CONVERSATION_RECORDS[record?.type];
+  if (!target) {
+    return { error: `Record type must be one of: ${Object.keys(CONVERSATION_RECORDS).join(', ')}` };
+  }
+  if (!mongoose.Types.ObjectId.isValid(record.id)) {
+    return { error: 'Invalid record ID' };
+  }
+
+  const found = await target.model.findById(record.id);
+  return found ? { record: found, target } : { error: 'Record not found' };
+};
+
+/**
+ * Turn the existing direct messages into two-party conversations. Safe to run
+ * again: only messages without a conversation are picked up, and the counters
+ * of the conversations they join are recomputed.
+ * @returns {Promise<Object>} - { conversations, messages } counts
+ */
+const migrateDirectMessages = async () => {
+  const pairs = await Message.aggregate([
+    { $match: { conversation: null, recipient: { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          a: { $min: ['$sender', '$recipient'] },
+          b: { $max: ['$sender', '$recipient'] }
+        }
+      }
+    }
+  ]);
+
+  let messages = 0;
+  for (const { _id: { a, b } } of pairs) {
+    const conversation = await findOrCreateDirect(a, b);
+
+    const result = await Message.updateMany(
+      {
+        conversation: null,
+        $or: [{ sender: a, recipient: b }, { sender: b, recipient: a }]
+      },
+      { conversation: conversation._id }
+    );
+    messages += result.modifiedCount;
+
+    const last = await Message.findOne({ conversation: conversation._id }).sort({ created_at: -1 });
+    for (const participant of conversation.participants) {
+      participant.unreadCount = await Message.countDocuments({
+        conversation: conversation._id,
+        recipient: participant.user,
+        isRead: false
+      });
+    }
+    if (last) {
+      conversation.lastMessage = {
+        message: last._id,
+        sender: last.sender,
+        preview: preview(last.content),
+        sentAt: last.created_at
+      };
+      if (last.created_at < conversation.created_at) conversation.created_at = last.created_at;
+      conversation.updated_at = last.created_at;
+    }
+    await conversation.save();
+  }
+
+  return { conversations: pairs.length, messages };
+};
+
+module.exports = {
+  CONVERSATION_RECORDS,
+  MAX_PARTICIPANTS,
+  EDIT_WINDOW_MINUTES,
+  getParticipant,
+  emitToParticipants,
+  findDirect,
+  findOrCreateDirect,
+  sendMessage,
+  markRead,
+  syncUnreadCount,
+  refreshLastMessage,
+  isEditable,
+  editMessage,
+  deleteForEveryone,
+  deleteForMe,
+  findRecord,
+  migrateDirectMessages
+};
@@ -1,8 +1,15 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const mongoose = require('mongoose');
 const User = require('../models/User');
 
+// Replies to ticket emails go to INBOUND_EMAIL_ADDRESS with a signed ticket
+// token added as a "+" tag, e.g. support+t<ticketId>.<signature>@example.com
+const INBOUND_EMAIL_ADDRESS = process.env.INBOUND_EMAIL_ADDRESS;
+const INBOUND_EMAIL_SECRET = process.env.INBOUND_EMAIL_SECRET || `${process.env.ACCESS_TOKEN}:inbound`;
+const REPLY_MARKER = '## Reply above this line ##';
+
 // Create transporter using environment variables
 const transporter = nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
@@ -20,9 +27,10 @@ const transporter = nodemailer.createTransport({
  * @param {string} subject - Email subject
  * @param {string} htmlContent - Email content (HTML)
  * @param {string} textContent - Email content (plain text fallback)
+ * @param {Object} options - Extra nodemailer options, e.g. { replyTo }
  * @returns {Promise<Object>} - Email sending result
  */
-const sendEmail = async (to, subject, htmlContent, textContent) => {
+const sendEmail = async (to, subject, htmlContent, textContent, options = {}) => {
     try {
         // Define email options
         const mailOptions = {
@@ -30,7 +38,8 @@ const sendEmail = async (to, subject, htmlContent, textContent) => {
             to,
             subject,
             html: htmlContent,
-            text: textContent || htmlContent.replace(/<[^>]*>/g, '') // Strip HTML tags for text version
+            text: textContent || htmlContent.replace(/<[^>]*>/g, ''), // Strip HTML tags for text version
+            ...options
         };
 
         // Send email
@@ -43,6 +52,56 @@ const sendEmail = async (to, subject, htmlContent, textContent) => {
     }
 };
 
+/**
+ * Sign a ticket ID for use in a reply-to address
+ * @param {string} ticketId - Ticket ID
+ * @returns {string} - Token of the form t<ticketId>.<signature>
+ */
+const createTicketReplyToken = (ticketId) => {
+    const signature = crypto.createHmac('sha256', INBOUND_EMAIL_SECRET)
+        .update(String(ticketId))
+        .digest('hex')
+        .slice(0, 16);
+    return `t${ticketId}.${signature}`;
+};
+
+/**
+ * Find the ticket a reply was addressed to
+ * @param {string} address - Recipient address of an inbound email
+ * @returns {string|null} - Ticket ID, or null if the address carries no valid token
+ */
+const parseTicketReplyAddress = (address) => {
+    const match = /\+t([a-f0-9]{24})\.([a-f0-9]{16})@/i.exec(address || '');
+    if (!match) return null;
+
+    const expected = createTicketReplyToken(match[1].toLowerCase());
+    const received = `t${match[1].toLowerCase()}.${match[2].toLowerCase()}`;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received)) ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Reply-to address for emails about a ticket, so replies land on the ticket
+ * @param {Object} ticket - Ticket
+ * @returns {string|null} - Address, or null when inbound email is not configured
+ */
+const getTicketReplyAddress = (ticket) => {
+    if (!INBOUND_EMAIL_ADDRESS) return null;
+
+    const [local, domain] = INBOUND_EMAIL_ADDRESS.split('@');
+    return `${local}+${createTicketReplyToken(ticket._id)}@${domain}`;
+};
+
+// Mail options and a reply hint for ticket emails that accept replies
+const ticketReplyOptions = (ticket) => {
+    const replyTo = getTicketReplyAddress(ticket);
+    return replyTo ? { replyTo } : {};
+};
+
+const ticketReplyHint = (ticket) => {
+    if (!getTicketReplyAddress(ticket)) return '';
+    return `<p style="color: #888888; font-size: 12px;">${REPLY_MARKER}<br>You can reply to this email to add a message to the ticket.</p>`;
+};
+
 /**
  * Notify admin about new user registration
  * @param {Object} user - Newly registered user
@@ -99,6 +158,32 @@ const sendWelcomeEmail = async (user) => {
     return await sendEmail(user.email, subject, htmlContent);
 };
 
+/**
+ * Send email address verification link
+ * @param {Object} user - User whose email needs verifying
+ * @param {string} verificationToken - Signed verification token
+ * @returns {Promise<Object>} - Email sending result
+ */
+const sendEmailVerificationEmail = async (user, verificationToken) => {
+    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    const subject = 'Please Verify Your Email Address';
+    const htmlContent = `
+        <h1>Verify Your Email Address</h1>
+        <p>Hello ${user.username},</p>
+        <p>Thank you for registering. Please confirm that this is your email address by clicking the button below:</p>
+        <p>
+            <a href="${verifyUrl}" style="display: inline-block; background-color: #1976d2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+                Verify Email
+            </a>
+        </p>
+        <p>Until your email is verified you will not be able to submit visa applications, tax cases or support tickets.</p>
+        <p>The link will expire in 24 hours. If you didn't create an account, please ignore this email.</p>
+        <p>Best regards,<br>The Service Platform Team</p>
+    `;
+
+    return await sendEmail(user.email, subject, htmlContent);
+};
+
 /**
  * Send password reset email
  * @param {Object} user - User requesting password reset
@@ -125,6 +210,94 @@ const sendPasswordResetEmail = async (user, resetToken) => {
     return await sendEmail(user.email, subject, htmlContent);
 };
 
+/**
+ * Invite a staff member to create their account
+ * @param {Object} invitation - Pending invitation
+ * @param {string} invitationToken - Signed invitation token
+ * @param {Object} inviter - Admin who sent the invitation
+ * @returns {Promise<Object>} - Email sending result
+ */
+const sendStaffInvitationEmail = async (invitation, invitationToken, inviter) => {
+    const acceptUrl = `${process.env.FRONTEND_URL}/accept-invitation?token=${invitationToken}`;
+    const subject = 'You Have Been Invited to Join the Service Platform Team';
+    const htmlContent = `
+        <h1>You're Invited!</h1>
+        <p>Hello,</p>
+        <p>${inviter ? inviter.username : 'An administrator'} has invited you to join the Service Platform team as <strong>${invitation.role}</strong>.</p>
+        ${invitation.specialisations.length > 0 ? `<p><strong>Specialisations:</strong> ${invitation.specialisations.join(', ')}</p>` : ''}
+        <p>Click the button below to choose your username and password:</p>
+        <p>
+            <a href="${acceptUrl}" style="display: inline-block; background-color: #1976d2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+                Accept Invitation
+            </a>
+        </p>
+        <p>The invitation expires on ${new Date(invitation.expiresAt).toLocaleString()}. If you weren't expecting it, please ignore this email.</p>
+        <p>Best regards,<br>The Service Platform Team</p>
+    `;
+
+    return await sendEmail(invitation.email, subject, htmlContent);
+};
+
+/**
+ * Notify admins that a client asked for their personal data to be erased
+ * @param {Object} erasureRequest - Pending erasure request
+ * @param {Object} user - User asking for erasure
+ * @returns {Promise<Object>} - Email sending result
+ */
+const notifyErasureRequest = async (erasureRequest, user) => {
+    const admins = await User.find({ role: 'ADMIN' }).select('email');
+    const adminEmails = admins.map(admin => admin.email);
+
+    if (adminEmails.length === 0) {
+        console.log('No admin emails found to notify about erasure request');
+        return { success: false, error: 'No admin recipients found' };
+    }
+
+    const subject = 'New Data Erasure Request';
+    const htmlContent = `
+        <h1>New Data Erasure Request</h1>
+        <p>A client has asked for their personal data to be erased:</p>
+        <ul>
+            <li><strong>Username:</strong> ${user.username}</li>
+            <li><strong>Email:</strong> ${user.email}</li>
+            <li><strong>Reason:</strong> ${erasureRequest.reason || 'Not given'}</li>
+            <li><strong>Requested on:</strong> ${new Date(erasureRequest.created_at).toLocaleString()}</li>
+        </ul>
+        <p>Please review the request on the admin dashboard.</p>
+    `;
+
+    return await sendEmail(adminEmails.join(','), subject, htmlContent);
+};
+
+/**
+ * Tell a client how their erasure request was decided. Sent before the
+ * address itself is erased.
+ * @param {Object} erasureRequest - Reviewed erasure request
+ * @param {Object} user - User who asked for erasure
+ * @returns {Promise<Object>} - Email sending result
+ */
+const sendErasureRequestOutcome = async (erasureRequest, user) => {
+    const completed = erasureRequest.status === 'COMPLETED';
+    const subject = completed ? 'Your Personal Data Has Been Erased' : 'Your Data Erasure Request Was Declined';
+    const htmlContent = completed ? `
+        <h1>Your Personal Data Has Been Erased</h1>
+        <p>Hello ${user.username},</p>
+        <p>As requested, we have erased the personal data held in your account and closed it.</p>
+        <p>Some records, such as tax filings and issued insurance policies, must be kept for the period required by law. They are no longer linked to your name or contact details.</p>
+        <p>This is the last email you will receive from us.</p>
+        <p>Best regards,<br>The Service Platform Team</p>
+    ` : `
+        <h1>Your Data Erasure Request Was Declined</h1>
+        <p>Hello ${user.username},</p>
+        <p>We were unable to carry out your request to erase your personal data.</p>
+        ${erasureRequest.reviewNotes ? `<p><strong>Reason:</strong> ${erasureRequest.reviewNotes}</p>` : ''}
+        <p>If you have any questions, please contact our support team by creating a ticket on the platform.</p>
+        <p>Best regards,<br>The Service Platform Team</p>
+    `;
+
+    return await sendEmail(user.email, subject, htmlContent);
+};
+
 // ----------------------- TICKET NOTIFICATIONS -----------------------
 
 /**
@@ -180,6 +353,7 @@ const notifyNewTicket = async (ticket, user) => {
 const sendTicketConfirmation = async (ticket, user) => {
     const subject = `Ticket Created: ${ticket.title}`;
     const htmlContent = `
+        ${ticketReplyHint(ticket)}
         <h1>Your Support Ticket Has Been Created</h1>
         <p>Hello ${user.username},</p>
         <p>Thank you for contacting us. Your support ticket has been created successfully:</p>
@@ -200,7 +374,7 @@ const sendTicketConfirmation = async (ticket, user) => {
         <p>Best regards,<br>The Support Team</p>
     `;
 
-    return await sendEmail(user.email, subject, htmlContent);
+    return await sendEmail(user.email, subject, htmlContent, null, ticketReplyOptions(ticket));
 };
 
 /**
@@ -213,6 +387,7 @@ const sendTicketConfirmation = async (ticket, user) => {
 const notifyTicketStatusChange = async (ticket, user, previousStatus) => {
     const subject = `Ticket Status Update: ${ticket.title}`;
     const htmlContent = `
+        ${ticketReplyHint(ticket)}
         <h1>Your Ticket Status Has Changed</h1>
         <p>Hello ${user.username},</p>
         <p>The status of your support ticket has been updated:</p>
@@ -231,7 +406,37 @@ const notifyTicketStatusChange = async (ticket, user, previousStatus) => {
         <p>Best regards,<br>The Support Team</p>
     `;
 
-    return await sendEmail(user.email, subject, htmlContent);
+    return await sendEmail(user.email, subject, htmlContent, null, ticketReplyOptions(ticket));
+};
+
+/**
+ * Remind a customer that a ticket is waiting on their reply
+ * @param {Object} ticket - Ticket in WAITING_CUSTOMER status
+ * @param {Object} user - Ticket owner
+ * @param {Date} closesAt - When the ticket will be closed without a reply
+ * @returns {Promise<Object>} - Email sending result
+ */
+const sendTicketWaitingReminder = async (ticket, user, closesAt) => {
+    const subject = `We're waiting for your reply: ${ticket.title}`;
+    const htmlContent = `
+        ${ticketReplyHint(ticket)}
+        <h1>Your Ticket Is Waiting for Your Reply</h1>
+        <p>Hello ${user.username},</p>
+        <p>Our support team is waiting for more information from you on this ticket:</p>
+        <ul>
+            <li><strong>Ticket ID:</strong> ${ticket._id}</li>
+            <li><strong>Title:</strong> ${ticket.title}</li>
+        </ul>
+        <p>If we don't hear from you by <strong>${new Date(closesAt).toLocaleDateString()}</strong>, the ticket will be closed automatically. Just reply to keep it open.</p>
+        <p>
+            <a href="${process.env.FRONTEND_URL}/dashboard/tickets/${ticket._id}" style="display: inline-block; background-color: #1976d2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+                Reply to Ticket
+            </a>
+        </p>
+        <p>Best regards,<br>The Support Team</p>
+    `;
+
+    return await sendEmail(user.email, subject, htmlContent, null, ticketReplyOptions(ticket));
 };
 
 /**
@@ -250,6 +455,7 @@ const notifyNewTicketMessage = async (ticket, user, message, sender) => {
 
     const subject = `New Message on Your Ticket: ${ticket.title}`;
     const htmlContent = `
+        ${ticketReplyHint(ticket)}
         <h1>New Message on Your Support Ticket</h1>
         <p>Hello ${user.username},</p>
         <p>A new message has been added to your ticket:</p>
@@ -271,7 +477,7 @@ const notifyNewTicketMessage = async (ticket, user, message, sender) => {
         <p>Best regards,<br>The Support Team</p>
     `;
 
-    return await sendEmail(user.email, subject, htmlContent);
+    return await sendEmail(user.email, subject, htmlContent, null, ticketReplyOptions(ticket));
 };
 
 /**
@@ -290,6 +496,7 @@ const notifyStaffNewTicketMessage = async (ticket, assignedUser, message, sender
 
     const subject = `New Message on Assigned Ticket: ${ticket.title}`;
     const htmlContent = `
+        ${ticketReplyHint(ticket)}
         <h1>New Message on Assigned Ticket</h1>
         <p>Hello ${assignedUser.username},</p>
         <p>A new message has been added to a ticket assigned to you:</p>
@@ -311,7 +518,7 @@ const notifyStaffNewTicketMessage = async (ticket, assignedUser, message, sender
         <p>Best regards,<br>The Support Team</p>
     `;
 
-    return await sendEmail(assignedUser.email, subject, htmlContent);
+    return await sendEmail(assignedUser.email, subject, htmlContent, null, ticketReplyOptions(ticket));
 };
 
 /**
@@ -324,6 +531,7 @@ const notifyStaffNewTicketMessage = async (ticket, assignedUser, message, sender
 const notifyTicketAssignment = async (ticket, user, assignedTo) => {
     const subject = `Ticket Update: ${ticket.title}`;
     const htmlContent = `
+        ${ticketReplyHint(ticket)}
         <h1>Your Ticket Has Been Assigned</h1>
         <p>Hello ${user.username},</p>
         <p>Your support ticket has been assigned to ${assignedTo.username}:</p>
@@ -343,7 +551,7 @@ const notifyTicketAssignment = async (ticket, user, assignedTo) => {
         <p>Best regards,<br>The Support Team</p>
     `;
 
-    return await sendEmail(user.email, subject, htmlContent);
+    return await sendEmail(user.email, subject, htmlContent, null, ticketReplyOptions(ticket));
 };
 
 /**
@@ -355,6 +563,7 @@ const notifyTicketAssignment = async (ticket, user, assignedTo) => {
 const notifyStaffTicketAssignment = async (ticket, assignedTo) => {
     const subject = `New Ticket Assignment: ${ticket.title}`;
     const htmlContent = `
+        ${ticketReplyHint(ticket)}
         <h1>New Ticket Assigned to You</h1>
         <p>Hello ${assignedTo.username},</p>
         <p>A support ticket has been assigned to you:</p>
@@ -375,7 +584,75 @@ const notifyStaffTicketAssignment = async (ticket, assignedTo) => {
         <p>Best regards,<br>The Support Team</p>
     `;
 
-    return await sendEmail(assignedTo.email, subject, htmlContent);
+    return await sendEmail(assignedTo.email, subject, htmlContent, null, ticketReplyOptions(ticket));
+};
+
+/**
+ * Warn staff that a ticket is close to missing an SLA target
+ * @param {Object} ticket - Ticket at risk
+ * @param {Object} staff - Staff member to warn
+ * @param {string} target - Name of the target, e.g. "first response"
+ * @param {Date} dueAt - When the target will be breached
+ * @returns {Promise<Object>} - Email sending result
+ */
+const notifySlaAtRisk = async (ticket, staff, target, dueAt) => {
+    const subject = `SLA Warning: ${ticket.title}`;
+    const htmlContent = `
+        <h1>Ticket Nearing Its SLA Target</h1>
+        <p>Hello ${staff.username},</p>
+        <p>The following ticket will breach its ${target} target on <strong>${new Date(dueAt).toLocaleString()}</strong>:</p>
+        <ul>
+            <li><strong>Ticket ID:</strong> ${ticket._id}</li>
+            <li><strong>Title:</strong> ${ticket.title}</li>
+            <li><strong>Category:</strong> ${ticket.category}</li>
+            <li><strong>Priority:</strong> ${ticket.priority}</li>
+            <li><strong>Status:</strong> ${ticket.status}</li>
+        </ul>
+        <p>Please attend to this ticket as soon as possible.</p>
+        <p>
+            <a href="${process.env.FRONTEND_URL}/dashboard/tickets/${ticket._id}" style="display: inline-block; background-color: #1976d2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+                View Ticket
+            </a>
+        </p>
+        <p>Best regards,<br>The Support Team</p>
+    `;
+
+    return await sendEmail(staff.email, subject, htmlContent);
+};
+
+/**
+ * Tell staff that a ticket breached an SLA target and how it was escalated
+ * @param {Object} ticket - Escalated ticket
+ * @param {Object} staff - Staff member to notify
+ * @param {string} target - Name of the target, e.g. "resolution"
+ * @param {Array<string>} actions - Escalation steps taken
+ * @returns {Promise<Object>} - Email sending result
+ */
+const notifySlaBreach = async (ticket, staff, target, actions) => {
+    const subject = `SLA Breached: ${ticket.title}`;
+    const htmlContent = `
+        <h1>Ticket Breached Its SLA Target</h1>
+        <p>Hello ${staff.username},</p>
+        <p>The following ticket has missed its ${target} target and has been escalated:</p>
+        <ul>
+            <li><strong>Ticket ID:</strong> ${ticket._id}</li>
+            <li><strong>Title:</strong> ${ticket.title}</li>
+            <li><strong>Category:</strong> ${ticket.category}</li>
+            <li><strong>Priority:</strong> ${ticket.priority}</li>
+            <li><strong>Status:</strong> ${ticket.status}</li>
+            <li><strong>Escalation level:</strong> ${ticket.sla.escalationLevel}</li>
+        </ul>
+        ${actions.length > 0 ? `<p><strong>Escalation:</strong> ${actions.join(', ')}</p>` : ''}
+        <p>Please attend to this ticket immediately.</p>
+        <p>
+            <a href="${process.env.FRONTEND_URL}/dashboard/tickets/${ticket._id}" style="display: inline-block; background-color: #d32f2f; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+                View Ticket
+            </a>
+        </p>
+        <p>Best regards,<br>The Support Team</p>
+    `;
+
+    return await sendEmail(staff.email, subject, htmlContent);
 };
 
 // ----------------------- REAL ESTATE NOTIFICATIONS -----------------------
@@ -1212,20 +1489,121 @@ const sendAppointmentConfirmation = async (appointment, client) => {
     return await sendEmail(client.email, subject, htmlContent);
   };
 
+/**
+ * Tell a staff member they were mentioned in an internal note
+ * @param {Object} note - Internal note
+ * @param {Object} staff - Mentioned staff member
+ * @param {Object} author - Staff member who wrote the note
+ * @param {string} recordPath - Dashboard path of the record, e.g. "visa"
+ * @returns {Promise<Object>} - Email sending result
+ */
+const notifyNoteMention = async (note, staff, author, recordPath) => {
+    const subject = `${author.username} mentioned you in an internal note`;
+    const htmlContent = `
+        <h1>You Were Mentioned</h1>
+        <p>Hello ${staff.username},</p>
+        <p>${author.username} mentioned you in an internal note on ${note.entityType} ${note.entityId}:</p>
+        <div style="margin: 20px 0; padding: 15px; background-color: #fff8e1; border-left: 4px solid #ffa000; border-radius: 4px;">
+            <p>${note.content}</p>
+        </div>
+        <p>This note is visible to staff only.</p>
+        <p>
+            <a href="${process.env.FRONTEND_URL}/dashboard/${recordPath}/${note.entityId}" style="display: inline-block; background-color: #1976d2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+                View Record
+            </a>
+        </p>
+        <p>Best regards,<br>The Support Team</p>
+    `;
+
+    return await sendEmail(staff.email, subject, htmlContent);
+};
+
+/**
+ * Ask a client to rate how their resolved ticket was handled. Each score is a
+ * link, so a single click answers the survey.
+ * @param {Object} survey - Satisfaction survey
+ * @param {Object} ticket - Resolved ticket
+ * @param {Object} user - Ticket owner
+ * @param {string} surveyToken - Signed token for the rating link
+ * @param {boolean} isReminder - Whether this is a reminder for an unanswered survey
+ * @returns {Promise<Object>} - Email sending result
+ */
+const sendSatisfactionSurvey = async (survey, ticket, user, surveyToken, isReminder = false) => {
+    const surveyUrl = `${process.env.FRONTEND_URL}/survey?token=${surveyToken}`;
+    const subject = `${isReminder ? 'Reminder: ' : ''}How did we do? ${ticket.title}`;
+    const scoreLinks = [1, 2, 3, 4, 5].map(score => `
+            <a href="${surveyUrl}&score=${score}" style="display: inline-block; background-color: #1976d2; color: white; padding: 10px 16px; margin-right: 6px; text-decoration: none; border-radius: 4px;">
+                ${score}
+            </a>`).join('');
+    const htmlContent = `
+        <h1>How Did We Do?</h1>
+        <p>Hello ${user.username},</p>
+        <p>${isReminder ? 'We have not heard back from you yet about' : 'Your support ticket has been resolved:'} <strong>${ticket.title}</strong> (Ticket ID: ${ticket._id})</p>
+        <p>How satisfied are you with the support you received? Click a score from 1 (very dissatisfied) to 5 (very satisfied):</p>
+        <p>${scoreLinks}
+        </p>
+        <p>You can add a comment after choosing your score. This survey closes on ${new Date(survey.expiresAt).toLocaleDateString()}.</p>
+        <p>Best regards,<br>The Support Team</p>
+    `;
+
+    return await sendEmail(user.email, subject, htmlContent);
+};
+
+/**
+ * Summarise the changes a bulk ticket update made to a user's tickets in one email
+ * @param {Object} user - Ticket owner or assignee
+ * @param {Array<Object>} updates - { ticket, change } per changed ticket
+ * @returns {Promise<Object>} - Email sending result
+ */
+const notifyBulkTicketUpdate = async (user, updates) => {
+    const subject = updates.length === 1
+        ? `Ticket Update: ${updates[0].ticket.title}`
+        : `${updates.length} of your tickets were updated`;
+    const rows = updates.map(({ ticket, change }) => `
+            <li>
+                <a href="${process.env.FRONTEND_URL}/dashboard/tickets/${ticket._id}">${ticket.title}</a>
+                (Ticket ID: ${ticket._id}): ${change}
+            </li>`).join('');
+    const htmlContent = `
+        <h1>Your Tickets Were Updated</h1>
+        <p>Hello ${user.username},</p>
+        <p>Our support team updated the following tickets:</p>
+        <ul>${rows}
+        </ul>
+        <p>You can view the latest updates on each ticket by following its link.</p>
+        <p>Best regards,<br>The Support Team</p>
+    `;
+
+    return await sendEmail(user.email, subject, htmlContent);
+};
+
 module.exports = {
     sendEmail,
+    REPLY_MARKER,
+    parseTicketReplyAddress,
+    getTicketReplyAddress,
     sendUserRegistrationNotification,
     sendWelcomeEmail,
+    sendEmailVerificationEmail,
     sendPasswordResetEmail,
+    sendStaffInvitationEmail,
+    notifyErasureRequest,
+    sendErasureRequestOutcome,
     
     // Ticket notifications
     notifyNewTicket,
     sendTicketConfirmation,
     notifyTicketStatusChange,
+    sendTicketWaitingReminder,
     notifyNewTicketMessage,
     notifyStaffNewTicketMessage,
     notifyTicketAssignment,
     notifyStaffTicketAssignment,
+    notifySlaAtRisk,
+    notifySlaBreach,
+    notifyNoteMention,
+    sendSatisfactionSurvey,
+    notifyBulkTicketUpdate,
     
     // Real Estate notifications
     notifyNewProperty,
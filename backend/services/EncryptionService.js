@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+// Stored values look like enc:v<version>:<iv>:<auth tag>:<ciphertext>, all base64
+const PREFIX = 'enc';
+
+let keyring = null;
+
+/**
+ * Load the encryption keys from the environment. FIELD_ENCRYPTION_KEYS holds
+ * comma-separated "<version>:<base64 32-byte key>" pairs; retired keys stay in
+ * the list so older values can still be read. New values are written with
+ * FIELD_ENCRYPTION_KEY_VERSION, or the highest version when it is not set.
+ * @returns {Object} - { keys: Map of version to key, currentVersion }
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+    const [version, encodedKey] = entry.trim().split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry for version "${version}"`);
+    }
+    keys.set(Number(version), key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+  }
+
+  const currentVersion = parseInt(process.env.FIELD_ENCRYPTION_KEY_VERSION) || Math.max(...keys.keys());
+  if (!keys.has(currentVersion)) {
+    throw new Error(`No field encryption key for version ${currentVersion}`);
+  }
+
+  keyring = { keys, currentVersion };
+  return keyring;
+};
+
+/**
+ * Check whether a stored value has the shape of ciphertext produced by encrypt.
+ * Only tryDecrypt tells whether it really is.
+ * @param {*} value - Stored value
+ * @returns {boolean} - True if encrypted
+ */
+const isEncrypted = (value) => {
+  if (typeof value !== 'string') return false;
+
+  const parts = value.split(':');
+  return parts.length === 5 &&
+    parts[0] === PREFIX &&
+    /^v\d+$/.test(parts[1]) &&
+    Buffer.from(parts[2], 'base64').length === IV_LENGTH &&
+    Buffer.from(parts[3], 'base64').length === AUTH_TAG_LENGTH;
+};
+
+/**
+ * Key version a stored value was encrypted with
+ * @param {string} value - Encrypted value
+ * @returns {number|null} - Key version, or null for plaintext
+ */
+const getKeyVersion = (value) => {
+  if (!isEncrypted(value)) return null;
+  return Number(value.split(':')[1].slice(1));
+};
+
+/**
+ * Encrypt a value with the current key
+ * @param {*} value - Plaintext value, stored as its string form
+ * @returns {string} - Encrypted value
+ */
+const encrypt = (value) => {
+  const { keys, currentVersion } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    `v${currentVersion}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a value that has the shape of ciphertext
+ * @param {string} value - Stored value
+ * @returns {string|null} - Plaintext, or null if the value is not ciphertext
+ *   or does not authenticate under the key it names
+ */
+const tryDecrypt = (value) => {
+  if (!isEncrypted(value)) return null;
+
+  const [, version, iv, authTag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(Number(version.slice(1)));
+  if (!key) {
+    throw new Error(`No field encryption key for version ${version.slice(1)}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decrypt a stored value. Values written before encryption was enabled are
+ * plaintext, and so is anything that merely looks like ciphertext: both are
+ * returned unchanged.
+ * @param {string} value - Stored value
+ * @returns {string} - Plaintext
+ */
+const decrypt = (value) => {
+  const plaintext = tryDecrypt(value);
+  return plaintext === null ? value : plaintext;
+};
+
+/**
+ * Check whether a stored value should be rewritten with the current key
+ * @param {*} value - Stored value
+ * @returns {boolean} - True for plaintext, values under an older key and
+ *   values that do not decrypt
+ */
+const needsReEncryption = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  return getKeyVersion(value) !== getKeyring().currentVersion || tryDecrypt(value) === null;
+};
+
+/**
+ * Mask a sensitive value, keeping only its last characters
+ * @param {*} value - Plaintext value
+ * @param {number} visible - Number of trailing characters to keep
+ * @returns {string} - e.g. ****1234
+ */
+const mask = (value, visible = 4) => {
+  if (value === null || value === undefined || value === '') return value;
+  const text = String(value);
+  return `****${text.length > visible ? text.slice(-visible) : ''}`;
+};
+
+module.exports = {
+  isEncrypted,
+  getKeyVersion,
+  encrypt,
+  tryDecrypt,
+  decrypt,
+  needsReEncryption,
+  mask
+};
@@ -0,0 +1,313 @@
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const PermissionService = require('./PermissionService');
+const SettingService = require('./SettingService');
+const UploadService = require('./UploadService');
+const AttachmentService = require('./AttachmentService');
+const TicketService = require('./TicketService');
+
+const INBOUND_EMAIL_ADDRESS = process.env.INBOUND_EMAIL_ADDRESS;
+// authserv-ids of the relays whose Authentication-Results we trust, e.g. "mx.example.com"
+const TRUSTED_AUTHSERV_IDS = (process.env.INBOUND_EMAIL_TRUSTED_AUTHSERV_IDS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean);
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_ATTACHMENTS = 10;
+// Attachments plus MIME overhead
+const MAX_EMAIL_BYTES = MAX_ATTACHMENTS * UploadService.attachmentLimits.fileSize + 1024 * 1024;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Token payload shape the permission checks expect
+const toPayload = (user) => ({ id: user._id.toString(), role: user.role, isAdmin: user.isAdmin });
+
+/**
+ * Keep only what the sender wrote: drop everything below our reply marker,
+ * the "On ... wrote:" header most clients add, and quoted lines
+ * @param {Object} parsed - Email parsed by mailparser
+ * @returns {string} - Reply text
+ */
+const extractReply = (parsed) => {
+  let body = parsed.text || (parsed.html || '').replace(/<[^>]*>/g, '');
+  body = body.replace(/\r\n/g, '\n');
+
+  const markerIndex = body.indexOf(EmailService.REPLY_MARKER);
+  if (markerIndex !== -1) {
+    body = body.slice(0, markerIndex);
+  }
+
+  const quoteHeaderIndex = body.search(/^On .+wrote:\s*$/m);
+  if (quoteHeaderIndex !== -1) {
+    body = body.slice(0, quoteHeaderIndex);
+  }
+
+  return body
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+};
+
+/**
+ * Why an email should not be processed at all, if any reason applies:
+ * auto-replies (which would loop with our notifications) and mail whose From
+ * address a trusted relay did not authenticate. The gateway takes mail without
+ * SMTP AUTH, so anyone could claim any sender; only a DMARC pass recorded by
+ * one of INBOUND_EMAIL_TRUSTED_AUTHSERV_IDS counts. The topmost
+ * Authentication-Results header from a trusted relay is the one read, and the
+ * relay must strip headers carrying its authserv-id from incoming mail.
+ * @param {Object} parsed - Email parsed by mailparser
+ * @returns {string|null} - Reason, or null if the email is acceptable
+ */
+const getRejectionReason = (parsed) => {
+  // mailparser returns structured values for some headers and strings for others
+  const header = (name) => [].concat(parsed.headers.get(name) || [])
+    .map(value => String(value?.value ?? value).toLowerCase().trim());
+
+  const autoSubmitted = header('auto-submitted')[0];
+  if (autoSubmitted && autoSubmitted !== 'no') return 'auto-submitted';
+
+  const precedence = header('precedence')[0];
+  if (['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) return `precedence ${precedence}`;
+
+  // "<authserv-id> [version]; method=result ...; ..."
+  const trustedResults = header('authentication-results').find(value => {
+    const authservId = value.split(';')[0].trim().split(/\s+/)[0];
+    return TRUSTED_AUTHSERV_IDS.includes(authservId);
+  });
+  if (!trustedResults) return 'sender not authenticated by a trusted relay';
+  if (!/(^|;)\s*dmarc=pass\b/.test(trustedResults)) return 'sender authentication did not pass';
+
+  return null;
+};
+
+/**
+ * Store the attachments we accept for tickets, like files uploaded through the
+ * API: outside the public uploads directory, served only to who can see the ticket
+ * @param {Object} parsed - Email parsed by mailparser
+ * @returns {Array<Object>} - Stored files, see AttachmentService.storeFiles
+ */
+const saveAttachments = (parsed) => {
+  const accepted = (parsed.attachments || [])
+    // Inline images are signatures and logos, not something the sender attached
+    .filter(attachment => !attachment.related)
+    .filter(attachment => UploadService.allowedAttachmentTypes.includes(attachment.contentType))
+    .filter(attachment => attachment.size <= UploadService.attachmentLimits.fileSize)
+    .slice(0, MAX_ATTACHMENTS);
+
+  return AttachmentService.storeFiles(accepted.map(attachment => ({
+    content: attachment.content,
+    originalName: attachment.filename,
+    mimeType: attachment.contentType
+  })));
+};
+
+// Stored files of an email that did not make it into a ticket
+const discardAttachments = (files) => {
+  files.forEach(file => UploadService.deleteFile(path.join(UploadService.attachmentsDir, file.fileName)));
+};
+
+/**
+ * Turn a subject into a ticket title
+ * @param {string} subject - Email subject
+ * @param {Object} user - Sender
+ * @returns {string} - Title of 5 to 100 characters
+ */
+const toTicketTitle = (subject, user) => {
+  const title = (subject || '').replace(/^((re|fwd?|aw|wg)\s*:\s*)+/i, '').trim();
+  if (title.length >= 5) return title.slice(0, 100);
+  return `Email from ${user.username}${title ? `: ${title}` : ''}`.slice(0, 100);
+};
+
+/**
+ * Process one inbound email: append it to the ticket named by the reply-to
+ * token it was sent to, or open a new ticket for a registered sender
+ * @param {Object} parsed - Email parsed by mailparser
+ * @param {Array<string>} recipients - Envelope recipients
+ * @returns {Promise<Object>} - { status: 'APPENDED' | 'CREATED' | 'IGNORED', ticketId, reason }
+ */
+const processInboundEmail = async (parsed, recipients = []) => {
+  const fromAddress = parsed.from?.value?.[0]?.address;
+  if (!fromAddress) {
+    return { status: 'IGNORED', reason: 'no sender address' };
+  }
+
+  const platformAddresses = [process.env.EMAIL_FROM_ADDRESS, INBOUND_EMAIL_ADDRESS]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+  if (platformAddresses.includes(fromAddress.toLowerCase())) {
+    return { status: 'IGNORED', reason: 'sent by the platform itself' };
+  }
+
+  const rejectionReason = getRejectionReason(parsed);
+  if (rejectionReason) {
+    return { status: 'IGNORED', reason: rejectionReason };
+  }
+
+  const user = await User.findOne({
+    email: { $regex: `^${escapeRegex(fromAddress)}$`, $options: 'i' },
+    erasedAt: { $exists: false }
+  });
+  if (!user) {
+    return { status: 'IGNORED', reason: `unknown sender ${fromAddress}` };
+  }
+
+  const content = extractReply(parsed).slice(0, MAX_MESSAGE_LENGTH);
+  const hasAttachments = (parsed.attachments || []).some(attachment => !attachment.related);
+  if (!content && !hasAttachments) {
+    return { status: 'IGNORED', reason: 'empty message' };
+  }
+
+  const payload = toPayload(user);
+  const addresses = [
+    ...recipients,
+    ...(parsed.to?.value || []).map(entry => entry.address),
+    ...(parsed.cc?.value || []).map(entry => entry.address)
+  ];
+  const ticketId = addresses.map(EmailService.parseTicketReplyAddress).find(Boolean);
+  let ticket = ticketId ? await Ticket.findById(ticketId) : null;
+
+  // Replies to a merged ticket continue in the ticket it was merged into
+  while (ticket?.mergedInto) {
+    ticket = await Ticket.findById(ticket.mergedInto);
+  }
+
+  if (ticket) {
+    if (!await PermissionService.can(payload, 'ticket:reply', ticket)) {
+      return { status: 'IGNORED', reason: `${fromAddress} may not reply to ticket ${ticket._id}` };
+    }
+
+    const files = saveAttachments(parsed);
+    if (!content && files.length === 0) {
+      return { status: 'IGNORED', reason: 'no text and no accepted attachments' };
+    }
+
+    try {
+      await TicketService.appendMessage(null, ticket, payload, {
+        content: content || 'Sent attachments by email',
+        attachments: files.map(file => file.url),
+        source: 'EMAIL'
+      });
+    } catch (error) {
+      discardAttachments(files);
+      throw error;
+    }
+    await AttachmentService.recordFiles(null, files, user._id, 'Ticket', ticket._id);
+
+    return { status: 'APPENDED', ticketId: ticket._id };
+  }
+
+  // Unknown thread: a new ticket, under the same rules as POST /api/tickets
+  if (!await PermissionService.can(payload, 'ticket:create')) {
+    return { status: 'IGNORED', reason: `${fromAddress} may not open tickets` };
+  }
+
+  const verificationRequired = await SettingService.getSetting('emailVerificationRequired');
+  if (verificationRequired && user.emailVerified === false) {
+    return { status: 'IGNORED', reason: `${fromAddress} has not verified their email address` };
+  }
+
+  const files = saveAttachments(parsed);
+  if (!content && files.length === 0) {
+    return { status: 'IGNORED', reason: 'no text and no accepted attachments' };
+  }
+
+  let newTicket;
+  try {
+    newTicket = await TicketService.openTicket(null, user, {
+      title: toTicketTitle(parsed.subject, user),
+      description: content || 'Sent attachments by email',
+      category: 'GENERAL',
+      attachments: files.map(file => file.url)
+    }, { source: 'EMAIL' });
+  } catch (error) {
+    discardAttachments(files);
+    throw error;
+  }
+  await AttachmentService.recordFiles(null, files, user._id, 'Ticket', newTicket._id);
+
+  return { status: 'CREATED', ticketId: newTicket._id };
+};
+
+// Only the inbound mailbox, with or without a "+" tag, is accepted
+const isInboundAddress = (address) => {
+  const [baseLocal, baseDomain] = INBOUND_EMAIL_ADDRESS.toLowerCase().split('@');
+  const [local, domain] = (address || '').toLowerCase().split('@');
+  return domain === baseDomain && local.split('+')[0] === baseLocal;
+};
+
+/**
+ * Start the SMTP listener for replies and new tickets. It is meant to sit
+ * behind the mail relay for the inbound domain, which should reject spoofed
+ * senders and record its SPF/DKIM/DMARC verdict in Authentication-Results;
+ * list its authserv-id in INBOUND_EMAIL_TRUSTED_AUTHSERV_IDS.
+ * Does nothing unless INBOUND_EMAIL_ADDRESS and INBOUND_EMAIL_PORT are set.
+ * @returns {Object|null} - The SMTP server, or null when disabled
+ */
+const startInboundEmailServer = () => {
+  const port = parseInt(process.env.INBOUND_EMAIL_PORT);
+  if (!INBOUND_EMAIL_ADDRESS || !port) {
+    return null;
+  }
+
+  if (TRUSTED_AUTHSERV_IDS.length === 0) {
+    console.warn('INBOUND_EMAIL_TRUSTED_AUTHSERV_IDS is not set: every inbound email will be ignored');
+  }
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    size: MAX_EMAIL_BYTES,
+    banner: 'Inbound ticket gateway',
+
+    onRcptTo(address, session, callback) {
+      if (!isInboundAddress(address.address)) {
+        return callback(new Error(`Unknown recipient ${address.address}`));
+      }
+      callback();
+    },
+
+    onData(stream, session, callback) {
+      simpleParser(stream)
+        .then(parsed => {
+          if (stream.sizeExceeded) {
+            const error = new Error('Message exceeds the maximum size');
+            error.responseCode = 552;
+            throw error;
+          }
+          return processInboundEmail(parsed, session.envelope.rcptTo.map(rcpt => rcpt.address));
+        })
+        .then(result => {
+          // Rejected mail is still accepted so we never bounce to forged senders
+          console.log(`Inbound email ${result.status.toLowerCase()}${result.ticketId ? ` (ticket ${result.ticketId})` : ''}${result.reason ? `: ${result.reason}` : ''}`);
+          callback();
+        })
+        .catch(error => {
+          console.error('Error processing inbound email:', error);
+          // Ask the relay to retry later unless the message itself is at fault
+          if (!error.responseCode) error.responseCode = 451;
+          callback(error);
+        });
+    }
+  });
+
+  server.on('error', error => console.error('Inbound email server error:', error));
+
+  const host = process.env.INBOUND_EMAIL_HOST || '127.0.0.1';
+  server.listen(port, host, () => {
+    console.log(`Inbound email gateway listening on ${host}:${port}`);
+  });
+
+  return server;
+};
+
+module.exports = {
+  extractReply,
+  processInboundEmail,
+  startInboundEmailServer
+};
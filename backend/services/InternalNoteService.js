@@ -0,0 +1,72 @@
+const InternalNote = require('../models/InternalNote');
+const Ticket = require('../models/Ticket');
+const Visa = require('../models/Visa');
+const Tax = require('../models/Tax');
+const Insurance = require('../models/Insurance');
+const RealEstate = require('../models/RealEstate');
+const User = require('../models/User');
+const PermissionService = require('./PermissionService');
+
+// Records notes can be attached to, keyed by the path segment used in the API.
+// viewAction is what a staff member needs on the record to read its notes.
+const NOTE_TARGETS = {
+  tickets: { entityType: 'Ticket', model: Ticket, viewAction: 'ticket:view', path: 'tickets' },
+  visa: { entityType: 'Visa', model: Visa, viewAction: 'visa:view', path: 'visa' },
+  tax: { entityType: 'Tax', model: Tax, viewAction: 'tax:view', path: 'tax' },
+  insurance: { entityType: 'Insurance', model: Insurance, viewAction: 'insurance:view', path: 'insurance' },
+  'real-estate': { entityType: 'RealEstate', model: RealEstate, viewAction: 'property:update', path: 'real-estate' }
+};
+
+const MENTION_PATTERN = /@([A-Za-z0-9_.-]+)/g;
+
+/**
+ * Resolve the @username mentions in a note to staff who may read notes
+ * @param {string} content - Note content
+ * @returns {Promise<Array<Object>>} - Mentioned staff users
+ */
+const resolveMentions = async (content) => {
+  const usernames = [...new Set([...(content || '').matchAll(MENTION_PATTERN)].map(match => match[1]))];
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, role: { $ne: 'USER' } })
+    .select('username email role isAdmin');
+
+  const staff = await Promise.all(users.map(async user => {
+    const payload = { id: user._id.toString(), role: user.role, isAdmin: user.isAdmin };
+    return await PermissionService.can(payload, 'note:view') ? user : null;
+  }));
+
+  return staff.filter(Boolean);
+};
+
+/**
+ * Delete the notes attached to records that are being removed
+ * @param {string} entityType - Model name, e.g. 'Visa'
+ * @param {Array} entityIds - IDs of the removed records
+ * @returns {Promise<number>} - Number of notes deleted
+ */
+const deleteNotesFor = async (entityType, entityIds) => {
+  if (!entityIds || entityIds.length === 0) return 0;
+
+  const result = await InternalNote.deleteMany({ entityType, entityId: { $in: entityIds } });
+  return result.deletedCount;
+};
+
+/**
+ * Move the notes of one record to another, e.g. when tickets are merged
+ * @param {string} entityType - Model name, e.g. 'Ticket'
+ * @param {string} fromId - Record the notes are on now
+ * @param {string} toId - Record they should move to
+ * @returns {Promise<number>} - Number of notes moved
+ */
+const moveNotes = async (entityType, fromId, toId) => {
+  const result = await InternalNote.updateMany({ entityType, entityId: fromId }, { entityId: toId });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  NOTE_TARGETS,
+  resolveMentions,
+  deleteNotesFor,
+  moveNotes
+};
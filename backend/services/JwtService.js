@@ -3,6 +3,16 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TOKEN_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TOKEN_TTL_MINUTES) || 15;
+const INVITATION_TOKEN_TTL_HOURS = parseInt(process.env.INVITATION_TOKEN_TTL_HOURS) || 72;
+const SURVEY_TOKEN_TTL_DAYS = parseInt(process.env.SURVEY_TOKEN_TTL_DAYS) || 14;
+// Challenge tokens must never be accepted as access tokens, so they get their own secret
+const TWO_FACTOR_TOKEN = process.env.TWO_FACTOR_TOKEN || `${process.env.ACCESS_TOKEN}:2fa`;
+const EMAIL_VERIFICATION_TOKEN = process.env.EMAIL_VERIFICATION_TOKEN || `${process.env.ACCESS_TOKEN}:email`;
+const INVITATION_TOKEN = process.env.INVITATION_TOKEN || `${process.env.ACCESS_TOKEN}:invite`;
+const SURVEY_TOKEN = process.env.SURVEY_TOKEN || `${process.env.ACCESS_TOKEN}:survey`;
+
 const generalAccessToken = async (payload) => {
   const accessToken = jwt.sign({
     payload 
@@ -14,7 +24,7 @@ const generalAccessToken = async (payload) => {
 const generalResetPasswordToken = async (payload) => {
   const accessToken = jwt.sign({
     payload 
-  }, process.env.PASSWORD_RESET_TOKEN, { expiresIn: '3h' });
+  }, process.env.PASSWORD_RESET_TOKEN, { expiresIn: '1h' });
 
   return accessToken;
 };
@@ -22,37 +32,51 @@ const generalResetPasswordToken = async (payload) => {
 const generalRefreshToken = async (payload) => {
   const refreshToken = jwt.sign({
     payload 
-  }, process.env.REFRESH_TOKEN, { expiresIn: '365d' });
+  }, process.env.REFRESH_TOKEN, { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` });
 
   return refreshToken;
 };
 
-const provideToken = (token) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      jwt.verify(token, process.env.REFRESH_TOKEN, async (err, user) => {
-        if (err) {
-          return resolve({
-            status: 'ERROR',
-            message: 'Invalid refresh token',
-          });
-        }
-
-        const { id, role, isAdmin } = user.payload;
-        const newAccessToken = await generalAccessToken({ id, role, isAdmin });
-
-        resolve({
-          status: 'Success',
-          accessToken: newAccessToken
-        });
-      });
-    } catch (err) {
-      reject({
-        status: 'Error',
-        message: err.message
-      });
-    }
-  });
+const generalTwoFactorChallengeToken = async (payload) => {
+  const challengeToken = jwt.sign({
+    payload 
+  }, TWO_FACTOR_TOKEN, { expiresIn: '5m' });
+
+  return challengeToken;
+};
+
+const generalEmailVerificationToken = async (payload) => {
+  const verificationToken = jwt.sign({
+    payload 
+  }, EMAIL_VERIFICATION_TOKEN, { expiresIn: '24h' });
+
+  return verificationToken;
+};
+
+// Impersonation tokens are access tokens (same secret) that carry impersonatorId,
+// are never paired with a refresh token and expire quickly
+const generalImpersonationToken = async (payload) => {
+  const impersonationToken = jwt.sign({
+    payload 
+  }, process.env.ACCESS_TOKEN, { expiresIn: `${IMPERSONATION_TOKEN_TTL_MINUTES}m` });
+
+  return impersonationToken;
+};
+
+const generalInvitationToken = async (payload) => {
+  const invitationToken = jwt.sign({
+    payload 
+  }, INVITATION_TOKEN, { expiresIn: `${INVITATION_TOKEN_TTL_HOURS}h` });
+
+  return invitationToken;
+};
+
+const generalSurveyToken = async (payload) => {
+  const surveyToken = jwt.sign({
+    payload 
+  }, SURVEY_TOKEN, { expiresIn: `${SURVEY_TOKEN_TTL_DAYS}d` });
+
+  return surveyToken;
 };
 
 const verifyToken = (token, secret) => {
@@ -70,7 +94,19 @@ const verifyToken = (token, secret) => {
 module.exports = {
   generalAccessToken,
   generalRefreshToken,
-  provideToken,
   generalResetPasswordToken,
-  verifyToken
+  generalTwoFactorChallengeToken,
+  generalEmailVerificationToken,
+  generalImpersonationToken,
+  generalInvitationToken,
+  generalSurveyToken,
+  verifyToken,
+  REFRESH_TOKEN_TTL_DAYS,
+  IMPERSONATION_TOKEN_TTL_MINUTES,
+  INVITATION_TOKEN_TTL_HOURS,
+  SURVEY_TOKEN_TTL_DAYS,
+  TWO_FACTOR_TOKEN,
+  EMAIL_VERIFICATION_TOKEN,
+  INVITATION_TOKEN,
+  SURVEY_TOKEN
 };
@@ -0,0 +1,143 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures allowed before each key is locked, and for how long
+const POLICIES = {
+  account: { maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5, lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15 },
+  ip: { maxFailures: 20, lockoutMinutes: 15 },
+  reset: { maxFailures: 5, lockoutMinutes: 15 }
+};
+// Attempts allowed back to back before progressive delays kick in
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const accountKey = (email) => `account:${normalizeEmail(email)}`;
+const ipKey = (ip) => `ip:${ip}`;
+const resetAccountKey = (email) => `reset-account:${normalizeEmail(email)}`;
+const resetIpKey = (ip) => `reset-ip:${ip}`;
+
+/**
+ * Work out how long a caller must wait before trying again
+ * @param {Array<string>} keys - Throttle keys that apply to the request
+ * @returns {Promise<number>} - Seconds to wait, 0 if the request may proceed
+ */
+const getRetryAfter = async (keys) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({ key: { $in: keys } });
+  let waitMs = 0;
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      waitMs = Math.max(waitMs, attempt.lockedUntil.getTime() - now);
+    } else if (attempt.failures >= FREE_ATTEMPTS && attempt.lastFailureAt) {
+      const delaySeconds = Math.min(2 ** (attempt.failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+      waitMs = Math.max(waitMs, attempt.lastFailureAt.getTime() + delaySeconds * 1000 - now);
+    }
+  }
+
+  return Math.ceil(waitMs / 1000);
+};
+
+/**
+ * Count a failure against a key, locking it once the policy limit is reached
+ * @param {string} key - Throttle key
+ * @param {Object} policy - { maxFailures, lockoutMinutes }
+ * @returns {Promise<void>}
+ */
+const recordFailure = async (key, policy) => {
+  const now = Date.now();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now + RECORD_TTL_MS) }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failures >= policy.maxFailures) {
+    const lockoutMs = policy.lockoutMinutes * 60 * 1000;
+    attempt.lockedUntil = new Date(now + lockoutMs);
+    attempt.failures = 0;
+    attempt.expiresAt = new Date(now + lockoutMs + RECORD_TTL_MS);
+    await attempt.save();
+    console.warn(`Throttle key ${key} locked for ${policy.lockoutMinutes} minutes`);
+  }
+};
+
+/**
+ * Seconds a login for this email/IP must wait
+ * @param {string} email - Email submitted by the client
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} - Seconds to wait, 0 if allowed
+ */
+const getLoginRetryAfter = (email, ip) => getRetryAfter([accountKey(email), ipKey(ip)]);
+
+/**
+ * Record a failed login (wrong password or second factor)
+ * @param {string} email - Email submitted by the client
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (email, ip) => {
+  await recordFailure(accountKey(email), POLICIES.account);
+  await recordFailure(ipKey(ip), POLICIES.ip);
+};
+
+/**
+ * Clear the failure count of an account after a successful login
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (email) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+/**
+ * Seconds a password reset request from this email/IP must wait
+ * @param {string} email - Email submitted by the client (optional)
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} - Seconds to wait, 0 if allowed
+ */
+const getResetRetryAfter = (email, ip) => {
+  const keys = [resetIpKey(ip)];
+  if (email) keys.push(resetAccountKey(email));
+  return getRetryAfter(keys);
+};
+
+/**
+ * Count a password reset request or a failed reset attempt
+ * @param {string} email - Email submitted by the client (optional)
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const recordResetAttempt = async (email, ip) => {
+  await recordFailure(resetIpKey(ip), POLICIES.reset);
+  if (email) {
+    await recordFailure(resetAccountKey(email), POLICIES.reset);
+  }
+};
+
+/**
+ * Lift a lockout on an account and optionally on an IP address
+ * @param {string} email - Account email
+ * @param {string} ip - Optional IP address to unlock too
+ * @returns {Promise<number>} - Number of throttle records cleared
+ */
+const unlock = async (email, ip) => {
+  const keys = [accountKey(email), resetAccountKey(email)];
+  if (ip) keys.push(ipKey(ip), resetIpKey(ip));
+
+  const result = await LoginAttempt.deleteMany({ key: { $in: keys } });
+  return result.deletedCount;
+};
+
+module.exports = {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getResetRetryAfter,
+  recordResetAttempt,
+  unlock
+};
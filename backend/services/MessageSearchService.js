@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const PermissionService = require('./PermissionService');
+const ConversationService = require('./ConversationService');
+
+const MAX_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+const MAX_QUERY_LENGTH = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a search the text index matched on: quoted phrases count as words,
+// negated terms ("-draft") are left out
+const searchTerms = (query) => {
+  const terms = [];
+  query.replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+    if (phrase) terms.push(phrase);
+    else if (!word.startsWith('-')) terms.push(word.replace(/"/g, ''));
+    return match;
+  });
+  return terms.filter(Boolean);
+};
+
+// The text index stems words, so "documents" also finds "document": highlight
+// words starting with the stem of each term
+const stem = (term) => (term.length > 4 ? term.replace(/(ing|ed|es|s)$/i, '') : term);
+
+/**
+ * Cut a snippet around the first match of a search and locate every match in it
+ * @param {string} content - Message content
+ * @param {string} query - Search as sent by the client
+ * @returns {Object} - { snippet, highlights } where highlights are [start, end]
+ *   offsets into the snippet
+ */
+const highlight = (content, query) => {
+  const terms = searchTerms(query).map(term => escapeRegex(term.includes(' ') ? term : stem(term)));
+  if (terms.length === 0) return { snippet: content.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+
+  const pattern = new RegExp(`\\b(?:${terms.join('|')})\\w*`, 'gi');
+  const first = pattern.exec(content);
+  pattern.lastIndex = 0;
+  const start = first ? Math.max(first.index - SNIPPET_RADIUS, 0) : 0;
+  const end = Math.min(start + SNIPPET_RADIUS * 2 + (first ? first[0].length : 0), content.length);
+
+  const snippet = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+  const highlights = [...snippet.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+
+  return { snippet, highlights };
+};
+
+/**
+ * The caller's own messages: those they sent or received, and those of the
+ * conversations they take part in. Applies to every role, so searching other
+ * people's messages always goes through the audited scope=all.
+ * @param {Object} user - Token payload
+ * @returns {Promise<Object>} - MongoDB filter
+ */
+const getVisibleMessagesFilter = async (user) => {
+  const conversationIds = await Conversation.find({ 'participants.user': user.id }).distinct('_id');
+
+  return {
+    $or: [
+      { sender: user.id },
+      { recipient: user.id },
+      { conversation: { $in: conversationIds } }
+    ]
+  };
+};
+
+/**
+ * Turn search filters into MongoDB conditions
+ *   counterpart            - user the messages were exchanged with
+ *   from, to               - date range of created_at
+ *   hasAttachments         - true or false
+ *   recordType, recordId   - service record the conversation is about
+ *   conversationId         - one conversation
+ * @param {Object} filters - Query string filters
+ * @param {Object} user - Token payload
+ * @param {boolean} allMessages - Whether the search covers everyone's messages
+ * @returns {Promise<Object>} - { conditions, errors }
+ */
+const buildFilters = async (filters, user, allMessages) => {
+  const conditions = [];
+  const errors = [];
+  const isId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+  if (filters.counterpart) {
+    if (!isId(filters.counterpart)) {
+      errors.push('counterpart must be a user ID');
+    } else {
+      const other = filters.counterpart;
+      // Across all messages, anything the person sent, received or took part in
+      const shared = await Conversation.find({
+        'participants.user': allMessages ? other : { $all: [user.id, other] }
+      }).distinct('_id');
+
+      conditions.push({
+        $or: allMessages
+          ? [{ sender: other }, { recipient: other }, { conversation: { $in: shared } }]
+          : [{ sender: other, recipient: user.id }, { sender: user.id, recipient: other }, { conversation: { $in: shared } }]
+      });
+    }
+  }
+
+  const range = {};
+  [['from', '$gte'], ['to', '$lte']].forEach(([name, operator]) => {
+    if (filters[name] === undefined) return;
+    const date = new Date(filters[name]);
+    if (isNaN(date)) errors.push(`Invalid date for ${name}`);
+    range[operator] = date;
+  });
+  if (Object.keys(range).length > 0) conditions.push({ created_at: range });
+
+  if (filters.hasAttachments !== undefined) {
+    if (!['true', 'false'].includes(filters.hasAttachments)) {
+      errors.push('hasAttachments must be true or false');
+    }
+    conditions.push(filters.hasAttachments === 'true'
+      ? { 'attachments.0': { $exists: true } }
+      : { 'attachments.0': { $exists: false } });
+  }
+
+  if (filters.recordType || filters.recordId) {
+    const recordFilter = {};
+    if (filters.recordType) {
+      if (!ConversationService.CONVERSATION_RECORDS[filters.recordType]) {
+        errors.push(`recordType must be one of: ${Object.keys(ConversationService.CONVERSATION_RECORDS).join(', ')}`);
+      }
+      recordFilter['record.type'] = filters.recordType;
+    }
+    if (filters.recordId) {
+      if (!isId(filters.recordId)) errors.push('recordId must be a record ID');
+      recordFilter['record.id'] = filters.recordId;
+    }
+    if (errors.length === 0) {
+      conditions.push({ conversation: { $in: await Conversation.find(recordFilter).distinct('_id') } });
+    }
+  }
+
+  if (filters.conversationId) {
+    if (!isId(filters.conversationId)) errors.push('conversationId must be a conversation ID');
+    conditions.push({ conversation: filters.conversationId });
+  }
+
+  return { conditions, errors };
+};
+
+/**
+ * Full-text search over messages, best matches first
+ * @param {Object} user - Token payload
+ * @param {Object} params - { q, scope, page, limit, ...filters } from the query
+ *   string; scope 'all' searches everyone's messages and needs message:viewAll
+ * @returns {Promise<Object>} - { errors } or { forbidden } or
+ *   { results, total, page, limit, allMessages }
+ */
+const searchMessages = async (user, { q, scope, page, limit, ...filters }) => {
+  if (typeof q !== 'string' || !q.trim()) {
+    return { errors: ['Search text (q) is required'] };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { errors: [`Search text must be at most ${MAX_QUERY_LENGTH} characters`] };
+  }
+
+  const allMessages = scope === 'all';
+  if (allMessages && !await PermissionService.can(user, 'message:viewAll')) {
+    return { forbidden: true };
+  }
+
+  const { conditions, errors } = await buildFilters(filters, user, allMessages);
+  if (errors.length > 0) return { errors };
+
+  if (!allMessages) {
+    conditions.unshift(await getVisibleMessagesFilter(user));
+    conditions.push({ deletedFor: { $ne: user.id } });
+  }
+
+  const filter = { $text: { $search: q } };
+  if (conditions.length > 0) filter.$and = conditions;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+
+  const [messages, total] = await Promise.all([
+    Message.find(filter, { score: { $meta: 'textScore' } })
+      .populate('sender', 'username email avatar')
+      .populate('recipient', 'username email avatar')
+      .populate('conversation', 'type title record')
+      .sort({ score: { $meta: 'textScore' }, created_at: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Message.countDocuments(filter)
+  ]);
+
+  const results = messages.map(message => ({
+    message,
+    ...highlight(message.content, q)
+  }));
+
+  return { results, total, page: pageNumber, limit: pageSize, allMessages };
+};
+
+module.exports = {
+  highlight,
+  searchMessages
+};
@@ -23,23 +23,38 @@ const createMessageValidator = [
     .isString().withMessage('Message content must be a string')
     .isLength({ min: 1, max: 2000 }).withMessage('Message content must be between 1 and 2000 characters'),
   
+  // Attachments are only added through the upload endpoint, never as URLs
   body('attachments')
-    .optional()
-    .isArray().withMessage('Attachments must be an array'),
+    .not().exists().withMessage('Attachments must be uploaded, not sent in the message body'),
   
   validate
 ];
 
-// Validation for adding an attachment
-const attachmentValidator = [
-  body('attachmentUrl')
-    .notEmpty().withMessage('Attachment URL is required')
-    .isURL().withMessage('Invalid URL format'),
-  
+// Validation for a message sent to a conversation
+const conversationMessageValidator = [
+  body('content')
+    .notEmpty().withMessage('Message content is required')
+    .isString().withMessage('Message content must be a string')
+    .isLength({ min: 1, max: 2000 }).withMessage('Message content must be between 1 and 2000 characters'),
+
+  body('attachments')
+    .not().exists().withMessage('Attachments must be uploaded, not sent in the message body'),
+
+  validate
+];
+
+// Validation for editing a message
+const editMessageValidator = [
+  body('content')
+    .notEmpty().withMessage('Message content is required')
+    .isString().withMessage('Message content must be a string')
+    .isLength({ min: 1, max: 2000 }).withMessage('Message content must be between 1 and 2000 characters'),
+
   validate
 ];
 
 module.exports = {
   createMessageValidator,
-  attachmentValidator
+  conversationMessageValidator,
+  editMessageValidator
 };
\ No newline at end of file
@@ -0,0 +1,412 @@
+const RolePermission = require('../models/RolePermission');
+
+const ROLES = ['USER', 'AGENT', 'SUPPORT', 'ADMIN'];
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+// How a user relates to a record of each resource type. A grant such as
+// 'visa:update:assigned' only applies when the user is referenced by one of
+// the fields listed under that scope.
+const RESOURCE_SCOPES = {
+  visa: { own: ['applicant'], assigned: ['agent'] },
+  tax: { own: ['client'], assigned: ['taxProfessional'] },
+  insurance: { own: ['policyholder'], assigned: ['agent'] },
+  property: { own: ['owner'], assigned: ['agent'] },
+  ticket: { own: ['user'], assigned: ['assignedTo'] },
+  appointment: { own: ['client'], assigned: ['staff'] },
+  message: { own: ['sender', 'recipient'], sent: ['sender'], received: ['recipient'] },
+  conversation: { own: ['participants.user'] },
+  user: { own: ['_id'] },
+  note: { own: ['author'] },
+  cannedResponse: { own: ['owner'] },
+  ticketView: { own: ['owner'] },
+  settings: {},
+  permission: {},
+  audit: {}
+};
+
+// Every action the platform checks, with a short description for the admin UI
+const PERMISSIONS = {
+  'visa:viewAll': 'View every visa application',
+  'visa:view': 'View a visa application',
+  'visa:create': 'Submit a visa application',
+  'visa:createForOthers': 'Submit a visa application on behalf of another user',
+  'visa:update': 'Update a visa application',
+  'visa:manage': 'Edit every field of a visa application',
+  'visa:delete': 'Delete a visa application',
+  'visa:viewAssigned': 'List visa applications assigned to you',
+  'visa:changeStatus': 'Change the status of a visa application',
+  'visa:assign': 'Assign an agent to a visa application',
+  'visa:manageDocuments': 'Add or remove visa application documents',
+  'visa:viewStatistics': 'View visa statistics',
+  'visa:viewSensitive': 'See full passport numbers in visa application lists',
+
+  'tax:viewAll': 'View every tax case',
+  'tax:view': 'View a tax case',
+  'tax:create': 'Open a tax case',
+  'tax:createForOthers': 'Open a tax case on behalf of another user',
+  'tax:update': 'Update a tax case',
+  'tax:manage': 'Edit every field of a tax case',
+  'tax:delete': 'Delete a tax case',
+  'tax:viewAssigned': 'List tax cases assigned to you',
+  'tax:changeStatus': 'Change the status of a tax case',
+  'tax:assign': 'Assign a tax professional to a tax case',
+  'tax:manageDocuments': 'Add or remove tax case documents',
+  'tax:viewStatistics': 'View tax statistics',
+  'tax:viewSensitive': 'See unmasked income figures in tax case lists',
+
+  'insurance:viewAll': 'View every insurance policy',
+  'insurance:view': 'View an insurance policy',
+  'insurance:create': 'Create an insurance policy',
+  'insurance:createForOthers': 'Create an insurance policy on behalf of another user',
+  'insurance:update': 'Update an insurance policy',
+  'insurance:manage': 'Edit every field of an insurance policy',
+  'insurance:delete': 'Delete an insurance policy',
+  'insurance:changeStatus': 'Change the status of an insurance policy',
+  'insurance:assign': 'Assign an agent to an insurance policy',
+  'insurance:manageBeneficiaries': 'Add or remove policy beneficiaries',
+  'insurance:viewStatistics': 'View insurance statistics',
+  'insurance:viewSensitive': 'See unmasked beneficiary details in policy lists',
+
+  'property:viewAll': 'View every property listing, whatever its status',
+  'property:create': 'List a property',
+  'property:createForOthers': 'List a property on behalf of another owner',
+  'property:update': 'Update a property listing and its images',
+  'property:manage': 'Change the type and agent of a property listing',
+  'property:delete': 'Delete a property listing',
+  'property:changeStatus': 'Change the status of a property listing',
+  'property:assign': 'Assign an agent to a property listing',
+  'property:viewStatistics': 'View property statistics',
+
+  'ticket:viewAll': 'View every support ticket',
+  'ticket:view': 'View a support ticket',
+  'ticket:create': 'Open a support ticket',
+  'ticket:update': 'Edit the title, description and priority of an open ticket',
+  'ticket:manage': 'Edit every field of a ticket',
+  'ticket:delete': 'Delete a ticket',
+  'ticket:viewAssigned': 'List tickets assigned to you',
+  'ticket:assign': 'Assign a ticket to a staff member',
+  'ticket:changeStatus': 'Change the status of a ticket',
+  'ticket:close': 'Close a ticket',
+  'ticket:reply': 'Add a message to a ticket',
+  'ticket:viewStatistics': 'View ticket statistics',
+  'ticket:manageSla': 'Manage SLA policies and the business hours they are measured in',
+  'ticket:merge': 'Merge tickets of the same client into one',
+  'ticket:link': 'Link related tickets as duplicates, blockers or related',
+  'ticket:manageFields': 'Define the custom fields tickets of each category carry',
+  'ticket:bulkUpdate': 'Apply one change to many tickets at once',
+
+  'ticketView:create': 'Save ticket views',
+  'ticketView:update': 'Edit saved ticket views',
+  'ticketView:delete': 'Delete saved ticket views',
+  'ticketView:share': 'Share saved ticket views with the team and use those others share',
+
+  'appointment:viewAll': 'View every appointment',
+  'appointment:view': 'View an appointment',
+  'appointment:create': 'Request an appointment',
+  'appointment:update': 'Update an appointment',
+  'appointment:cancel': 'Cancel an appointment',
+  'appointment:viewAssigned': 'List appointments you are staffing',
+  'appointment:reassign': 'Reassign an appointment to another staff member',
+  'appointment:changeStatus': 'Change the status of an appointment',
+  'appointment:viewStatistics': 'View appointment statistics',
+
+  'message:viewAll': 'View every message',
+  'message:view': 'View a message',
+  'message:create': 'Send a message',
+  'message:markRead': 'Mark a message as read',
+  'message:edit': 'Edit a message within the edit window',
+  'message:delete': 'Delete a message',
+  'message:attach': 'Add attachments to a message',
+  'message:viewStatistics': 'View message statistics',
+  'message:viewHistory': 'View the edit history and deleted content of messages',
+
+  'conversation:viewAll': 'View every conversation',
+  'conversation:view': 'View a conversation and its messages',
+  'conversation:create': 'Start a direct conversation',
+  'conversation:createGroup': 'Start a group conversation or one about a service record',
+  'conversation:manageParticipants': 'Add or remove conversation participants',
+
+  'note:view': 'Read internal staff notes on records you can access',
+  'note:create': 'Add internal staff notes to records you can access',
+  'note:update': 'Edit internal staff notes',
+  'note:delete': 'Delete internal staff notes',
+
+  'cannedResponse:view': 'Use shared canned responses and your own personal ones',
+  'cannedResponse:create': 'Create personal canned responses',
+  'cannedResponse:update': 'Edit personal canned responses',
+  'cannedResponse:delete': 'Delete personal canned responses',
+  'cannedResponse:manageShared': 'Create, edit and delete the shared canned response library',
+
+  'user:list': 'List users of the platform',
+  'user:viewAll': 'View full user records',
+  'user:update': 'Update any user, including role and admin status',
+  'user:delete': 'Delete users',
+  'user:manageSecurity': 'Reset two-factor authentication and unlock accounts',
+  'user:impersonate': 'Sign in as another user to see what they see',
+  'user:invite': 'Invite staff members and manage pending invitations',
+  'user:approveErasure': 'Review and carry out personal data erasure requests',
+  'user:viewStatistics': 'View user statistics',
+
+  'settings:manage': 'Change platform security policies',
+  'permission:manage': 'View and customise role permissions',
+  'audit:view': 'Search the audit log and entity change history'
+};
+
+const USER_PERMISSIONS = [
+  'visa:view:own', 'visa:create', 'visa:update:own', 'visa:delete:own', 'visa:manageDocuments:own',
+  'visa:viewSensitive:own',
+  'tax:view:own', 'tax:create', 'tax:update:own', 'tax:delete:own', 'tax:manageDocuments:own',
+  'tax:viewSensitive:own',
+  'insurance:view:own', 'insurance:create', 'insurance:update:own', 'insurance:manageBeneficiaries:own',
+  'insurance:viewSensitive:own',
+  'property:create', 'property:update:own', 'property:manage:own', 'property:delete:own',
+  'property:changeStatus:own', 'property:assign:own',
+  'ticket:view:own', 'ticket:create', 'ticket:update:own', 'ticket:close:own', 'ticket:reply:own',
+  'ticketView:create', 'ticketView:update:own', 'ticketView:delete:own',
+  'appointment:view:own', 'appointment:view:assigned', 'appointment:create', 'appointment:update:assigned',
+  'appointment:cancel:own', 'appointment:cancel:assigned', 'appointment:changeStatus:assigned',
+  'message:view:own', 'message:create', 'message:markRead:received', 'message:edit:sent', 'message:delete:sent',
+  'message:attach:sent',
+  'conversation:view:own', 'conversation:create',
+  'user:list'
+];
+
+// Reproduces the access rules the controllers enforced before permissions
+// became configurable. ADMIN always holds every permission.
+const DEFAULT_ROLE_PERMISSIONS = {
+  USER: USER_PERMISSIONS,
+  AGENT: [
+    ...USER_PERMISSIONS,
+    'visa:viewAll', 'visa:createForOthers', 'visa:update:assigned', 'visa:manage',
+    'visa:viewAssigned', 'visa:changeStatus', 'visa:manageDocuments',
+    'insurance:viewAll', 'insurance:createForOthers', 'insurance:update:assigned', 'insurance:manage',
+    'insurance:changeStatus',
+    'property:createForOthers', 'property:update:assigned', 'property:changeStatus:assigned',
+    'ticket:view:assigned', 'ticket:viewAssigned', 'ticket:manage:assigned',
+    'ticket:changeStatus:assigned', 'ticket:reply:assigned',
+    'ticket:merge:assigned', 'ticket:link:assigned', 'ticketView:share',
+    'appointment:viewAssigned',
+    'note:view', 'note:create', 'note:update:own', 'note:delete:own',
+    'cannedResponse:view', 'cannedResponse:create', 'cannedResponse:update:own', 'cannedResponse:delete:own',
+    'conversation:createGroup', 'conversation:manageParticipants:own'
+  ],
+  SUPPORT: [
+    ...USER_PERMISSIONS,
+    'tax:viewAll', 'tax:createForOthers', 'tax:update', 'tax:manage',
+    'tax:viewAssigned', 'tax:changeStatus', 'tax:manageDocuments',
+    'ticket:viewAll', 'ticket:manage', 'ticket:viewAssigned', 'ticket:assign',
+    'ticket:changeStatus', 'ticket:reply', 'ticket:viewStatistics',
+    'ticket:merge', 'ticket:link', 'ticket:bulkUpdate', 'ticketView:share',
+    'appointment:viewAssigned',
+    'note:view', 'note:create', 'note:update:own', 'note:delete:own',
+    'cannedResponse:view', 'cannedResponse:create', 'cannedResponse:update:own', 'cannedResponse:delete:own',
+    'cannedResponse:manageShared',
+    'conversation:createGroup', 'conversation:manageParticipants:own',
+    'message:viewHistory',
+    'user:viewAll'
+  ],
+  ADMIN: ['*']
+};
+
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+/**
+ * Check that a permission string names a known action and, if scoped, a scope
+ * defined for its resource
+ * @param {string} permission - e.g. 'visa:update' or 'visa:update:assigned'
+ * @returns {boolean} - True if the permission can be granted
+ */
+const isValidPermission = (permission) => {
+  if (permission === '*') return true;
+  if (typeof permission !== 'string') return false;
+
+  const [resource, action, scope, ...rest] = permission.split(':');
+  if (rest.length > 0 || !PERMISSIONS[`${resource}:${action}`]) return false;
+
+  return scope === undefined || Boolean(RESOURCE_SCOPES[resource]?.[scope]);
+};
+
+/**
+ * Load the effective role → permissions mapping, applying stored overrides
+ * on top of the defaults. Cached briefly so checks don't hit the database.
+ * @returns {Promise<Object>} - Map of role to permission list
+ */
+const getRolePermissions = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const mapping = { ...DEFAULT_ROLE_PERMISSIONS };
+  const overrides = await RolePermission.find({ role: { $ne: 'ADMIN' } });
+  overrides.forEach(override => {
+    mapping[override.role] = override.permissions;
+  });
+
+  roleCache = mapping;
+  roleCacheLoadedAt = Date.now();
+  return mapping;
+};
+
+/**
+ * Replace the permission set of a role
+ * @param {string} role - Role to customise
+ * @param {Array} permissions - Permission strings
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Saved RolePermission document
+ */
+const setRolePermissions = async (role, permissions, userId) => {
+  const saved = await RolePermission.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], updated_by: userId, updated_at: Date.now() },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  roleCache = null;
+  return saved;
+};
+
+/**
+ * Drop a role's customisation so it falls back to the defaults
+ * @param {string} role - Role to reset
+ * @returns {Promise<void>}
+ */
+const resetRolePermissions = async (role) => {
+  await RolePermission.deleteOne({ role });
+  roleCache = null;
+};
+
+/**
+ * Get the permissions granted to the authenticated user
+ * @param {Object} user - Token payload ({ id, role, isAdmin })
+ * @returns {Promise<Array>} - Permission strings
+ */
+const getUserPermissions = async (user) => {
+  if (!user) return [];
+
+  const role = user.isAdmin ? 'ADMIN' : user.role;
+  const mapping = await getRolePermissions();
+  return mapping[role] || [];
+};
+
+// Normalise a reference that may be an ObjectId, a populated document or null
+const refId = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+// Values at a field path, following arrays, e.g. 'participants.user'
+const valuesAt = (resource, path) => path.split('.').reduce(
+  (values, key) => values.flatMap(value => (value == null ? [] : [].concat(value[key] ?? []))),
+  [resource]
+);
+
+/**
+ * Check whether a user stands in the given relation to a record
+ * @param {Object} user - Token payload
+ * @param {string} resourceType - Resource type, e.g. 'visa'
+ * @param {string} scope - Scope name, e.g. 'own'
+ * @param {Object} resource - Record being accessed
+ * @returns {boolean} - True if the relation holds
+ */
+const isInScope = (user, resourceType, scope, resource) => {
+  const fields = RESOURCE_SCOPES[resourceType]?.[scope];
+  if (!fields || !resource) return false;
+
+  const userId = String(user.id);
+  return fields.some(field => valuesAt(resource, field).some(value => refId(value) === userId));
+};
+
+/**
+ * Decide whether a user may perform an action, optionally on a specific record.
+ * Unscoped grants allow the action on any record; scoped grants (e.g.
+ * 'visa:update:assigned') only when the user is related to the record.
+ * @param {Object} user - Token payload ({ id, role, isAdmin })
+ * @param {string} action - Permission name, e.g. 'visa:changeStatus'
+ * @param {Object} resource - Optional record the action targets
+ * @returns {Promise<boolean>} - True if allowed
+ */
+const can = async (user, action, resource) => {
+  const permissions = await getUserPermissions(user);
+
+  if (permissions.includes('*') || permissions.includes(action)) {
+    return true;
+  }
+
+  if (!resource) return false;
+
+  const resourceType = action.split(':')[0];
+  return permissions
+    .filter(permission => permission.startsWith(`${action}:`))
+    .some(permission => isInScope(user, resourceType, permission.slice(action.length + 1), resource));
+};
+
+/**
+ * Check whether a user holds an action in any scope. Used to gate routes
+ * before the record is loaded; controllers then call can() with the record.
+ * @param {Object} user - Token payload
+ * @param {string} action - Permission name
+ * @returns {Promise<boolean>} - True if any grant exists
+ */
+const hasAnyGrant = async (user, action) => {
+  const permissions = await getUserPermissions(user);
+  return permissions.includes('*') ||
+    permissions.some(permission => permission === action || permission.startsWith(`${action}:`));
+};
+
+/**
+ * Build a MongoDB filter matching the records a user may perform an action on
+ * @param {Object} user - Token payload
+ * @param {string} action - Permission name
+ * @returns {Promise<Object|null>} - {} for unrestricted access, a filter for
+ *   scoped access, or null if the user holds no grant at all
+ */
+const getScopeFilter = async (user, action) => {
+  const permissions = await getUserPermissions(user);
+
+  if (permissions.includes('*') || permissions.includes(action)) {
+    return {};
+  }
+
+  const resourceType = action.split(':')[0];
+  const fields = new Set();
+  permissions
+    .filter(permission => permission.startsWith(`${action}:`))
+    .forEach(permission => {
+      const scope = permission.slice(action.length + 1);
+      (RESOURCE_SCOPES[resourceType]?.[scope] || []).forEach(field => fields.add(field));
+    });
+
+  if (fields.size === 0) return null;
+
+  return { $or: [...fields].map(field => ({ [field]: user.id })) };
+};
+
+/**
+ * Mask the encrypted fields of every record the user may not see in full
+ * @param {Object} user - Token payload
+ * @param {string} action - "view sensitive" permission, e.g. 'visa:viewSensitive'
+ * @param {Array<Object>} records - Documents of a model using the encryptedFields plugin
+ * @returns {Promise<Array<Object>>} - Documents as they are, or their masked JSON
+ */
+const maskSensitive = async (user, action, records) => {
+  return Promise.all(records.map(async record => {
+    return await can(user, action, record) ? record : record.toMaskedJSON();
+  }));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  RESOURCE_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+  getRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  getUserPermissions,
+  can,
+  hasAnyGrant,
+  getScopeFilter,
+  maskSensitive
+};
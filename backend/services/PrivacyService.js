@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Visa = require('../models/Visa');
+const Tax = require('../models/Tax');
+const Insurance = require('../models/Insurance');
+const RealEstate = require('../models/RealEstate');
+const Ticket = require('../models/Ticket');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Appointment = require('../models/Appointment');
+const SatisfactionSurvey = require('../models/SatisfactionSurvey');
+const Attachment = require('../models/Attachment');
+const SessionService = require('./SessionService');
+const UploadService = require('./UploadService');
+const InternalNoteService = require('./InternalNoteService');
+const ConversationService = require('./ConversationService');
+const AttachmentService = require('./AttachmentService');
+
+// Records that have to survive an erasure. They are kept as they are and stay
+// linked to the anonymised account; everything else the user owns is deleted.
+//   Tax cases              - tax filings fall under statutory retention
+//   Insurance (not PENDING) - issued policies are contracts
+//   Properties SOLD/RENTED  - completed transactions
+//   Audit log               - append-only by design
+const RETAINED_INSURANCE_STATUSES = ['ACTIVE', 'EXPIRED', 'CANCELLED'];
+const RETAINED_PROPERTY_STATUSES = ['SOLD', 'RENTED'];
+
+/**
+ * Gather everything held about a user, one entry per domain
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Records keyed by domain
+ */
+const collectUserData = async (userId) => {
+  const [
+    profile,
+    visaApplications,
+    taxCases,
+    insurancePolicies,
+    properties,
+    tickets,
+    messages,
+    conversations,
+    appointments,
+    satisfactionSurveys
+  ] = await Promise.all([
+    User.findById(userId).select('-password').lean(),
+    // Not lean: the model getters decrypt the encrypted fields
+    Visa.find({ applicant: userId }),
+    Tax.find({ client: userId }),
+    Insurance.find({ policyholder: userId }),
+    RealEstate.find({ owner: userId }).lean(),
+    Ticket.find({ user: userId }).lean(),
+    Message.find({ $or: [{ sender: userId }, { recipient: userId }] }).lean(),
+    Conversation.find({ 'participants.user': userId }).lean(),
+    Appointment.find({ client: userId }).lean(),
+    SatisfactionSurvey.find({ user: userId }).lean()
+  ]);
+
+  return {
+    profile,
+    visaApplications,
+    taxCases,
+    insurancePolicies,
+    properties,
+    tickets,
+    messages,
+    conversations,
+    appointments,
+    satisfactionSurveys
+  };
+};
+
+/**
+ * List the files a user is known to have uploaded. Only upload records count:
+ * document, image and avatar URLs are free text and may point at anyone's file.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - { filePath, name } per file, name relative to the export
+ */
+const collectUploadedFiles = async (userId) => {
+  const [user, attachments] = await Promise.all([
+    User.findById(userId).select('+avatarFiles').lean(),
+    Attachment.find({ uploader: userId }).lean()
+  ]);
+
+  const avatars = (user?.avatarFiles || []).map(fileName => ({
+    filePath: path.join(UploadService.avatarsDir, path.basename(fileName)),
+    name: `avatars/${path.basename(fileName)}`
+  }));
+
+  return [
+    ...avatars,
+    ...attachments.map(attachment => ({
+      filePath: AttachmentService.getPath(attachment),
+      name: `attachments/${attachment.fileName}`
+    }))
+  ];
+};
+
+/**
+ * Stream a ZIP export of a user's data: one JSON file per domain plus the
+ * uploaded files themselves under files/
+ * @param {string} userId - User ID
+ * @param {Object} output - Writable stream, e.g. the Express response
+ * @returns {Promise<Object>} - { files, missingFiles } counts
+ */
+const writeExport = async (userId, output) => {
+  const data = await collectUserData(userId);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+
+  Object.entries(data).forEach(([domain, records]) => {
+    archive.append(JSON.stringify(records, null, 2), { name: `${domain}.json` });
+  });
+
+  const missingFiles = [];
+  let files = 0;
+  (await collectUploadedFiles(userId)).forEach(({ filePath, name }) => {
+    if (fs.existsSync(filePath)) {
+      archive.file(filePath, { name: `files/${name}` });
+      files++;
+    } else {
+      missingFiles.push(name);
+    }
+  });
+
+  archive.append(JSON.stringify({
+    generatedAt: new Date(),
+    user: userId,
+    files,
+    missingFiles
+  }, null, 2), { name: 'manifest.json' });
+
+  await archive.finalize();
+  await finished;
+
+  return { files, missingFiles: missingFiles.length };
+};
+
+/**
+ * Erase a user's personal data across every model. Records we must retain
+ * are kept but only point to the anonymised account afterwards.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Summary of deleted, retained and anonymised records
+ */
+const eraseUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Files are only removed through upload records, never through the URLs
+  // stored on visa, insurance or property records
+  const summary = {};
+
+  const visaApplications = await Visa.find({ applicant: userId });
+  summary.visaApplications = {
+    deleted: (await Visa.deleteMany({ applicant: userId })).deletedCount
+  };
+
+  summary.taxCases = {
+    retained: await Tax.countDocuments({ client: userId })
+  };
+
+  const pendingPolicies = { policyholder: userId, status: { $nin: RETAINED_INSURANCE_STATUSES } };
+  const removablePolicies = await Insurance.find(pendingPolicies);
+  summary.insurancePolicies = {
+    deleted: (await Insurance.deleteMany(pendingPolicies)).deletedCount,
+    retained: await Insurance.countDocuments({ policyholder: userId })
+  };
+
+  const openProperties = { owner: userId, status: { $nin: RETAINED_PROPERTY_STATUSES } };
+  const removableProperties = await RealEstate.find(openProperties);
+  summary.properties = {
+    deleted: (await RealEstate.deleteMany(openProperties)).deletedCount,
+    retained: await RealEstate.countDocuments({ owner: userId })
+  };
+
+  const tickets = await Ticket.find({ user: userId });
+  summary.tickets = {
+    deleted: (await Ticket.deleteMany({ user: userId })).deletedCount
+  };
+
+  // Only what the user sent is theirs to erase; messages they received belong
+  // to the sender and just lose the link to the erased account
+  const sentMessages = await Message.find({ sender: userId }).select('_id');
+  summary.messages = {
+    deleted: (await Message.deleteMany({ sender: userId })).deletedCount,
+    unlinked: (await Message.updateMany({ recipient: userId }, { $unset: { recipient: 1 } })).modifiedCount
+  };
+  await Message.updateMany({ deletedFor: userId }, { $pull: { deletedFor: userId } });
+
+  // Leave every conversation; previews of deleted messages go with them
+  const conversationIds = (await Conversation.find({ 'participants.user': userId }).select('_id'))
+    .map(conversation => conversation._id);
+  await Conversation.updateMany(
+    { _id: { $in: conversationIds } },
+    { $pull: { participants: { user: userId } } }
+  );
+  for (const conversationId of conversationIds) {
+    await ConversationService.refreshLastMessage(conversationId);
+  }
+  summary.conversations = {
+    left: conversationIds.length,
+    deleted: (await Conversation.deleteMany({ _id: { $in: conversationIds }, participants: { $size: 0 } })).deletedCount
+  };
+
+  summary.appointments = {
+    deleted: (await Appointment.deleteMany({ client: userId })).deletedCount
+  };
+
+  summary.satisfactionSurveys = {
+    deleted: (await SatisfactionSurvey.deleteMany({ user: userId })).deletedCount
+  };
+
+  // Staff notes go with the records they were written about
+  summary.internalNotes = {
+    deleted: (await InternalNoteService.deleteNotesFor('Visa', visaApplications.map(visa => visa._id))) +
+      (await InternalNoteService.deleteNotesFor('Insurance', removablePolicies.map(policy => policy._id))) +
+      (await InternalNoteService.deleteNotesFor('RealEstate', removableProperties.map(property => property._id))) +
+      (await InternalNoteService.deleteNotesFor('Ticket', tickets.map(ticket => ticket._id)))
+  };
+
+  // Files and records of the attachments on the deleted tickets and messages
+  summary.attachments = {
+    deleted: (await AttachmentService.deleteAttachmentsFor('Ticket', tickets.map(ticket => ticket._id))) +
+      (await AttachmentService.deleteAttachmentsFor('Message', sentMessages.map(message => message._id)))
+  };
+
+  // The account itself stays so retained records keep a valid reference
+  const { avatarFiles } = await User.findById(userId).select('+avatarFiles').lean();
+  summary.avatarFiles = {
+    deleted: (avatarFiles || []).filter(fileName =>
+      UploadService.deleteFile(path.join(UploadService.avatarsDir, path.basename(fileName)))
+    ).length
+  };
+
+  const placeholder = `erased-${user._id}`;
+  user.username = placeholder;
+  user.email = `${placeholder}@erased.invalid`;
+  // Not a bcrypt hash, so no password can ever match it
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.address = undefined;
+  user.phone = undefined;
+  user.avatar = undefined;
+  user.avatarFiles = undefined;
+  user.preferences = undefined;
+  user.lastLogin = undefined;
+  user.lastSeenAt = undefined;
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  user.emailVerificationSentAt = undefined;
+  user.passwordResetTokenId = undefined;
+  user.twoFactor = { enabled: false };
+  user.erasedAt = Date.now();
+  await user.save();
+
+  summary.sessionsRevoked = await SessionService.revokeUserSessions(user._id, 'ACCOUNT_DELETED');
+
+  return summary;
+};
+
+module.exports = {
+  collectUserData,
+  writeExport,
+  eraseUserData
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const JwtService = require('./JwtService');
+
+const generateTokenId = () => crypto.randomBytes(16).toString('hex');
+
+// SocketService requires this module, so it is only loaded once it is needed
+const disconnectSessions = (sessionIds) => {
+  const SocketService = require('./SocketService');
+  sessionIds.forEach(sessionId => SocketService.disconnectSession(sessionId));
+};
+
+/**
+ * Build the access token payload for a user bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {Object} - Access token payload
+ */
+const buildAccessPayload = (user, session) => ({
+  id: user._id,
+  role: user.role,
+  isAdmin: user.isAdmin,
+  sessionId: session._id
+});
+
+/**
+ * Sign an access/refresh token pair for the session's current token ID
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {Promise<Object>} - { accessToken, refreshToken }
+ */
+const signTokens = async (user, session) => {
+  const accessToken = await JwtService.generalAccessToken(buildAccessPayload(user, session));
+  const refreshToken = await JwtService.generalRefreshToken({
+    id: user._id,
+    sessionId: session._id,
+    tokenId: session.tokenId
+  });
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const ttlMs = JwtService.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  const session = await Session.create({
+    user: user._id,
+    tokenId: generateTokenId(),
+    deviceName: req.body?.deviceName,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  const tokens = await signTokens(user, session);
+  return { ...tokens, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a refresh token that has already been rotated revokes the session.
+ * The rotation is a single conditional update, so of two requests racing with
+ * the same token only one wins; the other counts as reuse.
+ * @param {string} refreshToken - Refresh token sent by the client
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @returns {Promise<Object>} - { status, accessToken, refreshToken } or { status: 'ERROR', message }
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = await JwtService.verifyToken(refreshToken, process.env.REFRESH_TOKEN);
+  } catch (err) {
+    return { status: 'ERROR', message: 'Invalid refresh token' };
+  }
+
+  const { sessionId, tokenId } = decoded.payload || {};
+  if (!sessionId || !tokenId) {
+    return { status: 'ERROR', message: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { status: 'ERROR', message: 'Session has expired or been revoked' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'ACCOUNT_DELETED');
+    return { status: 'ERROR', message: 'Session has expired or been revoked' };
+  }
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenId, revokedAt: { $exists: false } },
+    {
+      tokenId: generateTokenId(),
+      lastUsedAt: Date.now(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'] || session.userAgent
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'TOKEN_REUSE');
+    console.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+    return { status: 'ERROR', message: 'Refresh token has already been used' };
+  }
+
+  const tokens = await signTokens(user, rotated);
+  return { status: 'Success', ...tokens };
+};
+
+/**
+ * Check whether a session is still usable, i.e. neither revoked nor expired.
+ * Access tokens carry their session ID so revoking the session ends them too.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - True if the session is active
+ */
+const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(String(sessionId))) return false;
+
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+/**
+ * Revoke a single session and close the connections opened with it
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {string} userId - Optional owner ID; the session is only revoked if it belongs to this user
+ * @returns {Promise<Object|null>} - Revoked session, or null if no active session matched
+ */
+const revokeSession = async (sessionId, reason, userId) => {
+  const filter = { _id: sessionId, revokedAt: { $exists: false } };
+  if (userId) {
+    filter.user = userId;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    filter,
+    { revokedAt: Date.now(), revokedReason: reason },
+    { new: true }
+  );
+
+  if (session) disconnectSessions([session._id]);
+  return session;
+};
+
+/**
+ * Revoke every active session of a user and close the connections opened with them
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const revokedAt = new Date();
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt, revokedReason: reason }
+  );
+
+  // The shared timestamp picks out exactly the sessions revoked here
+  if (result.modifiedCount > 0) {
+    disconnectSessions(await Session.find({ user: userId, revokedAt }).distinct('_id'));
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Active sessions
+ */
+const getActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  })
+    .select('-tokenId')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions
+};
@@ -0,0 +1,63 @@
+const Setting = require('../models/Setting');
+
+// Values used until an admin saves a setting
+const SETTING_DEFAULTS = {
+  twoFactorRequiredRoles: [],
+  emailVerificationRequired: true,
+  // Business hours SLA targets are counted in. days uses 0 = Sunday; hours are
+  // in the timezone utcOffsetMinutes away from UTC
+  slaBusinessHours: {
+    days: [1, 2, 3, 4, 5],
+    startHour: 9,
+    endHour: 17,
+    utcOffsetMinutes: 0
+  },
+  // How new tickets are routed to staff. maxOpenTickets of 0 means no cap
+  ticketAssignment: {
+    strategy: 'LEAST_LOADED',
+    maxOpenTickets: 0
+  },
+  // Tickets waiting on the customer: reminders after each of reminderAfterDays,
+  // then closeStatus after closeAfterDays. A customer reply within
+  // reopenWithinDays of the automatic close reopens the ticket (0 never does)
+  ticketAutoClose: {
+    enabled: true,
+    reminderAfterDays: [3, 7],
+    closeAfterDays: 14,
+    closeStatus: 'RESOLVED',
+    reopenWithinDays: 30
+  }
+};
+
+/**
+ * Read a platform setting
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting has never been saved
+ * @returns {Promise<*>} - Stored value or the default
+ */
+const getSetting = async (key, defaultValue = SETTING_DEFAULTS[key]) => {
+  const setting = await Setting.findOne({ key });
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+/**
+ * Create or replace a platform setting
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<*>} - Saved value
+ */
+const setSetting = async (key, value, userId) => {
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { value, updated_by: userId, updated_at: Date.now() },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return setting.value;
+};
+
+module.exports = {
+  getSetting,
+  setSetting
+};
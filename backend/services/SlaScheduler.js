@@ -0,0 +1,116 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const SlaService = require('./SlaService');
+
+const TARGETS = {
+  firstResponse: 'first response',
+  resolution: 'resolution'
+};
+
+// Staff to tell about a ticket: its assignee, or every support agent and admin
+const getStaffRecipients = async (ticket) => {
+  if (ticket.assignedTo) {
+    const assignee = await User.findById(ticket.assignedTo);
+    if (assignee) return [assignee];
+  }
+  return User.find({ role: { $in: ['SUPPORT', 'ADMIN'] } });
+};
+
+// Escalate a breached ticket as its policy prescribes and tell everyone involved
+const escalate = async (ticket, target) => {
+  const policy = ticket.sla.policy;
+  const actions = [];
+
+  if (policy.escalation?.raisePriority && ticket.priority !== SlaService.raisePriority(ticket.priority)) {
+    ticket.priority = SlaService.raisePriority(ticket.priority);
+    actions.push(`priority raised to ${ticket.priority}`);
+  }
+
+  const reassignTo = policy.escalation?.reassignTo;
+  if (reassignTo && (!ticket.assignedTo || ticket.assignedTo.toString() !== reassignTo.toString())) {
+    ticket.assignedTo = reassignTo;
+    actions.push('reassigned');
+  }
+
+  ticket.sla.escalationLevel = (ticket.sla.escalationLevel || 0) + 1;
+  ticket.sla.lastEscalatedAt = Date.now();
+  ticket.messages.push({
+    system: true,
+    content: `SLA ${TARGETS[target]} target breached${actions.length > 0 ? `: ${actions.join(', ')}` : ''}`,
+    timestamp: Date.now()
+  });
+  ticket.updated_at = Date.now();
+
+  const recipients = await getStaffRecipients(ticket);
+  const watchers = await User.find({ _id: { $in: policy.escalation?.notify || [] } });
+  const seen = new Set();
+  const everyone = [...recipients, ...watchers].filter(user => {
+    const key = user._id.toString();
+    return seen.has(key) ? false : seen.add(key);
+  });
+
+  return { recipients: everyone, actions };
+};
+
+/**
+ * Flag tickets that are nearing or past their SLA targets and escalate the
+ * breached ones. This function should be scheduled to run periodically
+ * (e.g., every few minutes)
+ */
+const checkTicketSlas = async () => {
+  try {
+    const now = new Date();
+
+    // Open tickets with at least one running target whose warning point has passed
+    const tickets = await Ticket.find({
+      status: { $nin: SlaService.CLOSED_STATUSES },
+      'sla.policy': { $exists: true },
+      $or: [
+        { 'sla.firstResponseState': { $in: ['ON_TRACK', 'AT_RISK'] }, 'sla.firstResponseWarningAt': { $lte: now } },
+        { 'sla.resolutionState': { $in: ['ON_TRACK', 'AT_RISK'] }, 'sla.resolutionWarningAt': { $lte: now } }
+      ]
+    }).populate('sla.policy');
+
+    console.log(`Found ${tickets.length} tickets nearing or past their SLA targets`);
+
+    for (const ticket of tickets) {
+      try {
+        // The policy may have been deleted since the ticket was created
+        if (!ticket.sla.policy) continue;
+
+        for (const target of Object.keys(TARGETS)) {
+          const state = ticket.sla[`${target}State`];
+          if (!['ON_TRACK', 'AT_RISK'].includes(state)) continue;
+
+          if (ticket.sla[`${target}DueAt`] <= now) {
+            ticket.sla[`${target}State`] = 'BREACHED';
+            const { recipients, actions } = await escalate(ticket, target);
+            await ticket.save();
+
+            for (const recipient of recipients) {
+              await EmailService.notifySlaBreach(ticket, recipient, TARGETS[target], actions);
+            }
+            console.log(`Escalated ticket ${ticket._id} after breaching its ${TARGETS[target]} target`);
+          } else if (state === 'ON_TRACK' && ticket.sla[`${target}WarningAt`] <= now) {
+            ticket.sla[`${target}State`] = 'AT_RISK';
+            await ticket.save();
+
+            for (const recipient of await getStaffRecipients(ticket)) {
+              await EmailService.notifySlaAtRisk(ticket, recipient, TARGETS[target], ticket.sla[`${target}DueAt`]);
+            }
+            console.log(`Ticket ${ticket._id} is at risk of breaching its ${TARGETS[target]} target`);
+          }
+        }
+      } catch (error) {
+        console.error(`Error checking SLA for ticket ${ticket._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing ticket SLAs:', error);
+  }
+};
+
+module.exports = {
+  checkTicketSlas
+};
@@ -0,0 +1,194 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const SettingService = require('./SettingService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const CLOSED_STATUSES = ['RESOLVED', 'CLOSED'];
+const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+/**
+ * Add minutes to a date, counting only business hours
+ * @param {Date} start - Point to count from
+ * @param {number} minutes - Minutes to add
+ * @param {Object} hours - { days, startHour, endHour, utcOffsetMinutes }
+ * @returns {Date} - Resulting date
+ */
+const addBusinessMinutes = (start, minutes, hours) => {
+  // Without a usable working week the clock simply runs around the clock
+  if (!hours || !hours.days?.length || hours.endHour <= hours.startHour) {
+    return new Date(new Date(start).getTime() + minutes * MINUTE_MS);
+  }
+
+  const offset = (hours.utcOffsetMinutes || 0) * MINUTE_MS;
+  // Work in "local" time by shifting and reading the UTC fields
+  let local = new Date(start).getTime() + offset;
+  let remaining = minutes * MINUTE_MS;
+
+  while (remaining > 0) {
+    const dayStart = local - (local % DAY_MS);
+    const openAt = dayStart + hours.startHour * 60 * MINUTE_MS;
+    const closeAt = dayStart + hours.endHour * 60 * MINUTE_MS;
+
+    if (!hours.days.includes(new Date(dayStart).getUTCDay()) || local >= closeAt) {
+      local = dayStart + DAY_MS + hours.startHour * 60 * MINUTE_MS;
+      continue;
+    }
+
+    if (local < openAt) {
+      local = openAt;
+    }
+
+    const step = Math.min(remaining, closeAt - local);
+    local += step;
+    remaining -= step;
+  }
+
+  return new Date(local - offset);
+};
+
+/**
+ * Find the most specific active policy for a category and priority
+ * @param {string} category - Ticket category
+ * @param {string} priority - Ticket priority
+ * @returns {Promise<Object|null>} - Matching policy
+ */
+const findPolicy = async (category, priority) => {
+  const policies = await SlaPolicy.find({
+    isActive: true,
+    category: { $in: [category, null] },
+    priority: { $in: [priority, null] }
+  });
+
+  // Exact matches first, then category-only, priority-only and catch-all policies
+  const rank = (policy) => (policy.category ? 2 : 0) + (policy.priority ? 1 : 0);
+  return policies.sort((a, b) => rank(b) - rank(a))[0] || null;
+};
+
+/**
+ * Compute a target's due and warning dates
+ * @param {Date} start - When the clock started
+ * @param {number} minutes - Target in minutes
+ * @param {Object} policy - SLA policy
+ * @param {Object} hours - Business hours setting
+ * @returns {Object} - { dueAt, warningAt }
+ */
+const computeTarget = (start, minutes, policy, hours) => {
+  const calendar = policy.businessHoursOnly ? hours : null;
+  return {
+    dueAt: addBusinessMinutes(start, minutes, calendar),
+    warningAt: addBusinessMinutes(start, Math.floor(minutes * policy.warningPercent / 100), calendar)
+  };
+};
+
+/**
+ * State of a target that has just been met
+ * @param {Date} dueAt - Target due date
+ * @param {Date} at - When the target was met
+ * @returns {string} - MET, or BREACHED if it was late
+ */
+const completedState = (dueAt, at) => (dueAt && at > dueAt ? 'BREACHED' : 'MET');
+
+/**
+ * Attach the matching policy and due dates to a ticket, measured from its
+ * creation. Called on creation and whenever category or priority changes.
+ * Does not save the ticket.
+ * @param {Object} ticket - Ticket document
+ * @returns {Promise<Object>} - The same ticket
+ */
+const applyPolicy = async (ticket) => {
+  const policy = await findPolicy(ticket.category, ticket.priority);
+  const previous = ticket.sla || {};
+
+  if (!policy) {
+    ticket.sla = { escalationLevel: previous.escalationLevel || 0 };
+    return ticket;
+  }
+
+  const hours = await SettingService.getSetting('slaBusinessHours');
+  const start = ticket.created_at || Date.now();
+  const firstResponse = computeTarget(start, policy.firstResponseMinutes, policy, hours);
+  const resolution = computeTarget(start, policy.resolutionMinutes, policy, hours);
+
+  ticket.sla = {
+    policy: policy._id,
+    firstResponseDueAt: firstResponse.dueAt,
+    firstResponseWarningAt: firstResponse.warningAt,
+    firstRespondedAt: previous.firstRespondedAt,
+    firstResponseState: previous.firstRespondedAt
+      ? completedState(firstResponse.dueAt, previous.firstRespondedAt)
+      : 'ON_TRACK',
+    resolutionDueAt: resolution.dueAt,
+    resolutionWarningAt: resolution.warningAt,
+    resolvedAt: previous.resolvedAt,
+    resolutionState: previous.resolvedAt
+      ? completedState(resolution.dueAt, previous.resolvedAt)
+      : 'ON_TRACK',
+    escalationLevel: previous.escalationLevel || 0,
+    lastEscalatedAt: previous.lastEscalatedAt
+  };
+
+  return ticket;
+};
+
+/**
+ * Stop the first response clock when staff reply for the first time.
+ * Does not save the ticket.
+ * @param {Object} ticket - Ticket document
+ * @returns {boolean} - True if the ticket changed
+ */
+const recordFirstResponse = (ticket) => {
+  if (!ticket.sla?.policy || ticket.sla.firstRespondedAt) return false;
+
+  ticket.sla.firstRespondedAt = Date.now();
+  ticket.sla.firstResponseState = completedState(ticket.sla.firstResponseDueAt, ticket.sla.firstRespondedAt);
+  return true;
+};
+
+/**
+ * Stop or restart the resolution clock after a status change.
+ * Does not save the ticket.
+ * @param {Object} ticket - Ticket document, already carrying the new status
+ * @param {string} previousStatus - Status before the change
+ * @returns {boolean} - True if the ticket changed
+ */
+const recordStatusChange = (ticket, previousStatus) => {
+  if (!ticket.sla?.policy) return false;
+
+  const wasClosed = CLOSED_STATUSES.includes(previousStatus);
+  const isClosed = CLOSED_STATUSES.includes(ticket.status);
+
+  if (isClosed && !ticket.sla.resolvedAt) {
+    ticket.sla.resolvedAt = Date.now();
+    ticket.sla.resolutionState = completedState(ticket.sla.resolutionDueAt, ticket.sla.resolvedAt);
+    return true;
+  }
+
+  // Reopened: the original target still applies
+  if (wasClosed && !isClosed) {
+    ticket.sla.resolvedAt = undefined;
+    ticket.sla.resolutionState = ticket.sla.resolutionDueAt < Date.now() ? 'BREACHED' : 'ON_TRACK';
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Next priority up, or the same one if already at the top
+ * @param {string} priority - Current priority
+ * @returns {string} - Raised priority
+ */
+const raisePriority = (priority) => {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+};
+
+module.exports = {
+  CLOSED_STATUSES,
+  addBusinessMinutes,
+  findPolicy,
+  applyPolicy,
+  recordFirstResponse,
+  recordStatusChange,
+  raisePriority
+};
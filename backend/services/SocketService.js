@@ -0,0 +1,267 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const JwtService = require('./JwtService');
+const PermissionService = require('./PermissionService');
+const SessionService = require('./SessionService');
+
+const STAFF_ROLES = ['SUPPORT', 'AGENT', 'ADMIN'];
+
+let io = null;
+
+// Open connections per user, to tell when the last one goes away
+const connections = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+const presenceRoom = (userId) => `presence:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Only a real ObjectId reaches a query
+const toIds = (ids) => [...new Set([].concat(ids || []).map(String))]
+  .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+/**
+ * Send an event to every open connection of a user. Does nothing when the
+ * socket server is not running, e.g. in schedulers and scripts.
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const emitToUser = (userId, event, data) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId.toString())).emit(event, data);
+};
+
+/**
+ * Close every open connection made with a session's access tokens, e.g. once
+ * the session has been revoked. The token was only checked at the handshake.
+ * @param {string} sessionId - Session ID
+ */
+const disconnectSession = (sessionId) => {
+  if (!io || !sessionId) return;
+  io.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+};
+
+/**
+ * Whether a user has at least one open connection
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isOnline = (userId) => connections.has(String(userId));
+
+/**
+ * Push the current unread message count to a user
+ * @param {string} userId - User ID
+ */
+const pushUnreadCount = async (userId) => {
+  if (!io) return;
+  const unreadCount = await Conversation.getUnreadTotal(userId);
+  emitToUser(userId, 'message:unreadCount', { unreadCount });
+};
+
+const sharesConversation = async (userId, otherId) => {
+  return Boolean(await Conversation.exists({
+    'participants.user': { $all: [userId, otherId] }
+  }));
+};
+
+// Staff see everyone's presence and everyone sees staff; clients see each
+// other only once they share a conversation
+const canSeePresence = async (user, target) => {
+  if (STAFF_ROLES.includes(user.role) || STAFF_ROLES.includes(target.role)) return true;
+  return sharesConversation(user.id, target._id);
+};
+
+const presenceOf = (user) => ({
+  userId: user._id,
+  online: isOnline(user._id),
+  lastSeenAt: user.lastSeenAt || null
+});
+
+// The first connection of a user brings them online, closing the last takes them offline
+const userConnected = (userId) => {
+  const count = connections.get(userId) || 0;
+  connections.set(userId, count + 1);
+  if (count === 0) {
+    io.to(presenceRoom(userId)).emit('presence', { userId, online: true, lastSeenAt: null });
+  }
+};
+
+const userDisconnected = async (userId) => {
+  const count = (connections.get(userId) || 1) - 1;
+  if (count > 0) {
+    connections.set(userId, count);
+    return;
+  }
+
+  connections.delete(userId);
+  const lastSeenAt = new Date();
+  await User.updateOne({ _id: userId }, { lastSeenAt });
+  io.to(presenceRoom(userId)).emit('presence', { userId, online: false, lastSeenAt });
+};
+
+// Accept access tokens sent as { auth: { token } } or in the Authorization header
+const authenticate = async (socket, next) => {
+  const header = socket.handshake.headers.authorization || '';
+  const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('A token is required for authentication'));
+  }
+
+  try {
+    socket.user = await JwtService.verifyToken(token, process.env.ACCESS_TOKEN);
+  } catch (error) {
+    return next(new Error('Invalid Token'));
+  }
+
+  try {
+    if (!await SessionService.isSessionActive(socket.user.payload?.sessionId)) {
+      return next(new Error('Session has expired or been revoked'));
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking socket session:', error);
+    next(new Error('Failed to check session'));
+  }
+};
+
+// The recipient's client confirms it received messages pushed to it
+const onDelivered = (socket) => async ({ messageIds } = {}, ack) => {
+  try {
+    const userId = socket.user.payload.id;
+    const messages = await Message.find({
+      _id: { $in: toIds(messageIds) },
+      recipient: userId,
+      deliveredAt: null
+    }).select('sender');
+
+    const deliveredAt = new Date();
+    await Message.updateMany({ _id: { $in: messages.map(message => message._id) } }, { deliveredAt });
+
+    messages.forEach(message => {
+      emitToUser(message.sender, 'message:delivered', { messageId: message._id, deliveredAt });
+    });
+    if (typeof ack === 'function') ack({ success: true, count: messages.length });
+  } catch (error) {
+    console.error('Error recording message delivery:', error);
+    if (typeof ack === 'function') ack({ success: false, message: 'Failed to record delivery' });
+  }
+};
+
+// Relay typing indicators to the other participants of a conversation,
+// or to the recipient of a direct message
+const onTyping = (socket, isTyping) => async ({ conversationId, recipientId } = {}) => {
+  try {
+    const userId = socket.user.payload.id;
+    if (!await PermissionService.hasAnyGrant(socket.user.payload, 'message:create')) return;
+
+    if (conversationId) {
+      if (!mongoose.Types.ObjectId.isValid(conversationId)) return;
+      const conversation = await Conversation.findOne({ _id: conversationId, 'participants.user': userId })
+        .select('participants.user');
+      if (!conversation) return;
+
+      conversation.participants
+        .filter(participant => participant.user.toString() !== String(userId))
+        .forEach(participant => emitToUser(participant.user, 'typing', { conversationId, userId, isTyping }));
+      return;
+    }
+
+    // Only to someone the user already has a conversation with
+    if (!mongoose.Types.ObjectId.isValid(recipientId)) return;
+    if (!await sharesConversation(userId, recipientId)) return;
+    emitToUser(recipientId, 'typing', { userId, isTyping });
+  } catch (error) {
+    console.error('Error relaying typing indicator:', error);
+  }
+};
+
+// Follow the presence of some users; the ack carries their current state
+const onPresenceSubscribe = (socket) => async ({ userIds } = {}, ack) => {
+  try {
+    const users = await User.find({ _id: { $in: toIds(userIds) } }).select('role lastSeenAt');
+    const presence = [];
+
+    for (const target of users) {
+      if (await canSeePresence(socket.user.payload, target)) {
+        socket.join(presenceRoom(target._id.toString()));
+        presence.push(presenceOf(target));
+      }
+    }
+
+    if (typeof ack === 'function') ack({ success: true, presence });
+  } catch (error) {
+    console.error('Error subscribing to presence:', error);
+    if (typeof ack === 'function') ack({ success: false, message: 'Failed to subscribe to presence' });
+  }
+};
+
+const onPresenceUnsubscribe = (socket) => ({ userIds } = {}) => {
+  toIds(userIds).forEach(id => socket.leave(presenceRoom(id)));
+};
+
+const onConnection = (socket) => {
+  const payload = socket.user.payload;
+
+  socket.join(userRoom(payload.id));
+  socket.join(sessionRoom(payload.sessionId));
+
+  // An admin impersonating a user must not make them appear online
+  const countsForPresence = !payload.impersonatorId;
+  if (countsForPresence) userConnected(String(payload.id));
+
+  // Access tokens are short-lived: drop the connection when the token expires
+  // so the client reconnects with a fresh one
+  const expiresIn = socket.user.exp * 1000 - Date.now();
+  const expiryTimer = setTimeout(() => socket.disconnect(true), Math.max(expiresIn, 0));
+
+  socket.on('message:delivered', onDelivered(socket));
+  socket.on('typing:start', onTyping(socket, true));
+  socket.on('typing:stop', onTyping(socket, false));
+  socket.on('presence:subscribe', onPresenceSubscribe(socket));
+  socket.on('presence:unsubscribe', onPresenceUnsubscribe(socket));
+
+  socket.on('disconnect', async () => {
+    clearTimeout(expiryTimer);
+    if (!countsForPresence) return;
+
+    try {
+      await userDisconnected(String(payload.id));
+    } catch (error) {
+      console.error('Error recording last seen:', error);
+    }
+  });
+
+  pushUnreadCount(payload.id).catch(error => console.error('Error counting unread messages:', error));
+};
+
+/**
+ * Start the Socket.IO server on the HTTP server the Express app listens on.
+ * Clients connect with their access token and receive, in their own room:
+ *   message:new, message:updated, message:deleted, message:delivered,
+ *   message:read, message:unreadCount, conversation:read, typing and
+ *   presence events
+ * @param {Object} httpServer - Node HTTP server
+ * @returns {Object} - Socket.IO server
+ */
+const attachSocketServer = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: { origin: process.env.FRONTEND_URL || '*' }
+  });
+
+  io.use(authenticate);
+  io.on('connection', onConnection);
+
+  return io;
+};
+
+module.exports = {
+  attachSocketServer,
+  emitToUser,
+  disconnectSession,
+  isOnline,
+  pushUnreadCount
+};
@@ -0,0 +1,64 @@
+const SatisfactionSurvey = require('../models/SatisfactionSurvey');
+const SurveyService = require('./SurveyService');
+
+const SURVEY_REMINDER_AFTER_DAYS = parseInt(process.env.SURVEY_REMINDER_AFTER_DAYS) || 3;
+const SURVEY_MAX_REMINDERS = parseInt(process.env.SURVEY_MAX_REMINDERS) || 2;
+
+/**
+ * Remind clients about unanswered satisfaction surveys and close the ones
+ * that have expired. This function should be scheduled to run periodically
+ * (e.g., every hour)
+ */
+const sendSurveyReminders = async () => {
+  try {
+    const now = new Date();
+
+    const expired = await SatisfactionSurvey.updateMany(
+      { status: 'PENDING', expiresAt: { $lte: now } },
+      { status: 'EXPIRED', updated_at: now }
+    );
+    if (expired.modifiedCount > 0) {
+      console.log(`Closed ${expired.modifiedCount} expired satisfaction surveys`);
+    }
+
+    // Last contact (the survey or the previous reminder) long enough ago
+    const dueBefore = new Date(now.getTime() - SURVEY_REMINDER_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    const surveys = await SatisfactionSurvey.find({
+      status: 'PENDING',
+      remindersSent: { $lt: SURVEY_MAX_REMINDERS },
+      $or: [
+        { lastReminderAt: { $lte: dueBefore } },
+        { lastReminderAt: { $exists: false }, sentAt: { $lte: dueBefore } }
+      ]
+    })
+      .select('+tokenId')
+      .populate('ticket')
+      .populate('user');
+
+    console.log(`Found ${surveys.length} satisfaction surveys needing reminders`);
+
+    for (const survey of surveys) {
+      try {
+        // The ticket or the account may have been removed since the survey went out
+        if (!survey.ticket || !survey.user || survey.user.erasedAt) continue;
+
+        await SurveyService.sendSurveyEmail(survey, survey.ticket, survey.user, true);
+
+        survey.remindersSent += 1;
+        survey.lastReminderAt = now;
+        survey.updated_at = now;
+        await survey.save();
+
+        console.log(`Sent satisfaction survey reminder for ticket ${survey.ticket._id}`);
+      } catch (error) {
+        console.error(`Error sending satisfaction survey reminder ${survey._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing satisfaction survey reminders:', error);
+  }
+};
+
+module.exports = {
+  sendSurveyReminders
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SatisfactionSurvey = require('../models/SatisfactionSurvey');
+const User = require('../models/User');
+const JwtService = require('./JwtService');
+const EmailService = require('./EmailService');
+const SlaService = require('./SlaService');
+
+// Scores of 4 and 5 count as a satisfied customer
+const SATISFIED_SCORE = 4;
+
+// How answers are bucketed over time in the statistics
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+/**
+ * Whether a status change resolves a ticket, i.e. moves it from an open
+ * status to RESOLVED or CLOSED
+ * @param {string} previousStatus - Status before the change
+ * @param {string} status - Status after the change
+ * @returns {boolean} - True if a survey is due
+ */
+const isResolution = (previousStatus, status) => {
+  return SlaService.CLOSED_STATUSES.includes(status) && !SlaService.CLOSED_STATUSES.includes(previousStatus);
+};
+
+/**
+ * Email the survey's rating link to the ticket owner
+ * @param {Object} survey - Satisfaction survey, with tokenId selected
+ * @param {Object} ticket - Resolved ticket
+ * @param {Object} user - Ticket owner
+ * @param {boolean} isReminder - Whether this is a reminder
+ * @returns {Promise<Object>} - Email sending result
+ */
+const sendSurveyEmail = async (survey, ticket, user, isReminder = false) => {
+  const surveyToken = await JwtService.generalSurveyToken({
+    surveyId: survey._id,
+    tokenId: survey.tokenId
+  });
+
+  return EmailService.sendSatisfactionSurvey(survey, ticket, user, surveyToken, isReminder);
+};
+
+/**
+ * Send a satisfaction survey for a ticket that was just resolved or closed.
+ * Each ticket is surveyed once, even if it is reopened and resolved again;
+ * merged tickets are not surveyed since their conversation moved on.
+ * @param {Object} ticket - Ticket document
+ * @returns {Promise<Object|null>} - The new survey, or null if none was sent
+ */
+const sendSurvey = async (ticket) => {
+  if (ticket.mergedInto) return null;
+
+  if (await SatisfactionSurvey.exists({ ticket: ticket._id })) return null;
+
+  const owner = await User.findById(ticket.user?._id || ticket.user);
+  if (!owner || owner.erasedAt) return null;
+
+  const survey = new SatisfactionSurvey({
+    ticket: ticket._id,
+    user: owner._id,
+    assignee: ticket.assignedTo?._id || ticket.assignedTo,
+    category: ticket.category,
+    tokenId: crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + JwtService.SURVEY_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  try {
+    await survey.save();
+  } catch (error) {
+    // Another request resolved the same ticket at the same moment
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await sendSurveyEmail(survey, ticket, owner);
+
+  return survey;
+};
+
+/**
+ * Resolve the survey behind a rating link, or null if the link is invalid,
+ * superseded or the survey has closed
+ * @param {string} token - Signed survey token
+ * @returns {Promise<Object|null>} - Survey with its ticket populated
+ */
+const getSurveyFromToken = async (token) => {
+  let decoded;
+  try {
+    decoded = await JwtService.verifyToken(token, JwtService.SURVEY_TOKEN);
+  } catch (err) {
+    return null;
+  }
+
+  const { surveyId, tokenId } = decoded.payload;
+  if (!mongoose.Types.ObjectId.isValid(surveyId)) return null;
+
+  const survey = await SatisfactionSurvey.findById(surveyId)
+    .select('+tokenId')
+    .populate('ticket', 'title category status')
+    .populate('assignee', 'username');
+  if (!survey || survey.tokenId !== tokenId || survey.status === 'EXPIRED' ||
+      survey.expiresAt < Date.now()) {
+    return null;
+  }
+
+  return survey;
+};
+
+/**
+ * Record a client's answer. Until the survey closes the client may change it,
+ * e.g. to add a comment after answering from the email.
+ * @param {Object} survey - Satisfaction survey document
+ * @param {Object} answer - { score, comment }
+ * @returns {Promise<Object>} - Saved survey
+ */
+const answerSurvey = async (survey, { score, comment }) => {
+  survey.score = score;
+  if (comment !== undefined) survey.comment = comment;
+  survey.status = 'ANSWERED';
+  survey.answeredAt = Date.now();
+  survey.updated_at = Date.now();
+
+  return survey.save();
+};
+
+/**
+ * Delete the surveys of tickets being deleted
+ * @param {Array<string>} ticketIds - Ticket IDs
+ * @returns {Promise<number>} - Number of surveys deleted
+ */
+const deleteSurveysFor = async (ticketIds) => {
+  if (ticketIds.length === 0) return 0;
+  const result = await SatisfactionSurvey.deleteMany({ ticket: { $in: ticketIds } });
+  return result.deletedCount;
+};
+
+// Count, average score and satisfied share of a group of answers
+const summarize = (group) => ({
+  responses: group.responses,
+  averageScore: Math.round(group.totalScore / group.responses * 100) / 100,
+  satisfiedPercent: Math.round(group.satisfied / group.responses * 1000) / 10
+});
+
+const groupStage = (id) => ({
+  $group: {
+    _id: id,
+    responses: { $sum: 1 },
+    totalScore: { $sum: '$score' },
+    satisfied: { $sum: { $cond: [{ $gte: ['$score', SATISFIED_SCORE] }, 1, 0] } }
+  }
+});
+
+/**
+ * CSAT figures for answers given in a date range: overall, per agent, per
+ * category and per period, plus the response rate of surveys sent in it
+ * @param {Object} options - { from, to, period } where period is day, week or month
+ * @returns {Promise<Object>} - { overall, responseRate, byAgent, byCategory, byPeriod }
+ */
+const getSatisfactionStats = async ({ from, to, period = 'month' } = {}) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  const hasRange = Object.keys(range).length > 0;
+
+  const answered = { status: 'ANSWERED', ...(hasRange && { answeredAt: range }) };
+  const sentFilter = hasRange ? { sentAt: range } : {};
+
+  const [overall, byAgent, byCategory, byPeriod, sent, sentAnswered] = await Promise.all([
+    SatisfactionSurvey.aggregate([{ $match: answered }, groupStage(null)]),
+    SatisfactionSurvey.aggregate([
+      { $match: answered },
+      groupStage('$assignee'),
+      { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'agent' } },
+      { $sort: { responses: -1 } }
+    ]),
+    SatisfactionSurvey.aggregate([{ $match: answered }, groupStage('$category')]),
+    SatisfactionSurvey.aggregate([
+      { $match: answered },
+      groupStage({ $dateToString: { format: PERIOD_FORMATS[period] || PERIOD_FORMATS.month, date: '$answeredAt' } }),
+      { $sort: { _id: 1 } }
+    ]),
+    SatisfactionSurvey.countDocuments(sentFilter),
+    SatisfactionSurvey.countDocuments({ ...sentFilter, status: 'ANSWERED' })
+  ]);
+
+  return {
+    overall: overall[0] ? summarize(overall[0]) : { responses: 0, averageScore: null, satisfiedPercent: null },
+    surveysSent: sent,
+    responseRate: sent > 0 ? Math.round(sentAnswered / sent * 1000) / 10 : null,
+    // Tickets resolved without an assignee are grouped under a null agent
+    byAgent: byAgent.map(group => ({
+      agent: group._id,
+      username: group.agent[0]?.username || null,
+      ...summarize(group)
+    })),
+    byCategory: byCategory.reduce((acc, group) => {
+      acc[group._id] = summarize(group);
+      return acc;
+    }, {}),
+    byPeriod: byPeriod.map(group => ({ period: group._id, ...summarize(group) }))
+  };
+};
+
+module.exports = {
+  SATISFIED_SCORE,
+  PERIOD_FORMATS,
+  isResolution,
+  sendSurveyEmail,
+  sendSurvey,
+  getSurveyFromToken,
+  answerSurvey,
+  deleteSurveysFor,
+  getSatisfactionStats
+};
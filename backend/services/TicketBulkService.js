@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const PermissionService = require('./PermissionService');
+const AuditService = require('./AuditService');
+const SlaService = require('./SlaService');
+const SurveyService = require('./SurveyService');
+const TicketFieldService = require('./TicketFieldService');
+const TicketQueryService = require('./TicketQueryService');
+
+const BULK_ACTIONS = ['ASSIGN', 'CHANGE_STATUS', 'CHANGE_PRIORITY', 'ADD_TAGS', 'REMOVE_TAGS', 'CLOSE'];
+const MAX_BULK_TICKETS = parseInt(process.env.MAX_BULK_TICKETS) || 500;
+const STAFF_ROLES = ['SUPPORT', 'AGENT', 'ADMIN'];
+const STATUSES = Ticket.schema.path('status').enumValues;
+const PRIORITIES = Ticket.schema.path('priority').enumValues;
+
+/**
+ * Check the parameters of a bulk action
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} params - { assigneeId } for ASSIGN, { status } for CHANGE_STATUS,
+ *   { priority } for CHANGE_PRIORITY, { tags } for ADD_TAGS and REMOVE_TAGS
+ * @returns {Promise<Object>} - { params, errors } with params normalised and
+ *   the assignee document loaded for ASSIGN
+ */
+const validateAction = async (action, params) => {
+  params = params || {};
+  if (!BULK_ACTIONS.includes(action)) {
+    return { errors: [`Invalid action. Must be one of: ${BULK_ACTIONS.join(', ')}`] };
+  }
+
+  switch (action) {
+    case 'ASSIGN': {
+      // A null assignee unassigns the tickets
+      if (!params.assigneeId) return { params: { assignee: null }, errors: [] };
+      if (!mongoose.Types.ObjectId.isValid(params.assigneeId)) return { errors: ['Invalid assignee ID'] };
+
+      const assignee = await User.findById(params.assigneeId);
+      if (!assignee) return { errors: ['Assignee not found'] };
+      if (!STAFF_ROLES.includes(assignee.role)) {
+        return { errors: ['Assignee must be a support staff, agent, or admin'] };
+      }
+      return { params: { assignee }, errors: [] };
+    }
+    case 'CHANGE_STATUS':
+      return STATUSES.includes(params.status)
+        ? { params: { status: params.status }, errors: [] }
+        : { errors: [`Invalid status. Must be one of: ${STATUSES.join(', ')}`] };
+    case 'CLOSE':
+      return { params: { status: 'CLOSED' }, errors: [] };
+    case 'CHANGE_PRIORITY':
+      return PRIORITIES.includes(params.priority)
+        ? { params: { priority: params.priority }, errors: [] }
+        : { errors: [`Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`] };
+    default: {
+      const { tags, errors } = TicketFieldService.normalizeTags(params.tags || []);
+      if (errors.length === 0 && tags.length === 0) errors.push('At least one tag is required');
+      return { params: { tags }, errors };
+    }
+  }
+};
+
+/**
+ * Find the tickets a bulk action targets, by ID or by the filters of the
+ * combined ticket query, within what the user may see
+ * @param {Object} user - Token payload
+ * @param {Object} selection - { ticketIds } or { filters }
+ * @returns {Promise<Object>} - { tickets, notFound } or { errors }
+ */
+const selectTickets = async (user, { ticketIds, filters }) => {
+  if ((ticketIds === undefined) === (filters === undefined)) {
+    return { errors: ['Send either ticketIds or filters'] };
+  }
+
+  const visibleFilter = await TicketQueryService.getVisibleTicketsFilter(user);
+  if (!visibleFilter) {
+    return { errors: ['You do not have permission to view tickets'] };
+  }
+
+  if (ticketIds !== undefined) {
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+      return { errors: ['ticketIds must be a non-empty array'] };
+    }
+
+    const ids = [...new Set(ticketIds.map(String))];
+    if (ids.length > MAX_BULK_TICKETS) {
+      return { errors: [`At most ${MAX_BULK_TICKETS} tickets can be changed at once`] };
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { errors: ['ticketIds must be valid ticket IDs'] };
+    }
+
+    // Tickets the user may not see are reported as missing, like any other ticket lookup
+    const tickets = await Ticket.find({ $and: [visibleFilter, { _id: { $in: ids } }] });
+    const found = new Set(tickets.map(ticket => ticket._id.toString()));
+    return { tickets, notFound: ids.filter(id => !found.has(id)) };
+  }
+
+  const { query, errors } = await TicketQueryService.buildQuery(filters, user);
+  if (errors.length > 0) return { errors };
+
+  const filter = { $and: [visibleFilter, query] };
+  const count = await Ticket.countDocuments(filter);
+  if (count > MAX_BULK_TICKETS) {
+    return { errors: [`The filters match ${count} tickets; at most ${MAX_BULK_TICKETS} can be changed at once`] };
+  }
+
+  return { tickets: await Ticket.find(filter).sort({ created_at: 1 }), notFound: [] };
+};
+
+// Whether the user may move a ticket to a status: any status with
+// ticket:changeStatus, or CLOSED with ticket:close (as PUT /:id/status)
+const canSetStatus = async (user, ticket, status) => {
+  if (await PermissionService.can(user, 'ticket:changeStatus', ticket)) return true;
+  return status === 'CLOSED' && PermissionService.can(user, 'ticket:close', ticket);
+};
+
+/**
+ * Work out what a bulk action would change on one ticket, checking the
+ * user's permission on that ticket
+ * @param {Object} user - Token payload
+ * @param {Object} ticket - Ticket document
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} params - Parameters from validateAction
+ * @returns {Promise<Object>} - { changes } keyed by field with { from, to },
+ *   or { skipped } with the reason the ticket is left alone
+ */
+const planChange = async (user, ticket, action, params) => {
+  const changes = {};
+  const change = (field, from, to) => {
+    if (String(from ?? '') !== String(to ?? '')) changes[field] = { from: from ?? null, to: to ?? null };
+  };
+
+  switch (action) {
+    case 'ASSIGN': {
+      if (!await PermissionService.can(user, 'ticket:assign', ticket)) {
+        return { skipped: 'You do not have permission to assign this ticket' };
+      }
+      change('assignedTo', ticket.assignedTo?.toString(), params.assignee?._id.toString());
+      // As a single assignment does, without reopening closed tickets
+      if (changes.assignedTo && !SlaService.CLOSED_STATUSES.includes(ticket.status)) {
+        change('status', ticket.status, params.assignee ? 'IN_PROGRESS' : 'OPEN');
+      }
+      break;
+    }
+    case 'CHANGE_STATUS':
+    case 'CLOSE':
+      if (!await canSetStatus(user, ticket, params.status)) {
+        return { skipped: 'You do not have permission to update this ticket status' };
+      }
+      if (ticket.mergedInto && params.status !== 'CLOSED') {
+        return { skipped: `This ticket was merged into ticket ${ticket.mergedInto} and cannot be reopened` };
+      }
+      change('status', ticket.status, params.status);
+      break;
+    case 'CHANGE_PRIORITY':
+      if (!await PermissionService.can(user, 'ticket:manage', ticket)) {
+        return { skipped: 'You do not have permission to update this ticket' };
+      }
+      change('priority', ticket.priority, params.priority);
+      break;
+    default: {
+      if (!await PermissionService.can(user, 'ticket:manage', ticket)) {
+        return { skipped: 'You do not have permission to tag this ticket' };
+      }
+      const tags = action === 'ADD_TAGS'
+        ? [...new Set([...ticket.tags, ...params.tags])]
+        : ticket.tags.filter(tag => !params.tags.includes(tag));
+      if (tags.length > TicketFieldService.MAX_TAGS) {
+        return { skipped: `A ticket can have at most ${TicketFieldService.MAX_TAGS} tags` };
+      }
+      if (tags.length !== ticket.tags.length) {
+        changes.tags = { from: [...ticket.tags], to: tags };
+      }
+    }
+  }
+
+  return { changes };
+};
+
+// Apply planned changes to a ticket, with the same system messages, SLA
+// bookkeeping and audit entry as the single-ticket endpoints
+const applyChange = async (req, ticket, changes, params, bulk) => {
+  const before = AuditService.toSnapshot(ticket);
+  const previousStatus = ticket.status;
+  const userId = req.user.payload.id;
+
+  if (changes.assignedTo) {
+    ticket.assignedTo = params.assignee ? params.assignee._id : null;
+    ticket.messages.push({
+      sender: userId,
+      content: params.assignee ? `Ticket assigned to ${params.assignee.username}` : 'Ticket unassigned',
+      timestamp: Date.now()
+    });
+  }
+  if (changes.status) {
+    ticket.status = changes.status.to;
+    ticket.messages.push({
+      sender: userId,
+      content: `Ticket status changed to ${changes.status.to}`,
+      timestamp: Date.now()
+    });
+    SlaService.recordStatusChange(ticket, previousStatus);
+  }
+  if (changes.priority) {
+    ticket.priority = changes.priority.to;
+    await SlaService.applyPolicy(ticket);
+  }
+  if (changes.tags) {
+    ticket.tags = changes.tags.to;
+  }
+
+  ticket.updated_at = Date.now();
+  await ticket.save();
+
+  await AuditService.recordChange(req, {
+    action: 'BULK_UPDATE',
+    entityType: 'Ticket',
+    before,
+    after: ticket,
+    metadata: bulk
+  });
+
+  if (SurveyService.isResolution(previousStatus, ticket.status)) {
+    await SurveyService.sendSurvey(ticket);
+  }
+};
+
+// Lines for the summary emails: owners hear about status changes and who
+// handles their ticket, assignees about tickets given to them
+const collectNotifications = (notifications, ticket, changes, params, actorId) => {
+  const add = (userId, line) => {
+    if (!userId || userId.toString() === String(actorId)) return;
+    const key = userId.toString();
+    if (!notifications.has(key)) notifications.set(key, []);
+    notifications.get(key).push({ ticket, change: line });
+  };
+
+  if (changes.status) {
+    add(ticket.user, `Status changed from ${changes.status.from} to ${changes.status.to}`);
+  }
+  if (changes.assignedTo && params.assignee) {
+    add(ticket.user, `Now handled by ${params.assignee.username}`);
+    add(params.assignee._id, 'Assigned to you');
+  }
+};
+
+/**
+ * Apply one action to many tickets. Every ticket is checked and changed on
+ * its own, so one failure does not stop the rest; each affected user gets a
+ * single email summarising their tickets.
+ * @param {Object} req - Express request
+ * @param {Object} request - { ticketIds | filters, action, params, dryRun }
+ * @returns {Promise<Object>} - { errors } if the request is invalid, otherwise
+ *   { results, summary } where each result has ticketId, result and changes or reason
+ */
+const runBulkAction = async (req, { ticketIds, filters, action, params, dryRun = false }) => {
+  const user = req.user.payload;
+
+  const validated = await validateAction(action, params);
+  if (validated.errors.length > 0) return { errors: validated.errors };
+
+  const selection = await selectTickets(user, { ticketIds, filters });
+  if (selection.errors) return { errors: selection.errors };
+
+  const bulk = { bulkId: crypto.randomUUID(), bulkAction: action };
+  const notifications = new Map();
+  const results = selection.notFound.map(id => ({ ticketId: id, result: 'NOT_FOUND' }));
+
+  for (const ticket of selection.tickets) {
+    const entry = { ticketId: ticket._id, title: ticket.title };
+    try {
+      const plan = await planChange(user, ticket, action, validated.params);
+
+      if (plan.skipped) {
+        results.push({ ...entry, result: 'SKIPPED', reason: plan.skipped });
+      } else if (Object.keys(plan.changes).length === 0) {
+        results.push({ ...entry, result: 'UNCHANGED' });
+      } else if (dryRun) {
+        results.push({ ...entry, result: 'WOULD_UPDATE', changes: plan.changes });
+      } else {
+        await applyChange(req, ticket, plan.changes, validated.params, bulk);
+        collectNotifications(notifications, ticket, plan.changes, validated.params, user.id);
+        results.push({ ...entry, result: 'UPDATED', changes: plan.changes });
+      }
+    } catch (error) {
+      console.error(`Error applying bulk ${action} to ticket ${ticket._id}:`, error);
+      results.push({ ...entry, result: 'FAILED', reason: error.message });
+    }
+  }
+
+  for (const [userId, lines] of notifications) {
+    try {
+      const recipient = await User.findById(userId);
+      if (recipient) {
+        await EmailService.notifyBulkTicketUpdate(recipient, lines);
+      }
+    } catch (error) {
+      console.error(`Error sending bulk update summary to user ${userId}:`, error);
+    }
+  }
+
+  const summary = results.reduce((counts, item) => {
+    counts[item.result] = (counts[item.result] || 0) + 1;
+    return counts;
+  }, { total: results.length });
+
+  return { bulkId: dryRun ? undefined : bulk.bulkId, results, summary };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_TICKETS,
+  validateAction,
+  selectTickets,
+  planChange,
+  runBulkAction
+};
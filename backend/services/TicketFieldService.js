@@ -0,0 +1,137 @@
+const TicketField = require('../models/TicketField');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Clean up a list of tags: trimmed, lowercase, without duplicates
+ * @param {Array<string>} tags - Tags as sent by the client
+ * @returns {Object} - { tags, errors }
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { tags: [], errors: ['Tags must be an array of strings'] };
+  }
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  const errors = [];
+
+  if (normalized.length > MAX_TAGS) {
+    errors.push(`A ticket can have at most ${MAX_TAGS} tags`);
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    errors.push(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return { tags: normalized, errors };
+};
+
+/**
+ * Convert a value to the type of its field
+ * @param {Object} field - TicketField definition
+ * @param {*} value - Value as sent by the client
+ * @returns {Object} - { value } or { error }
+ */
+const coerceValue = (field, value) => {
+  switch (field.type) {
+    case 'NUMBER': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number)
+        ? { value: number }
+        : { error: `${field.label} must be a number` };
+    }
+    case 'DATE': {
+      const date = new Date(value);
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(date)
+        ? { value: date }
+        : { error: `${field.label} must be a valid date` };
+    }
+    case 'BOOLEAN':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${field.label} must be true or false` };
+    case 'SELECT':
+      return field.options.includes(value)
+        ? { value }
+        : { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+    default:
+      if (typeof value !== 'string') return { error: `${field.label} must be text` };
+      return value.length <= MAX_TEXT_LENGTH
+        ? { value: value.trim() }
+        : { error: `${field.label} must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+};
+
+/**
+ * Validate custom field values against the fields defined for a category and
+ * merge them into the ticket's current values. Sending null or an empty string
+ * clears a value; values of fields the category does not define are dropped,
+ * e.g. when a ticket moves to another category.
+ * @param {string} category - Ticket category
+ * @param {Object} values - New values keyed by field key (may be undefined)
+ * @param {Object} existing - Current values of the ticket
+ * @returns {Promise<Object>} - { customFields, errors }
+ */
+const validateCustomFields = async (category, values, existing = {}) => {
+  if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+    return { customFields: existing, errors: ['Custom fields must be an object keyed by field'] };
+  }
+
+  const fields = await TicketField.find({ category });
+  const fieldsByKey = new Map(fields.map(field => [field.key, field]));
+  const errors = [];
+  const merged = {};
+
+  Object.entries(existing || {}).forEach(([key, value]) => {
+    if (fieldsByKey.has(key)) merged[key] = value;
+  });
+
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const field = fieldsByKey.get(key);
+    if (!field) {
+      errors.push(`Unknown custom field "${key}" for category ${category}`);
+      return;
+    }
+
+    if (value === null || value === '') {
+      delete merged[key];
+      return;
+    }
+
+    const result = coerceValue(field, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      merged[key] = result.value;
+    }
+  });
+
+  fields
+    .filter(field => field.required && merged[field.key] === undefined)
+    .forEach(field => errors.push(`${field.label} is required`));
+
+  return { customFields: merged, errors };
+};
+
+/**
+ * Field definitions by key, across categories, for filtering on custom fields.
+ * A key used in several categories takes the type of its first definition.
+ * @param {Array<string>} keys - Field keys
+ * @returns {Promise<Map>} - Map of key to TicketField
+ */
+const getFieldsByKey = async (keys) => {
+  const fields = await TicketField.find({ key: { $in: keys } }).sort({ created_at: 1 });
+  return fields.reduce((map, field) => {
+    if (!map.has(field.key)) map.set(field.key, field);
+    return map;
+  }, new Map());
+};
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTags,
+  coerceValue,
+  validateCustomFields,
+  getFieldsByKey
+};
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const PermissionService = require('./PermissionService');
+const TicketFieldService = require('./TicketFieldService');
+
+const STATUSES = Ticket.schema.path('status').enumValues;
+const PRIORITIES = Ticket.schema.path('priority').enumValues;
+const CATEGORIES = Ticket.schema.path('category').enumValues;
+const SORT_FIELDS = ['created_at', 'updated_at', 'title', 'status', 'category'];
+const DEFAULT_SORT = { field: 'updated_at', order: 'desc' };
+const MAX_LIMIT = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A single value or a list, as a list
+const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * Tickets the user may see: everything with ticket:viewAll, otherwise those
+ * in their ticket:view scope
+ * @param {Object} user - Token payload
+ * @returns {Promise<Object|null>} - MongoDB filter, or null if the user may see no tickets
+ */
+const getVisibleTicketsFilter = async (user) => {
+  if (await PermissionService.can(user, 'ticket:viewAll')) {
+    return {};
+  }
+
+  return PermissionService.getScopeFilter(user, 'ticket:view');
+};
+
+// Condition for one date range filter, e.g. createdFrom / createdTo on created_at
+const dateRange = (path, from, to, errors) => {
+  const range = {};
+  if (from !== undefined) {
+    const date = new Date(from);
+    if (isNaN(date)) errors.push(`Invalid date for ${path} range start`);
+    range.$gte = date;
+  }
+  if (to !== undefined) {
+    const date = new Date(to);
+    if (isNaN(date)) errors.push(`Invalid date for ${path} range end`);
+    range.$lte = date;
+  }
+  return Object.keys(range).length > 0 ? { [path]: range } : null;
+};
+
+// Conditions for custom field filters: { key: value }, { key: [values] } or { key: { from, to } }
+const customFieldConditions = async (customFields, errors) => {
+  if (typeof customFields !== 'object' || Array.isArray(customFields)) {
+    errors.push('customFields must be an object keyed by field');
+    return [];
+  }
+
+  const fieldsByKey = await TicketFieldService.getFieldsByKey(Object.keys(customFields));
+  const coerce = (field, value) => {
+    const result = TicketFieldService.coerceValue(field, value);
+    if (result.error) errors.push(result.error);
+    return result.value;
+  };
+
+  return Object.entries(customFields).map(([key, value]) => {
+    const field = fieldsByKey.get(key);
+    if (!field) {
+      errors.push(`Unknown custom field "${key}"`);
+      return null;
+    }
+
+    const path = `customFields.${key}`;
+    if (Array.isArray(value)) {
+      return { [path]: { $in: value.map(item => coerce(field, item)) } };
+    }
+    if (value !== null && typeof value === 'object') {
+      const range = {};
+      if (value.from !== undefined) range.$gte = coerce(field, value.from);
+      if (value.to !== undefined) range.$lte = coerce(field, value.to);
+      if (Object.keys(range).length === 0) errors.push(`A range on "${key}" needs from or to`);
+      return { [path]: range };
+    }
+    return { [path]: coerce(field, value) };
+  }).filter(Boolean);
+};
+
+/**
+ * Turn query filters into a MongoDB filter. Every filter is optional and all
+ * given filters must match:
+ *   status, priority, category - one value or a list of values
+ *   tags, tagMode              - tickets with all (default) or any of the tags
+ *   assignedTo                 - staff IDs, 'me' or 'unassigned'
+ *   user                       - ticket owner IDs
+ *   customFields               - { key: value | [values] | { from, to } }
+ *   createdFrom, createdTo, updatedFrom, updatedTo - date ranges
+ *   search                     - text in the title or description
+ * @param {Object} filters - Filters as sent by the client or stored in a view
+ * @param {Object} user - Token payload of the caller, for 'me'
+ * @returns {Promise<Object>} - { query, errors }
+ */
+const buildQuery = async (filters = {}, user) => {
+  const errors = [];
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    return { query: {}, errors: ['Filters must be an object'] };
+  }
+
+  const conditions = [];
+
+  [['status', STATUSES], ['priority', PRIORITIES], ['category', CATEGORIES]].forEach(([name, allowed]) => {
+    const values = toList(filters[name]);
+    if (values.length === 0) return;
+
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      errors.push(`Invalid ${name}: ${invalid.join(', ')}. Must be any of: ${allowed.join(', ')}`);
+    }
+    conditions.push({ [name]: { $in: values } });
+  });
+
+  const tags = toList(filters.tags);
+  if (tags.length > 0) {
+    const normalized = TicketFieldService.normalizeTags(tags);
+    errors.push(...normalized.errors);
+    if (filters.tagMode !== undefined && !['all', 'any'].includes(filters.tagMode)) {
+      errors.push('tagMode must be all or any');
+    }
+    conditions.push({ tags: { [filters.tagMode === 'any' ? '$in' : '$all']: normalized.tags } });
+  }
+
+  const assignees = toList(filters.assignedTo);
+  if (assignees.length > 0) {
+    const ids = assignees.filter(value => value !== 'unassigned').map(value => (value === 'me' ? user.id : value));
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push('assignedTo must be staff IDs, me or unassigned');
+    }
+    const alternatives = [];
+    if (ids.length > 0) alternatives.push({ assignedTo: { $in: ids } });
+    if (assignees.includes('unassigned')) alternatives.push({ assignedTo: null });
+    conditions.push({ $or: alternatives });
+  }
+
+  const owners = toList(filters.user);
+  if (owners.length > 0) {
+    if (owners.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push('user must be user IDs');
+    }
+    conditions.push({ user: { $in: owners } });
+  }
+
+  [
+    dateRange('created_at', filters.createdFrom, filters.createdTo, errors),
+    dateRange('updated_at', filters.updatedFrom, filters.updatedTo, errors)
+  ].forEach(condition => condition && conditions.push(condition));
+
+  if (filters.customFields !== undefined) {
+    conditions.push(...await customFieldConditions(filters.customFields, errors));
+  }
+
+  if (filters.search) {
+    if (typeof filters.search !== 'string') {
+      errors.push('search must be text');
+    } else {
+      const pattern = { $regex: escapeRegex(filters.search), $options: 'i' };
+      conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+  }
+
+  return { query: conditions.length > 0 ? { $and: conditions } : {}, errors };
+};
+
+/**
+ * Validate a sort option
+ * @param {Object} sort - { field, order } where order is asc or desc
+ * @returns {Object} - { sort, errors } with sort as a Mongoose sort object
+ */
+const buildSort = (sort = DEFAULT_SORT) => {
+  const { field = DEFAULT_SORT.field, order = DEFAULT_SORT.order } = sort || {};
+  const errors = [];
+
+  if (!SORT_FIELDS.includes(field)) {
+    errors.push(`Invalid sort field. Must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('Sort order must be asc or desc');
+  }
+
+  return { sort: { [field]: order === 'asc' ? 1 : -1, _id: 1 }, errors };
+};
+
+/**
+ * Run a ticket query within what the user may see
+ * @param {Object} user - Token payload
+ * @param {Object} options - { filters, sort, page, limit }
+ * @returns {Promise<Object>} - { errors } if the query is invalid, { forbidden: true }
+ *   if the user may see no tickets, otherwise { tickets, total, page, limit }
+ */
+const findTickets = async (user, { filters, sort, page, limit } = {}) => {
+  const visibleFilter = await getVisibleTicketsFilter(user);
+  if (!visibleFilter) return { forbidden: true };
+
+  const builtQuery = await buildQuery(filters, user);
+  const builtSort = buildSort(sort);
+  const errors = [...builtQuery.errors, ...builtSort.errors];
+  if (errors.length > 0) return { errors };
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+  const filter = { $and: [visibleFilter, builtQuery.query] };
+
+  const [tickets, total] = await Promise.all([
+    Ticket.find(filter)
+      .select('-messages')
+      .populate('user', 'username email phone')
+      .populate('assignedTo', 'username email phone role')
+      .sort(builtSort.sort)
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Ticket.countDocuments(filter)
+  ]);
+
+  return { tickets, total, page: pageNumber, limit: pageSize };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  getVisibleTicketsFilter,
+  buildQuery,
+  buildSort,
+  findTickets
+};
@@ -0,0 +1,110 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const SettingService = require('./SettingService');
+const AuditService = require('./AuditService');
+const SlaService = require('./SlaService');
+const SurveyService = require('./SurveyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Close a ticket the customer never came back to, and tell them
+const autoClose = async (ticket, settings, owner) => {
+  const before = AuditService.toSnapshot(ticket);
+  const previousStatus = ticket.status;
+  const waitingSince = ticket.waitingOnCustomer?.since || ticket.updated_at;
+
+  ticket.status = settings.closeStatus;
+  ticket.autoClosedAt = Date.now();
+  ticket.messages.push({
+    system: true,
+    content: `No reply from the customer in ${settings.closeAfterDays} days; ticket ${settings.closeStatus.toLowerCase()} automatically`,
+    timestamp: Date.now()
+  });
+  ticket.updated_at = Date.now();
+  SlaService.recordStatusChange(ticket, previousStatus);
+  await ticket.save();
+
+  await AuditService.recordChange(null, {
+    action: 'AUTO_CLOSE',
+    entityType: 'Ticket',
+    before,
+    after: ticket,
+    metadata: { waitingSince, closeAfterDays: settings.closeAfterDays }
+  });
+
+  if (owner) {
+    await EmailService.notifyTicketStatusChange(ticket, owner, previousStatus);
+  }
+
+  if (SurveyService.isResolution(previousStatus, ticket.status)) {
+    await SurveyService.sendSurvey(ticket);
+  }
+};
+
+/**
+ * Nudge customers about tickets waiting on their reply and close the tickets
+ * that waited past the final deadline, as configured in ticketAutoClose.
+ * This function should be scheduled to run periodically (e.g., every hour)
+ */
+const processWaitingTickets = async () => {
+  try {
+    const settings = await SettingService.getSetting('ticketAutoClose');
+    if (!settings.enabled) return;
+
+    const now = Date.now();
+    const firstReminderDays = Math.min(settings.closeAfterDays, ...settings.reminderAfterDays);
+
+    // Tickets that were waiting before the clock existed count from their last update
+    const dueBefore = new Date(now - firstReminderDays * DAY_MS);
+    const tickets = await Ticket.find({
+      status: 'WAITING_CUSTOMER',
+      $or: [
+        { 'waitingOnCustomer.since': { $lte: dueBefore } },
+        { 'waitingOnCustomer.since': { $exists: false }, updated_at: { $lte: dueBefore } }
+      ]
+    });
+
+    console.log(`Found ${tickets.length} tickets waiting on the customer past a reminder or closing point`);
+
+    for (const ticket of tickets) {
+      try {
+        const since = new Date(ticket.waitingOnCustomer?.since || ticket.updated_at);
+        const waitedDays = (now - since) / DAY_MS;
+        const owner = await User.findById(ticket.user);
+
+        if (waitedDays >= settings.closeAfterDays) {
+          await autoClose(ticket, settings, owner);
+          console.log(`Closed ticket ${ticket._id} after ${settings.closeAfterDays} days waiting on the customer`);
+          continue;
+        }
+
+        // Reminders are sent one per run, in order, each once
+        const remindersSent = ticket.waitingOnCustomer?.remindersSent || 0;
+        const nextReminderDays = settings.reminderAfterDays[remindersSent];
+        if (nextReminderDays === undefined || waitedDays < nextReminderDays) continue;
+
+        if (owner) {
+          await EmailService.sendTicketWaitingReminder(ticket, owner, new Date(since.getTime() + settings.closeAfterDays * DAY_MS));
+        }
+
+        ticket.waitingOnCustomer = {
+          since,
+          remindersSent: remindersSent + 1,
+          lastReminderAt: new Date()
+        };
+        await ticket.save();
+
+        console.log(`Sent waiting reminder ${remindersSent + 1} for ticket ${ticket._id}`);
+      } catch (error) {
+        console.error(`Error processing waiting ticket ${ticket._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing tickets waiting on customers:', error);
+  }
+};
+
+module.exports = {
+  processWaitingTickets
+};
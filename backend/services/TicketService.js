@@ -0,0 +1,379 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const PermissionService = require('./PermissionService');
+const AuditService = require('./AuditService');
+const SlaService = require('./SlaService');
+const AssignmentService = require('./AssignmentService');
+const CannedResponseService = require('./CannedResponseService');
+const InternalNoteService = require('./InternalNoteService');
+const AttachmentService = require('./AttachmentService');
+const SettingService = require('./SettingService');
+
+// Each link type and how it reads from the other ticket
+const LINK_INVERSES = {
+  DUPLICATE_OF: 'DUPLICATED_BY',
+  DUPLICATED_BY: 'DUPLICATE_OF',
+  BLOCKS: 'BLOCKED_BY',
+  BLOCKED_BY: 'BLOCKS',
+  RELATES_TO: 'RELATES_TO'
+};
+
+const DUPLICATE_THRESHOLD = 0.5;
+const SAME_SERVICE_BONUS = 0.4;
+const MAX_DUPLICATE_SUGGESTIONS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a reply from the customer should reopen a ticket: it was closed
+ * automatically for lack of a reply, recently enough per ticketAutoClose
+ * @param {Object} ticket - Ticket document
+ * @returns {Promise<boolean>} - True if the ticket should be reopened
+ */
+const shouldReopenOnReply = async (ticket) => {
+  if (!ticket.autoClosedAt || !SlaService.CLOSED_STATUSES.includes(ticket.status)) return false;
+
+  const { reopenWithinDays } = await SettingService.getSetting('ticketAutoClose');
+  return Date.now() - new Date(ticket.autoClosedAt).getTime() <= reopenWithinDays * DAY_MS;
+};
+
+// Load a ticket with the references its API responses show
+const findPopulatedTicket = (id) => {
+  return Ticket.findById(id)
+    .populate('user', 'username email phone')
+    .populate('assignedTo', 'username email phone role')
+    .populate('messages.sender', 'username email role');
+};
+
+/**
+ * Open a ticket for a user: apply the SLA policy, route it to staff, save,
+ * audit and send the confirmation and staff notifications. Shared by the API
+ * and the inbound email gateway.
+ * @param {Object} req - Express request, or null outside a request
+ * @param {Object} user - Ticket owner (User document)
+ * @param {Object} fields - { title, description, category, priority, relatedService, attachments,
+ *   customFields } with custom fields already validated
+ * @param {Object} options - { source } recorded in the audit entry, e.g. 'EMAIL'
+ * @returns {Promise<Object>} - Populated ticket
+ */
+const openTicket = async (req, user, fields, options = {}) => {
+  const { title, description, category, priority, relatedService, attachments, customFields } = fields;
+
+  const newTicket = new Ticket({
+    title,
+    description,
+    category,
+    priority: priority || 'MEDIUM',
+    status: 'OPEN',
+    user: user._id,
+    relatedService: relatedService || {},
+    customFields: customFields || {},
+    messages: [{
+      sender: user._id,
+      content: description,
+      attachments: attachments || [],
+      timestamp: Date.now()
+    }]
+  });
+
+  await SlaService.applyPolicy(newTicket);
+  const assignee = await AssignmentService.autoAssign(newTicket);
+
+  const savedTicket = await newTicket.save();
+
+  await AuditService.recordChange(req, {
+    action: 'CREATE',
+    entityType: 'Ticket',
+    after: savedTicket,
+    actor: req ? undefined : user._id,
+    metadata: options.source ? { source: options.source } : undefined
+  });
+
+  const populatedTicket = await findPopulatedTicket(savedTicket._id);
+
+  // Send ticket confirmation to user
+  await EmailService.sendTicketConfirmation(populatedTicket, user);
+  await EmailService.notifyNewTicket(populatedTicket, user);
+  if (assignee) {
+    await EmailService.notifyStaffTicketAssignment(populatedTicket, assignee);
+  }
+
+  return populatedTicket;
+};
+
+/**
+ * Add a message to a ticket: update the status for whoever is waiting, stop
+ * the first response clock, save, audit and notify the other side. A customer
+ * reply reopens a ticket that was closed automatically while waiting on them.
+ * The caller checks ticket:reply first. Shared by the API and the inbound
+ * email gateway.
+ * @param {Object} req - Express request, or null outside a request
+ * @param {Object} ticket - Ticket document
+ * @param {Object} sender - Token payload of the sender ({ id, role, isAdmin })
+ * @param {Object} message - { content, attachments, cannedResponse, source }
+ * @returns {Promise<Object>} - Populated ticket
+ */
+const appendMessage = async (req, ticket, sender, { content, attachments, cannedResponse, source }) => {
+  const isTicketOwner = ticket.user.toString() === String(sender.id);
+  const isStaff = await PermissionService.can(sender, 'ticket:manage', ticket);
+
+  const before = AuditService.toSnapshot(ticket);
+  const previousStatus = ticket.status;
+  const reopen = isTicketOwner && await shouldReopenOnReply(ticket);
+
+  ticket.messages.push({
+    sender: sender.id,
+    content,
+    attachments: attachments || [],
+    timestamp: Date.now()
+  });
+  // A reopening adds a system message after it
+  const messageIndex = ticket.messages.length - 1;
+
+  // Update status based on who's sending the message
+  if (reopen) {
+    ticket.status = ticket.assignedTo ? 'IN_PROGRESS' : 'OPEN';
+    ticket.messages.push({
+      system: true,
+      content: 'Ticket reopened automatically after a reply from the customer',
+      timestamp: Date.now()
+    });
+    SlaService.recordStatusChange(ticket, previousStatus);
+  } else if (isTicketOwner && ticket.status === 'WAITING_CUSTOMER') {
+    ticket.status = 'IN_PROGRESS';
+  } else if (isStaff && ticket.status !== 'CLOSED' && ticket.status !== 'RESOLVED') {
+    ticket.status = 'WAITING_CUSTOMER';
+    // Every new question to the customer gives them the full time to answer
+    ticket.waitingOnCustomer = { since: new Date(), remindersSent: 0 };
+  }
+
+  // The first staff reply stops the first response clock
+  if (isStaff) {
+    SlaService.recordFirstResponse(ticket);
+  }
+
+  ticket.updated_at = Date.now();
+
+  await ticket.save();
+
+  const newMessage = ticket.messages[messageIndex];
+
+  await AuditService.recordChange(req, {
+    action: 'MESSAGE_ADDED',
+    entityType: 'Ticket',
+    before,
+    after: ticket,
+    actor: req ? undefined : sender.id,
+    metadata: {
+      messageId: newMessage._id,
+      ...(reopen && { reopened: true }),
+      ...(cannedResponse && { cannedResponse: cannedResponse._id }),
+      ...(source && { source })
+    }
+  });
+
+  if (cannedResponse) {
+    await CannedResponseService.recordUse(cannedResponse._id);
+  }
+
+  // Tell the customer about staff replies and the assignee about everything else
+  const senderUser = await User.findById(sender.id).select('username email');
+  if (isStaff) {
+    const ticketOwner = await User.findById(ticket.user);
+    if (ticketOwner) {
+      await EmailService.notifyNewTicketMessage(ticket, ticketOwner, newMessage, senderUser);
+    }
+  } else if (ticket.assignedTo) {
+    const assignee = await User.findById(ticket.assignedTo);
+    if (assignee) {
+      await EmailService.notifyStaffNewTicketMessage(ticket, assignee, newMessage, senderUser);
+    }
+  }
+
+  return findPopulatedTicket(ticket._id);
+};
+
+// Distinct words of a title, ignoring case, punctuation and very short words
+const titleWords = (title) => {
+  return new Set((title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2));
+};
+
+/**
+ * How alike two titles are, as the share of words they have in common
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} - 0 (nothing in common) to 1 (same words)
+ */
+const titleSimilarity = (a, b) => {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Find the user's open tickets that look like the same request: same
+ * category, a similar title, and the same related service counting extra
+ * @param {string} userId - Ticket owner
+ * @param {Object} fields - { title, category, relatedService }
+ * @param {string} excludeId - Ticket to leave out, e.g. the one being checked
+ * @returns {Promise<Array<Object>>} - Best matches first, with their score
+ */
+const findPossibleDuplicates = async (userId, { title, category, relatedService }, excludeId) => {
+  const filter = {
+    user: userId,
+    category,
+    status: { $nin: SlaService.CLOSED_STATUSES },
+    mergedInto: { $exists: false }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const candidates = await Ticket.find(filter)
+    .select('title status category priority relatedService created_at')
+    .sort({ created_at: -1 })
+    .limit(50);
+
+  const serviceId = relatedService?.serviceId?.toString();
+
+  return candidates
+    .map(candidate => {
+      const sameService = Boolean(serviceId) && candidate.relatedService?.serviceId?.toString() === serviceId;
+      const score = titleSimilarity(title, candidate.title) + (sameService ? SAME_SERVICE_BONUS : 0);
+      return {
+        _id: candidate._id,
+        title: candidate.title,
+        status: candidate.status,
+        priority: candidate.priority,
+        created_at: candidate.created_at,
+        sameService,
+        score: Math.round(Math.min(score, 1) * 100) / 100
+      };
+    })
+    .filter(candidate => candidate.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATE_SUGGESTIONS);
+};
+
+// Drop any link between two tickets, on both sides
+const removeLinkBetween = (ticket, other) => {
+  ticket.links = ticket.links.filter(link => link.ticket.toString() !== other._id.toString());
+  other.links = other.links.filter(link => link.ticket.toString() !== ticket._id.toString());
+};
+
+/**
+ * Link two tickets, replacing any existing link between them. Saves both.
+ * @param {Object} ticket - Ticket document the link is made from
+ * @param {Object} other - Ticket document being linked
+ * @param {string} type - Link type as seen from ticket, e.g. 'BLOCKS'
+ * @param {string} userId - Staff member making the link
+ * @returns {Promise<void>}
+ */
+const linkTickets = async (ticket, other, type, userId) => {
+  removeLinkBetween(ticket, other);
+
+  ticket.links.push({ ticket: other._id, type, created_by: userId });
+  other.links.push({ ticket: ticket._id, type: LINK_INVERSES[type], created_by: userId });
+  ticket.updated_at = Date.now();
+  other.updated_at = Date.now();
+
+  await ticket.save();
+  await other.save();
+};
+
+/**
+ * Remove the link between two tickets. Saves both.
+ * @param {Object} ticket - Ticket document
+ * @param {Object} other - Linked ticket document
+ * @returns {Promise<void>}
+ */
+const unlinkTickets = async (ticket, other) => {
+  removeLinkBetween(ticket, other);
+  ticket.updated_at = Date.now();
+  other.updated_at = Date.now();
+
+  await ticket.save();
+  await other.save();
+};
+
+/**
+ * Merge tickets into a target: their messages join the target's in
+ * chronological order, their tags and internal notes move across, and each
+ * merged ticket is closed with a pointer to the target
+ * @param {Object} req - Express request
+ * @param {Object} target - Ticket document that survives
+ * @param {Array<Object>} sources - Ticket documents to merge into it
+ * @returns {Promise<Object>} - Populated target ticket
+ */
+const mergeTickets = async (req, target, sources) => {
+  const targetBefore = AuditService.toSnapshot(target);
+  const messages = target.messages.map(message => message.toObject());
+  const tags = new Set(target.tags);
+
+  for (const source of sources) {
+    const sourceBefore = AuditService.toSnapshot(source);
+    const previousStatus = source.status;
+
+    messages.push(...source.messages.map(message => message.toObject()));
+    source.tags.forEach(tag => tags.add(tag));
+    messages.push({
+      system: true,
+      content: `Ticket ${source._id} ("${source.title}") was merged into this ticket`,
+      timestamp: Date.now()
+    });
+
+    source.messages.push({
+      system: true,
+      content: `Merged into ticket ${target._id}`,
+      timestamp: Date.now()
+    });
+    source.status = 'CLOSED';
+    source.mergedInto = target._id;
+    source.updated_at = Date.now();
+    SlaService.recordStatusChange(source, previousStatus);
+    await source.save();
+
+    await InternalNoteService.moveNotes('Ticket', source._id, target._id);
+    await AttachmentService.moveAttachments('Ticket', source._id, target._id);
+
+    await AuditService.recordChange(req, {
+      action: 'MERGE',
+      entityType: 'Ticket',
+      before: sourceBefore,
+      after: source,
+      metadata: { mergedInto: target._id }
+    });
+
+    const ticketOwner = await User.findById(source.user);
+    if (ticketOwner) {
+      await EmailService.notifyTicketStatusChange(source, ticketOwner, previousStatus);
+    }
+  }
+
+  target.messages = messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  target.tags = [...tags];
+  target.updated_at = Date.now();
+  await target.save();
+
+  await AuditService.recordChange(req, {
+    action: 'MERGE',
+    entityType: 'Ticket',
+    before: targetBefore,
+    after: target,
+    metadata: { mergedTickets: sources.map(source => source._id) }
+  });
+
+  return findPopulatedTicket(target._id);
+};
+
+module.exports = {
+  LINK_INVERSES,
+  findPopulatedTicket,
+  openTicket,
+  appendMessage,
+  findPossibleDuplicates,
+  linkTickets,
+  unlinkTickets,
+  mergeTickets
+};
@@ -85,15 +85,15 @@ const createTicketValidator = (req, res, next) => {
   
   // Validator for adding a message
   const messageValidator = (req, res, next) => {
-    const { content } = req.body;
+    const { content, templateId } = req.body;
     let errors = [];
   
-    // Check content
-    if (!content) {
+    // Check content; a message sent from a canned response is checked once filled in
+    if (!content && !templateId) {
       errors.push('Message content is required');
-    } else if (content.trim() === '') {
+    } else if (content && content.trim() === '') {
       errors.push('Message content cannot be empty');
-    } else if (content.length > 5000) {
+    } else if (content && content.length > 5000) {
       errors.push('Message content must be less than 5000 characters');
     }
   
@@ -108,51 +108,8 @@ const createTicketValidator = (req, res, next) => {
     next();
   };
   
-  // Validator for ticket attachments
-  const attachmentsValidator = (req, res, next) => {
-    const { attachments } = req.body;
-    let errors = [];
-  
-    // Check attachments if provided
-    if (attachments) {
-      if (!Array.isArray(attachments)) {
-        errors.push('Attachments must be an array');
-      } else {
-        // Validate each attachment URL
-        for (let i = 0; i < attachments.length; i++) {
-          if (typeof attachments[i] !== 'string') {
-            errors.push(`Attachment at index ${i} is not a valid URL string`);
-            continue;
-          }
-  
-          try {
-            new URL(attachments[i]);
-          } catch (e) {
-            errors.push(`Attachment at index ${i} is not a valid URL`);
-          }
-        }
-  
-        // Check if there are too many attachments
-        if (attachments.length > 10) {
-          errors.push('Maximum 10 attachments allowed per message');
-        }
-      }
-    }
-  
-    // Return errors if any
-    if (errors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        errors
-      });
-    }
-  
-    next();
-  };
-  
   module.exports = {
     createTicketValidator,
     updateTicketValidator,
-    messageValidator,
-    attachmentsValidator
+    messageValidator
   };
\ No newline at end of file
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code for a given time step (RFC 6238 / RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code against a secret, allowing for small clock drift. A code
+ * is only good once: codes of the last accepted time step or earlier are refused.
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Time step of the last code accepted, if any
+ * @returns {number|null} - Time step the code belongs to, or null if invalid
+ */
+const verifyCode = (secret, code, lastUsedStep) => {
+  if (!secret || !code) return null;
+
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const currentCounter = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentCounter + drift;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label (usually the email)
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.EMAIL_FROM_NAME || 'Service Platform';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Plain recovery code
+ * @returns {string} - SHA-256 hash
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {Object} - { codes: plain codes to show once, hashes: values to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
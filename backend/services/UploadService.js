@@ -1,15 +1,19 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
 const avatarsDir = path.join(uploadsDir, 'avatars');
 const propertiesDir = path.join(uploadsDir, 'properties');
 const documentsDir = path.join(uploadsDir, 'documents');
+// Message and ticket attachments live outside uploads/ so the public static
+// route never serves them; they are downloaded through /api/attachments
+const attachmentsDir = path.join(__dirname, '../attachments');
 
 // Ensure directories exist
-[uploadsDir, avatarsDir, propertiesDir, documentsDir].forEach(dir => {
+[uploadsDir, avatarsDir, propertiesDir, documentsDir, attachmentsDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -38,12 +42,12 @@ const storage = multer.diskStorage({
   }
 });
 
+// Define allowed MIME types
+const allowedImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+
 // Configure file filter for allowed file types
 const fileFilter = (req, file, cb) => {
-  // Define allowed MIME types
-  const allowedImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-  const allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-  
   // For user avatars, only allow images
   if (req.baseUrl.includes('users') && req.path.includes('avatar')) {
     if (allowedImageTypes.includes(file.mimetype)) {
@@ -86,8 +90,73 @@ const upload = multer({
   limits: limits
 });
 
-// Helper to get the server URL
+// Attachments: documents, images and plain text or spreadsheets, a few per request
+const allowedAttachmentTypes = [
+  ...allowedImageTypes,
+  ...allowedDocumentTypes,
+  'text/plain',
+  'text/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const attachmentLimits = {
+  fileSize: (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024,
+  files: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5
+};
+
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: attachmentsDir,
+    // Random names: the original filename is kept on the Attachment record only
+    filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex') + path.extname(file.originalname).toLowerCase())
+  }),
+  fileFilter: (req, file, cb) => {
+    if (allowedAttachmentTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} is not allowed for attachments`), false);
+    }
+  },
+  limits: attachmentLimits
+});
+
+/**
+ * Accept attachment files sent as multipart field "files". Invalid uploads are
+ * answered with 400, and the stored files are removed again whenever the
+ * request fails, so only attachments of successful requests are kept.
+ */
+const uploadAttachments = (req, res, next) => {
+  attachmentUpload.array('files', attachmentLimits.files)(req, res, (err) => {
+    if (err) {
+      const tooMany = `Send at most ${attachmentLimits.files} files in the "files" field`;
+      const messages = {
+        LIMIT_FILE_SIZE: `Attachments must be at most ${attachmentLimits.fileSize / (1024 * 1024)}MB`,
+        LIMIT_FILE_COUNT: tooMany,
+        LIMIT_UNEXPECTED_FILE: tooMany
+      };
+      return res.status(400).json({
+        success: false,
+        message: messages[err.code] || err.message
+      });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        (req.files || []).forEach(file => deleteFile(file.path));
+      }
+    });
+    next();
+  });
+};
+
+// Helper to get the server URL. Outside a request (e.g. inbound email) it
+// comes from SERVER_URL
 const getServerUrl = (req) => {
+  if (!req) {
+    return process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3001}`;
+  }
+
   const protocol = req.protocol;
   const host = req.get('host');
   return `${protocol}://${host}`;
@@ -101,6 +170,40 @@ const getFileUrl = (req, filePath) => {
   return `${getServerUrl(req)}/${relativePath.replace(/\\/g, '/')}`;
 };
 
+// URL of a stored attachment, served through the access-checked attachment route
+const getAttachmentUrl = (req, fileName) => `${getServerUrl(req)}/api/attachments/${fileName}`;
+
+// Convert a URL produced by getFileUrl or getAttachmentUrl back to its local
+// path. Returns null for anything that does not point inside the uploads or
+// attachments directory.
+const getFilePath = (fileUrl) => {
+  if (!fileUrl) return null;
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(fileUrl, 'http://localhost').pathname);
+  } catch (err) {
+    return null;
+  }
+
+  const [prefix, dir] = pathname.startsWith('/api/attachments/')
+    ? ['/api/attachments/', attachmentsDir]
+    : ['/uploads/', uploadsDir];
+  if (!pathname.startsWith(prefix)) return null;
+
+  const filePath = path.resolve(dir, pathname.slice(prefix.length));
+  return filePath.startsWith(dir + path.sep) ? filePath : null;
+};
+
+// Store file contents received outside multer (e.g. email attachments) under
+// the same naming scheme. Returns the local path.
+const saveFile = (buffer, originalName, dir = documentsDir) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filePath = path.join(dir, uniqueSuffix + path.extname(originalName || ''));
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
 // Handle file deletion
 const deleteFile = (filePath) => {
   if (filePath && fs.existsSync(filePath)) {
@@ -112,9 +215,20 @@ const deleteFile = (filePath) => {
 
 module.exports = {
   upload,
+  uploadAttachments,
   getFileUrl,
+  getAttachmentUrl,
+  getFilePath,
+  saveFile,
   deleteFile,
+  limits,
+  allowedImageTypes,
+  allowedDocumentTypes,
+  allowedAttachmentTypes,
+  attachmentLimits,
+  uploadsDir,
   avatarsDir,
   propertiesDir,
-  documentsDir
+  documentsDir,
+  attachmentsDir
 };
\ No newline at end of file
@@ -88,8 +88,43 @@ const userRegisterValidator = (req, res, next) => {
     next();
   };
   
+  const invitationAcceptValidator = (req, res, next) => {
+    const { token, username, password } = req.body;
+    let errors = [];
+  
+    // Check invitation token
+    if (!token) {
+      errors.push('Invitation token is required');
+    }
+  
+    // Check username
+    if (!username) {
+      errors.push('Username is required');
+    } else if (username.length < 3 || username.length > 30) {
+      errors.push('Username must be between 3 and 30 characters');
+    }
+  
+    // Check password
+    if (!password) {
+      errors.push('Password is required');
+    } else if (password.length < 6) {
+      errors.push('Password must be at least 6 characters');
+    }
+  
+    // Return errors if any
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+  
+    next();
+  };
+  
   module.exports = {
     userRegisterValidator,
     userLoginValidator,
-    passwordChangeValidator
+    passwordChangeValidator,
+    invitationAcceptValidator
   };
\ No newline at end of file